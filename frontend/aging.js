@@ -0,0 +1,89 @@
+/**
+ * @file Aging of unpaid Pedidos.
+ * A Pedido is due a number of days after its "Fecha Pedido", given by its
+ * brand's credit terms. While it has a balance, the days past that due date
+ * place it in one of the aging buckets.
+ */
+
+import { Status } from './statusMachine';
+
+/**
+ * The aging buckets, in order. A bucket holds Pedidos overdue by at most
+ * `maxDays` days; "current" ones are not overdue yet.
+ * @type {{key: string, label: string, maxDays: number}[]}
+ */
+export const AGING_BUCKETS = [
+    { key: 'current', label: 'Al corriente', maxDays: 0 },
+    { key: '1-15', label: '1–15 días', maxDays: 15 },
+    { key: '16-30', label: '16–30 días', maxDays: 30 },
+    { key: '30+', label: 'Más de 30 días', maxDays: Infinity },
+];
+
+/**
+ * Balances below a cent are rounding noise.
+ * @type {number}
+ */
+const EPSILON = 0.005;
+
+/**
+ * The number of milliseconds in a day.
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a "YYYY-MM-DD" date as a UTC midnight timestamp, so day differences
+ * are whole numbers regardless of the user's time zone.
+ * @param {string} isoDate The date.
+ * @returns {number} The timestamp.
+ */
+function utcDay(isoDate) {
+    return Date.parse(`${isoDate.slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Returns today's date in the user's time zone.
+ * @returns {string} The date, as "YYYY-MM-DD".
+ */
+function localToday() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Returns a Pedido's due date.
+ * @param {string} fechaPedido The order date, as "YYYY-MM-DD".
+ * @param {number} creditDays The brand's credit days.
+ * @returns {string} The due date, as "YYYY-MM-DD".
+ */
+export function dueDateFor(fechaPedido, creditDays) {
+    return new Date(utcDay(fechaPedido) + creditDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the bucket for a number of days overdue.
+ * @param {number} daysOverdue Days past the due date; zero or less when not due yet.
+ * @returns {{key: string, label: string, maxDays: number}} The bucket.
+ */
+export function agingBucketFor(daysOverdue) {
+    return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays);
+}
+
+/**
+ * Computes the aging of a Pedido.
+ * @param {Airtable.Record} pedido The Pedido.
+ * @param {Object<string, string>} pedidoFields The field IDs of "Pedidos".
+ * @param {Function} getCreditDays Returns the credit days of a brand; see `useBrandSettings`.
+ * @param {string} [today] Today's date as "YYYY-MM-DD"; defaults to the current date.
+ * @returns {?{balance: number, dueDate: string, daysOverdue: number, bucket: object}} The
+ * aging, or `null` when the Pedido is paid, cancelled or has no "Fecha Pedido".
+ */
+export function agingOf(pedido, pedidoFields, getCreditDays, today = localToday()) {
+    if (pedido.getCellValueAsString(pedidoFields.estatus) === Status.CANCELADO) return null;
+    const fechaPedido = pedido.getCellValue(pedidoFields.fechaPedido);
+    const balance = (pedido.getCellValue(pedidoFields.totalCosto) || 0) - (pedido.getCellValue(pedidoFields.montoPagado) || 0);
+    if (!fechaPedido || balance <= EPSILON) return null;
+    const dueDate = dueDateFor(fechaPedido, getCreditDays(pedido.getCellValueAsString(pedidoFields.marca)));
+    const daysOverdue = Math.round((utcDay(today) - utcDay(dueDate)) / DAY_MS);
+    return { balance, dueDate, daysOverdue, bucket: agingBucketFor(daysOverdue) };
+}
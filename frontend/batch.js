@@ -0,0 +1,131 @@
+/**
+ * @file Bulk writes split into SDK-sized batches.
+ * The SDK rejects writes of more than 50 records and limits a block to 15
+ * writes per second. Every bulk create, update or delete in the block goes
+ * through `writeInBatchesAsync`, which paces the batches, reports progress
+ * after each one and keeps going when one fails, so the caller learns exactly
+ * which records were not written and can retry only those.
+ */
+
+/**
+ * The largest number of records the SDK accepts in one write.
+ * @type {number}
+ */
+export const MAX_RECORDS_PER_BATCH = 50;
+
+/**
+ * The shortest time between two writes that stays under 15 writes per second.
+ * @type {number}
+ */
+const MIN_MS_BETWEEN_WRITES = Math.ceil(1000 / 15);
+
+/**
+ * Thrown when some batches of a bulk write fail. The batches that succeeded
+ * stay written.
+ */
+export class BatchWriteError extends Error {
+    /**
+     * @param {object[]} failedItems The items whose batch failed, in their original order.
+     * @param {Error[]} errors The error of each failed batch.
+     * @param {Array} results The results of the batches that succeeded.
+     * @param {number} total The number of items in the write.
+     */
+    constructor(failedItems, errors, results, total) {
+        super(`${failedItems.length} de ${total} registros no se guardaron: ${errors[0].message}`);
+        this.name = 'BatchWriteError';
+        this.failedItems = failedItems;
+        this.errors = errors;
+        this.results = results;
+    }
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ * @param {number} ms The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Writes items in batches of at most `MAX_RECORDS_PER_BATCH`, one batch at a time.
+ * @param {object[]} items The items to write, e.g. record updates or record IDs.
+ * @param {Function} writeBatch Called with an array of items; resolves to an array
+ * with one result per item.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] Called with `{done, failed, total}` (counts
+ * of items) before the first batch and after each one.
+ * @param {Function} [options.onBatchWritten] Called with `(items, results)` after
+ * each batch that succeeds.
+ * @returns {Promise<Array>} The results of every item, in order.
+ * @throws {BatchWriteError} When at least one batch fails, after every batch was tried.
+ */
+export async function writeInBatchesAsync(items, writeBatch, { onProgress = () => {}, onBatchWritten = () => {} } = {}) {
+    const results = [];
+    const failedItems = [];
+    const errors = [];
+    let lastWriteAt = 0;
+    onProgress({ done: 0, failed: 0, total: items.length });
+    for (let i = 0; i < items.length; i += MAX_RECORDS_PER_BATCH) {
+        const batch = items.slice(i, i + MAX_RECORDS_PER_BATCH);
+        const wait = lastWriteAt + MIN_MS_BETWEEN_WRITES - Date.now();
+        if (wait > 0) {
+            await delay(wait);
+        }
+        lastWriteAt = Date.now();
+        try {
+            const batchResults = await writeBatch(batch);
+            results.push(...batchResults);
+            onBatchWritten(batch, batchResults);
+        } catch (error) {
+            console.error(`Batch of ${batch.length} records failed:`, error);
+            failedItems.push(...batch);
+            errors.push(error);
+        }
+        onProgress({ done: results.length, failed: failedItems.length, total: items.length });
+    }
+    if (failedItems.length > 0) {
+        throw new BatchWriteError(failedItems, errors, results, items.length);
+    }
+    return results;
+}
+
+/**
+ * Creates records in batches.
+ * @param {Table} table The table to create the records in.
+ * @param {{fields: object}[]} records The records to create.
+ * @param {object} [options] See `writeInBatchesAsync`.
+ * @returns {Promise<string[]>} The IDs of the created records.
+ */
+export function createRecordsInBatchesAsync(table, records, options) {
+    return writeInBatchesAsync(records, batch => table.createRecordsAsync(batch), options);
+}
+
+/**
+ * Updates records in batches.
+ * @param {Table} table The table the records belong to.
+ * @param {{id: string, fields: object}[]} updates The updates to apply.
+ * @param {object} [options] See `writeInBatchesAsync`.
+ * @returns {Promise<string[]>} The IDs of the updated records.
+ */
+export function updateRecordsInBatchesAsync(table, updates, options) {
+    return writeInBatchesAsync(updates, async (batch) => {
+        await table.updateRecordsAsync(batch);
+        return batch.map(update => update.id);
+    }, options);
+}
+
+/**
+ * Deletes records in batches.
+ * @param {Table} table The table the records belong to.
+ * @param {string[]} recordIds The IDs of the records to delete.
+ * @param {object} [options] See `writeInBatchesAsync`.
+ * @returns {Promise<string[]>} The IDs of the deleted records.
+ */
+export function deleteRecordsInBatchesAsync(table, recordIds, options) {
+    return writeInBatchesAsync(recordIds, async (batch) => {
+        await table.deleteRecordsAsync(batch);
+        return batch;
+    }, options);
+}
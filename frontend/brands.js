@@ -0,0 +1,140 @@
+/**
+ * @file Brand ("Línea") settings stored in the block's GlobalConfig.
+ * Each brand has a payment policy that decides whether its orders must be
+ * paid in full when they are requested or may stay "Pendiente de Pago", the
+ * credit terms: how many days after "Fecha Pedido" a Pedido is due, and the
+ * markup that turns a line's Costo into the price we resell it at.
+ */
+
+import { useMemo } from 'react';
+import { useGlobalConfig } from '@airtable/blocks/ui';
+import { ConfigKeys } from './constants';
+
+/**
+ * The payment policies a brand can have.
+ * @enum {string}
+ */
+export const BrandPolicy = Object.freeze({
+    PAY_IN_FULL: 'payInFull',
+    ALLOW_PENDING: 'allowPending',
+});
+
+/**
+ * Options for a Select listing every brand policy.
+ * @type {{value: string, label: string}[]}
+ */
+export const BRAND_POLICY_OPTIONS = [
+    { value: BrandPolicy.PAY_IN_FULL, label: 'Pago completo al solicitar' },
+    { value: BrandPolicy.ALLOW_PENDING, label: 'Puede quedar Pendiente de Pago' },
+];
+
+/**
+ * How a sale price is rounded: to the nearest multiple of the value, in pesos.
+ * Zero leaves the price in cents.
+ * @type {{value: number, label: string}[]}
+ */
+export const MARKUP_ROUNDING_OPTIONS = [
+    { value: 0, label: 'Sin redondeo' },
+    { value: 5, label: 'A $5 más cercano' },
+    { value: 10, label: 'A $10 más cercano' },
+];
+
+/**
+ * The credit days of brands that have none configured: due on the order date.
+ * @type {number}
+ */
+const DEFAULT_CREDIT_DAYS = 0;
+
+/**
+ * The brands used before the policy became configurable. They are used until
+ * an admin saves a brand list of their own.
+ * @type {{name: string, policy: string}[]}
+ */
+const DEFAULT_BRANDS = [
+    { name: 'Belcorp', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Betterware', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Cklass', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Andrea', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Price Shoes', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Bibiana', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Andre Badi', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Nice', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Joyeria', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Vianney', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Intima', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Elefantito', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Esquimal', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Concord', policy: BrandPolicy.PAY_IN_FULL },
+    { name: 'Avon', policy: BrandPolicy.ALLOW_PENDING },
+    { name: 'Otros', policy: BrandPolicy.ALLOW_PENDING },
+];
+
+/**
+ * Returns the price a line is resold at: its cost plus the brand's percentage
+ * and fixed amount, rounded as the brand says.
+ * @param {number} costo The line's Costo.
+ * @param {{percent: number, fixed: number, rounding: number}} markup The brand's markup.
+ * @returns {number} The sale price.
+ */
+export function salePrice(costo, markup) {
+    const price = costo * (1 + (markup.percent || 0) / 100) + (markup.fixed || 0);
+    return markup.rounding
+        ? Math.round(price / markup.rounding) * markup.rounding
+        : Math.round(price * 100) / 100;
+}
+
+/**
+ * Reads the brand settings from GlobalConfig and exposes helpers to look up
+ * and persist them.
+ * @returns {object} The brand settings.
+ * @property {{name: string, policy: string, creditDays: ?number, markup: ?object}[]} brands - The configured brands.
+ * @property {string} defaultPolicy - The policy used for brands that are not configured.
+ * @property {Function} getBrandPolicy - Returns `{policy, isKnown}` for a Línea name.
+ * @property {Function} getCreditDays - Returns the credit days of a Línea name.
+ * @property {Function} getMarkup - Returns the markup of a Línea name, or `null` when it has none.
+ * @property {boolean} canEdit - Whether the current user may change the settings.
+ * @property {Function} saveBrands - Persists a new brand list.
+ * @property {Function} saveDefaultPolicy - Persists the default policy.
+ */
+export function useBrandSettings() {
+    const globalConfig = useGlobalConfig();
+    const storedBrands = globalConfig.get(ConfigKeys.BRANDS);
+    const storedDefault = globalConfig.get(ConfigKeys.DEFAULT_BRAND_POLICY);
+
+    const brands = Array.isArray(storedBrands) ? storedBrands : DEFAULT_BRANDS;
+    const defaultPolicy = storedDefault || BrandPolicy.ALLOW_PENDING;
+
+    const brandsByName = useMemo(() => {
+        const map = new Map();
+        brands.forEach(brand => map.set(brand.name, brand));
+        return map;
+    }, [brands]);
+
+    const getBrandPolicy = (linea) => {
+        const brand = brandsByName.get(linea);
+        return brand
+            ? { policy: brand.policy, isKnown: true }
+            : { policy: defaultPolicy, isKnown: false };
+    };
+
+    const getCreditDays = (linea) => {
+        const brand = brandsByName.get(linea);
+        return brand && typeof brand.creditDays === 'number' ? brand.creditDays : DEFAULT_CREDIT_DAYS;
+    };
+
+    const getMarkup = (linea) => {
+        const brand = brandsByName.get(linea);
+        return brand && brand.markup ? brand.markup : null;
+    };
+
+    return {
+        brands,
+        defaultPolicy,
+        getBrandPolicy,
+        getCreditDays,
+        getMarkup,
+        canEdit: globalConfig.hasPermissionToSet(ConfigKeys.BRANDS),
+        saveBrands: (nextBrands) => globalConfig.setAsync(ConfigKeys.BRANDS, nextBrands),
+        saveDefaultPolicy: (policy) => globalConfig.setAsync(ConfigKeys.DEFAULT_BRAND_POLICY, policy),
+    };
+}
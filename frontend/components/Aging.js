@@ -0,0 +1,122 @@
+/**
+ * @file This file contains all components related to the "Antigüedad" tab.
+ * It groups the balance of unpaid Pedidos by brand and by how long they are
+ * past the due date given by the brand's credit terms, and lists the overdue
+ * Pedidos, oldest first.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { useRecords, Box, Heading, Loader, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { useBrandSettings } from '../brands';
+import { AGING_BUCKETS, agingOf } from '../aging';
+import DrillDownDialog from './DrillDownDialog';
+import FigureTable from './FigureTable';
+
+/**
+ * The main component for the "Antigüedad" tab.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.pedidos Every record of "Pedidos".
+ * @returns {React.ReactElement} The rendered tab content.
+ */
+function AgingTab({ pedidos }) {
+    const { fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const { getCreditDays } = useBrandSettings();
+    const [drillDown, setDrillDown] = useState(null);
+
+    /**
+     * @property {object[]} aged The unpaid Pedidos with their aging, most overdue first.
+     */
+    const aged = useMemo(() => pedidos
+        .map(pedido => ({ pedido, aging: agingOf(pedido, pedidoFields, getCreditDays) }))
+        .filter(({ aging }) => aging)
+        .sort((a, b) => b.aging.daysOverdue - a.aging.daysOverdue), [pedidos, pedidoFields, getCreditDays]);
+
+    const agingById = useMemo(() => new Map(aged.map(({ pedido, aging }) => [pedido.id, aging])), [aged]);
+
+    const rows = useMemo(() => {
+        const byBrand = new Map();
+        aged.forEach(({ pedido, aging }) => {
+            const marca = pedido.getCellValueAsString(pedidoFields.marca) || 'Sin asignar';
+            if (!byBrand.has(marca)) {
+                byBrand.set(marca, { label: marca, cells: AGING_BUCKETS.map(() => ({ total: 0, records: [] })) });
+            }
+            const cell = byBrand.get(marca).cells[AGING_BUCKETS.indexOf(aging.bucket)];
+            cell.total += aging.balance;
+            cell.records.push(pedido);
+        });
+        return Array.from(byBrand.values()).sort((a, b) => a.label.localeCompare(b.label));
+    }, [aged, pedidoFields]);
+
+    const overdue = aged.filter(({ aging }) => aging.daysOverdue > 0);
+
+    const describe = pedido => {
+        const aging = agingById.get(pedido.id);
+        return {
+            label: `Pedido ${pedido.getCellValueAsString(pedidoFields.noPedido)} · ${pedido.getCellValueAsString(pedidoFields.marca)}`,
+            detail: aging.daysOverdue > 0
+                ? `Venció el ${aging.dueDate} (${aging.daysOverdue} días)`
+                : `Vence el ${aging.dueDate}`,
+            amount: aging.balance,
+        };
+    };
+
+    return (
+        <Box>
+            {drillDown && (
+                <DrillDownDialog
+                    title={drillDown.title}
+                    records={drillDown.records}
+                    describe={describe}
+                    onClose={() => setDrillDown(null)}
+                />
+            )}
+            <FigureTable
+                title="Saldo por antigüedad"
+                columns={AGING_BUCKETS.map(bucket => bucket.label)}
+                rows={rows}
+                onDrillDown={(title, records) => setDrillDown({ title, records })}
+            />
+
+            <Heading size="small">Pedidos vencidos</Heading>
+            {overdue.length === 0 && <Text textColor="light">No hay pedidos vencidos.</Text>}
+            {overdue.length > 0 && (
+                <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
+                    <Text flex="1 1 20%">No. de Pedido</Text>
+                    <Text flex="1 1 20%">MARCA</Text>
+                    <Text flex="1 1 20%">Vencimiento</Text>
+                    <Text flex="1 1 20%" textAlign="right">Días vencido</Text>
+                    <Text flex="1 1 20%" textAlign="right">Saldo</Text>
+                </Box>
+            )}
+            {overdue.map(({ pedido, aging }) => (
+                <Box key={pedido.id} display="flex" paddingY={2} borderBottom="default" backgroundColor="#fde8e8">
+                    <Text flex="1 1 20%">{pedido.getCellValueAsString(pedidoFields.noPedido)}</Text>
+                    <Text flex="1 1 20%">{pedido.getCellValueAsString(pedidoFields.marca)}</Text>
+                    <Text flex="1 1 20%">{aging.dueDate}</Text>
+                    <Text flex="1 1 20%" textAlign="right" textColor="red">{aging.daysOverdue}</Text>
+                    <Text flex="1 1 20%" textAlign="right">${aging.balance.toFixed(2)}</Text>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * A wrapper component that fetches the Pedidos the aging report needs.
+ * @returns {React.ReactElement} The rendered AgingTab or a Loader.
+ */
+function AgingWrapper() {
+    const { tables, fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const pedidos = useRecords(tables.pedidos, {
+        fields: [pedidoFields.noPedido, pedidoFields.marca, pedidoFields.estatus, pedidoFields.totalCosto, pedidoFields.montoPagado, pedidoFields.fechaPedido],
+    });
+
+    if (!pedidos) return <Loader />;
+
+    return <AgingTab pedidos={pedidos} />;
+}
+
+export default AgingWrapper;
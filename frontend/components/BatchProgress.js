@@ -0,0 +1,30 @@
+/**
+ * @file This file defines the BatchProgress component, a progress bar for bulk
+ * writes made through `batch.js`.
+ */
+
+import React from 'react';
+import { Box, ProgressBar, Text } from '@airtable/blocks/ui';
+
+/**
+ * Shows how many records of a bulk write have been saved, and how many failed.
+ * @param {object} props The component props.
+ * @param {{done: number, failed: number, total: number}} props.progress The counts
+ * reported by `writeInBatchesAsync`.
+ * @param {string} [props.label] What is being saved.
+ * @returns {React.ReactElement} The rendered progress bar.
+ */
+function BatchProgress({ progress, label = 'Guardando registros' }) {
+    const { done, failed = 0, total } = progress;
+    const fraction = total > 0 ? (done + failed) / total : 0;
+    return (
+        <Box marginY={2}>
+            <ProgressBar progress={fraction} barColor={failed > 0 ? 'orange' : 'blueBright'} />
+            <Text size="small" textColor="light" marginTop={1}>
+                {label}: {done} de {total}{failed > 0 ? ` (${failed} con error)` : ''}
+            </Text>
+        </Box>
+    );
+}
+
+export default BatchProgress;
@@ -0,0 +1,45 @@
+/**
+ * @file This file defines the BrandCreditNotice component, shown in the payment
+ * modals when the Pedido's brand has credit from an earlier overpayment.
+ */
+
+import React from 'react';
+import { Box, Icon, Switch, Text } from '@airtable/blocks/ui';
+
+/**
+ * Offers to pay with the brand's credit, which is applied by default.
+ * Renders nothing when the brand has no credit.
+ * @param {object} props The component props.
+ * @param {string[]} props.marcas The brands the credit belongs to; a Pedido has one.
+ * @param {{balance: number, creditMethod: ?Record}} props.credit The result of `useBrandCredit`.
+ * @param {number} props.applied The amount of credit that will be used.
+ * @param {boolean} props.isApplied Whether the credit is used.
+ * @param {Function} props.onChange Called with the new value of `isApplied`.
+ * @returns {?React.ReactElement} The rendered notice.
+ */
+function BrandCreditNotice({ marcas, credit, applied, isApplied, onChange }) {
+    if (credit.balance <= 0) return null;
+    const marca = marcas.join(', ');
+    if (!credit.creditMethod) {
+        return (
+            <Box display="flex" alignItems="center" marginY={2}>
+                <Icon name="warning" fillColor="orange" marginRight={1} />
+                <Text textColor="orange">
+                    {marca} tiene ${credit.balance.toFixed(2)} de crédito a favor, pero no hay un método de pago con TIPO &quot;Crédito&quot;.
+                </Text>
+            </Box>
+        );
+    }
+    return (
+        <Box border="default" borderRadius="large" padding={2} marginY={2} backgroundColor="lightGray1">
+            <Switch
+                value={isApplied}
+                onChange={onChange}
+                label={`Aplicar crédito a favor de ${marca}: $${applied.toFixed(2)} de $${credit.balance.toFixed(2)}`}
+                backgroundColor="transparent"
+            />
+        </Box>
+    );
+}
+
+export default BrandCreditNotice;
@@ -6,178 +6,415 @@
 
 import React, { useState, useMemo } from 'react';
 import {
-    useBase,
+    useGlobalConfig,
     useRecords,
+    useSession,
     Box,
     Button,
     Dialog,
+    FormField,
     Heading,
     Text,
     Icon,
     Loader,
     Select,
     Input,
+    Switch,
 } from '@airtable/blocks/ui';
-import { LPO_TABLE_NAME, PEDIDOS_TABLE_NAME, METODOS_PAGO_TABLE_NAME, PAGOS_TABLE_NAME } from '../constants';
-
-const brandStatus = {
-    'Belcorp': 'Pendiente de Pago',
-    'Betterware': 'Pendiente de Pago',
-    'Cklass': 'Pendiente de Pago',
-    'Andrea': 'Pagado',
-    'Price Shoes': 'Pagado',
-    'Bibiana': 'Pendiente de Pago',
-    'Andre Badi': 'Pagado',
-    'Nice': 'Pendiente de Pago',
-    'Joyeria': 'Pendiente de Pago',
-    'Vianney': 'Pagado',
-    'Intima': 'Pagado',
-    'Elefantito': 'Pagado',
-    'Esquimal': 'Pagado',
-    'Concord': 'Pagado',
-    'Avon': 'Pendiente de Pago',
-    'Otros': 'Pendiente de Pago',
-};
-const allowedPedidoStatuses = ['Pagado', 'Pendiente de Pago', 'Pago Incompleto'];
-const allowedLineaStatuses = ['Pagado', 'Pendiente de Pago', 'Pago Incompleto'];
+import { useSchema } from '../schema';
+import { BrandPolicy, useBrandSettings } from '../brands';
+import {
+    Status,
+    checkTransition,
+    lineStatusForPedido,
+    nextPaymentStatus,
+    planTransition,
+} from '../statusMachine';
+import { HistoryAction, historyEventKey, recordHistoryAsync } from '../history';
+import { updateRecordsInBatchesAsync } from '../batch';
+import { buildCreditSteps, isCreditMethod, splitOverpayment, useBrandCredit } from '../credits';
+import { buildPagoFields, newPaymentId, totalFees } from '../payments';
+import { formatMarginPercent, lineMargin, summarizeMargin } from '../margins';
+import { ALLOCATION_METHOD_OPTIONS, AllocationMethod, buildLandedCostStep } from '../landedCost';
+import { buildLineStatusSteps } from '../pedidoLines';
+import {
+    UndoScope,
+    rollbackUnitOfWork,
+    runUnitOfWork,
+    snapshotRecord,
+    useUnfinishedOperation,
+    useUnfinishedOperations,
+} from '../unitOfWork';
+import BatchProgress from './BatchProgress';
+import BrandCreditNotice from './BrandCreditNotice';
+import HistoryTimeline from './HistoryTimeline';
+import PaymentEntryForm from './PaymentEntryForm';
+import UndoLastOperation from './UndoLastOperation';
+import UnfinishedOperationBanner from './UnfinishedOperationBanner';
+
+/**
+ * The Pedido statuses that still accept new lines: those before the order is
+ * placed with the supplier.
+ * @type {string[]}
+ */
+const APPENDABLE_STATUSES = [Status.PENDIENTE_PAGO, Status.PAGO_INCOMPLETO, Status.PAGADO];
+
+/**
+ * The start of the key of every Pedido request; the rest is the group's key.
+ * @type {string}
+ */
+const OPERATION_PREFIX = 'confirmar:';
+
+/**
+ * Finds the Pedidos that already use an order number, split by whether they
+ * belong to a brand. A Pedido's brand comes from its lines, so it may list
+ * several names.
+ * @param {Airtable.Record[]} pedidos Every record of "Pedidos".
+ * @param {Object<string, string>} pedidoFields The field IDs of "Pedidos".
+ * @param {string} numero The order number typed by the user.
+ * @param {string} linea The brand of the lines being requested.
+ * @returns {{sameBrand: Airtable.Record[], otherBrands: Airtable.Record[]}} The matching Pedidos.
+ */
+function findPedidosByNumber(pedidos, pedidoFields, numero, linea) {
+    const wanted = numero.trim().toLowerCase();
+    const matches = wanted
+        ? pedidos.filter(pedido => pedido.getCellValueAsString(pedidoFields.noPedido).trim().toLowerCase() === wanted)
+        : [];
+    const isSameBrand = pedido => pedido.getCellValueAsString(pedidoFields.marca)
+        .split(',')
+        .map(name => name.trim())
+        .includes(linea);
+    return {
+        sameBrand: matches.filter(isSameBrand),
+        otherBrands: matches.filter(pedido => !isSameBrand(pedido)),
+    };
+}
 
 /**
  * A modal dialog for confirming a specific group of order lines.
- * This component creates a new "Pedido" record and updates the status
- * of the associated "Líneas de Pedido" records.
+ * This component creates a new "Pedido" record, or adds the lines to an existing
+ * Pedido of the same brand and number, and updates the status of the associated
+ * "Líneas de Pedido" records.
  * @param {object} props The component props.
- * @param {object} props.group The group of records to be confirmed, containing details like linea, records, and totalCosto.
+ * @param {object} props.group The group of records to be confirmed, containing details like key, linea, records, and totalCosto.
  * @param {Function} props.onClose The function to call when the modal should be closed.
  * @returns {React.ReactElement} The rendered confirmation modal.
  */
 function ConfirmarPedidoModal({ group, onClose }) {
-    const base = useBase();
+    const schema = useSchema();
+    const session = useSession();
+    const { tables, fields } = schema;
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [successData, setSuccessData] = useState(null);
+    const [progress, setProgress] = useState(null);
     const [pedidoNumero, setPedidoNumero] = useState(group.pedidoNum === 'Sin No.' ? '' : group.pedidoNum);
     const [pedidoFecha, setPedidoFecha] = useState('');
     const [costosAdicionales, setCostosAdicionales] = useState('');
     const [gastosAdicionales, setGastosAdicionales] = useState('');
+    const [prorrateo, setProrrateo] = useState(AllocationMethod.PROPORCIONAL);
 
-    const pedidosTable = base.getTableByName(PEDIDOS_TABLE_NAME);
-    const lpTable = base.getTableByName(LPO_TABLE_NAME);
-    const pagosTable = base.getTableByName(PAGOS_TABLE_NAME);
-    const metodosPagoTable = base.getTableByName(METODOS_PAGO_TABLE_NAME);
+    const pedidosTable = tables.pedidos;
+    const lpTable = tables.lpo;
+    const pagosTable = tables.pagos;
+    const metodosPagoTable = tables.metodos;
+    const lpoFields = fields.lpo;
+    const pedidoFields = fields.pedidos;
     const metodosPagoRecords = useRecords(metodosPagoTable);
-    const [paymentMethodId, setPaymentMethodId] = useState(null);
-    const [paymentAmount, setPaymentAmount] = useState('');
+    const pedidoRecords = useRecords(pedidosTable, {
+        fields: [
+            pedidoFields.noPedido,
+            pedidoFields.marca,
+            pedidoFields.estatus,
+            pedidoFields.totalCosto,
+            pedidoFields.montoPagado,
+            pedidoFields.productos,
+            pedidoFields.costosAdicionales,
+            pedidoFields.gastosAdicionales,
+        ],
+    });
     const [payments, setPayments] = useState([]);
+    const { getBrandPolicy, getMarkup } = useBrandSettings();
+    const globalConfig = useGlobalConfig();
+    const operationKey = `${OPERATION_PREFIX}${group.key}`;
+    const unfinished = useUnfinishedOperation(operationKey);
+    const credit = useBrandCredit(group.linea, metodosPagoRecords);
+    const [isCreditApplied, setIsCreditApplied] = useState(true);
 
+    // Credit is only used through the notice above the payments, never picked by hand.
     const metodoPagoOptions = useMemo(() => {
         if (!metodosPagoRecords) return [];
-        return metodosPagoRecords.map(r => ({ value: r.id, label: r.name }));
-    }, [metodosPagoRecords]);
-
-    const pedidoStatusChoices = useMemo(() => {
-        const field = pedidosTable.getFieldByNameIfExists('Estatus');
-        return field && field.options && field.options.choices
-            ? field.options.choices.map(choice => choice.name)
-            : [];
-    }, [pedidosTable]);
-
-    const lineaStatusChoices = useMemo(() => {
-        const field = lpTable.getFieldByNameIfExists('Estatus');
-        return field && field.options && field.options.choices
-            ? field.options.choices.map(choice => choice.name)
-            : [];
-    }, [lpTable]);
-
-    const totalPaid = useMemo(() => payments.reduce((sum, p) => sum + p.amount, 0), [payments]);
+        return metodosPagoRecords
+            .filter(r => !isCreditMethod(r, fields.metodos.tipo))
+            .map(r => ({ value: r.id, label: r.name }));
+    }, [metodosPagoRecords, fields]);
+
+    const duplicates = useMemo(
+        () => findPedidosByNumber(pedidoRecords || [], pedidoFields, pedidoNumero, group.linea),
+        [pedidoRecords, pedidoFields, pedidoNumero, group.linea],
+    );
+    const existingPedido = duplicates.sameBrand[0] || null;
+    const existingStatus = existingPedido ? existingPedido.getCellValueAsString(pedidoFields.estatus) : '';
+    const existingTotal = existingPedido ? existingPedido.getCellValue(pedidoFields.totalCosto) || 0 : 0;
+    const existingPaid = existingPedido ? existingPedido.getCellValue(pedidoFields.montoPagado) || 0 : 0;
+
     const extraCost = parseFloat(costosAdicionales) || 0;
     const extraExpenses = parseFloat(gastosAdicionales) || 0;
-    const totalDue = group.totalCosto + extraCost + extraExpenses;
+    // When appending, what the existing Pedido still owes is due along with the new lines.
+    const totalDue = existingTotal - existingPaid + group.totalCosto + extraCost + extraExpenses;
+    // The brand's credit pays first; the payments added by hand cover the rest.
+    const creditApplied = isCreditApplied && credit.creditMethod ? Math.min(credit.balance, totalDue) : 0;
+    const totalPaid = useMemo(() => payments.reduce((sum, p) => sum + p.amount, 0) + creditApplied, [payments, creditApplied]);
     const remaining = Math.max(totalDue - totalPaid, 0);
-    const preferredStatus = brandStatus[group.linea] || 'Pendiente de Pago';
-    const canLeavePending = preferredStatus === 'Pendiente de Pago';
+    const brandPolicy = getBrandPolicy(group.linea);
+    const canLeavePending = brandPolicy.policy === BrandPolicy.ALLOW_PENDING;
+    // The extras entered here land on these lines, so the margin is net of them.
+    const margin = summarizeMargin(group.records, lpoFields, getMarkup);
+    const netMargin = margin.margin - extraCost - extraExpenses;
+    // Method fees go to Gastos Adicionales and are paid with the payments that incur them.
+    const fees = totalFees(payments);
+    // The Pedido's amounts once the lines and payments are added; without an existing Pedido, just these.
+    const newTotal = existingPaid + totalDue + fees;
+    const newPaid = existingPaid + totalPaid + fees;
+    const pedidoStatus = nextPaymentStatus(existingStatus, newTotal, newPaid);
+    const transitionContext = { total: newTotal, paid: newPaid, canLeavePending };
+    const transitionError = existingPedido && !APPENDABLE_STATUSES.includes(existingStatus)
+        ? `El pedido ${existingPedido.getCellValueAsString(pedidoFields.noPedido)} ya está en "${existingStatus}" y no admite más líneas.`
+        : checkTransition('pedidos', existingStatus, pedidoStatus, transitionContext);
 
-    const handleAddPayment = () => {
-        if (!paymentMethodId) {
-            alert('Selecciona un método de pago.');
-            return;
+    /**
+     * Adds a payment from the entry form. An amount above what remains is split,
+     * and the excess becomes credit with the brand once confirmed.
+     * @param {object} payment The payment from `PaymentEntryForm`.
+     * @returns {boolean} Whether the payment was added.
+     */
+    const handleAddPayment = (payment) => {
+        const { applied, excess } = splitOverpayment(payment.amount, remaining);
+        if (excess > 0 && !confirm(
+            `El monto excede el restante por $${excess.toFixed(2)}. ¿Registrar el excedente como crédito a favor con ${group.linea}?`,
+        )) {
+            return false;
         }
-        const amount = parseFloat(paymentAmount);
-        if (!amount || amount <= 0) {
-            alert('Ingresa un monto válido.');
-            return;
+        setPayments(prev => [...prev, { ...payment, amount: applied, excess }]);
+        return true;
+    };
+
+    /**
+     * Builds the steps of a Pedido request from its serializable input. The input
+     * is stored in the operation's journal, so a resumed request repeats the
+     * original one rather than what is currently typed in the form.
+     * @param {object} input The request as captured by `handleConfirm`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildConfirmSteps = (input) => [
+        input.existingPedidoId ? {
+            name: 'pedido',
+            label: 'Agregar líneas al pedido',
+            run: async (tracker) => {
+                const pedido = pedidoRecords.find(record => record.id === input.existingPedidoId);
+                if (!pedido) throw new Error(`No se encontró el pedido ${input.numero}.`);
+                const plan = planTransition(schema, 'pedidos', pedido, input.pedidoStatus, {
+                    action: HistoryAction.SOLICITAR,
+                    context: input.context,
+                    note: `Se agregaron ${input.recordIds.length} línea(s)`,
+                });
+                tracker.updated('pedidos', [snapshotRecord(pedidosTable, pedido, [
+                    pedidoFields.estatus,
+                    pedidoFields.productos,
+                    pedidoFields.costosAdicionales,
+                    pedidoFields.gastosAdicionales,
+                ])]);
+                const linked = (pedido.getCellValue(pedidoFields.productos) || []).map(link => ({ id: link.id }));
+                await pedidosTable.updateRecordAsync(pedido.id, {
+                    ...plan.fields,
+                    [pedidoFields.productos]: [...linked, ...input.recordIds.map(id => ({ id }))],
+                    [pedidoFields.costosAdicionales]: (pedido.getCellValue(pedidoFields.costosAdicionales) || 0) + (input.extraCost || 0),
+                    [pedidoFields.gastosAdicionales]: (pedido.getCellValue(pedidoFields.gastosAdicionales) || 0) + (input.extraExpenses || 0),
+                });
+                return { pedidoId: pedido.id, event: plan.event };
+            },
+        } : {
+            name: 'pedido',
+            label: 'Crear pedido',
+            run: async (tracker) => {
+                const plan = planTransition(schema, 'pedidos', null, input.pedidoStatus, {
+                    action: HistoryAction.SOLICITAR,
+                    context: input.context,
+                    note: `Creado con No. de Pedido ${input.numero}`,
+                });
+                const pedidoId = await pedidosTable.createRecordAsync({
+                    ...plan.fields,
+                    [pedidoFields.noPedido]: input.numero,
+                    [pedidoFields.fechaPedido]: input.fecha || null,
+                    [pedidoFields.costosAdicionales]: input.extraCost || 0,
+                    [pedidoFields.gastosAdicionales]: input.extraExpenses || 0,
+                    [pedidoFields.prorrateo]: { name: input.prorrateo },
+                    [pedidoFields.productos]: input.recordIds.map(id => ({ id })),
+                });
+                tracker.created('pedidos', [pedidoId]);
+                return { pedidoId, event: { ...plan.event, recordId: pedidoId } };
+            },
+        },
+        // Register payments until the due is covered or pending is allowed.
+        ...input.payments.map((payment, idx) => ({
+            name: `pago-${idx}`,
+            label: `Registrar pago ${idx + 1}`,
+            run: async (tracker, results) => {
+                const pagoId = await pagosTable.createRecordAsync(buildPagoFields(schema, results.pedido.pedidoId, payment));
+                tracker.created('pagos', [pagoId]);
+                return pagoId;
+            },
+        })),
+        ...buildCreditSteps(schema, input.payments, input.marca, input.numero),
+        // The new lines can move a paid Pedido back to owing, and the lines it already had with it.
+        ...(input.existingPedidoId ? buildLineStatusSteps(schema, () => ({
+            pedidoId: input.existingPedidoId,
+            pedidoStatus: input.pedidoStatus,
+        }), {
+            action: HistoryAction.SOLICITAR,
+            note: `Se agregaron ${input.recordIds.length} línea(s) al pedido ${input.numero}`,
+        }, setProgress) : []),
+        {
+            // Planned in a step of its own so the events keep the lines' original
+            // statuses when the update below is resumed halfway.
+            name: 'plan-lineas',
+            label: 'Validar líneas',
+            run: async (tracker, results) => input.recordIds
+                .map(id => group.records.find(record => record.id === id))
+                .filter(Boolean)
+                .map(record => ({
+                    ...planTransition(schema, 'lpo', record, input.lineStatus, {
+                        action: HistoryAction.SOLICITAR,
+                        context: input.context,
+                        note: `Asignado No. de Pedido ${input.numero}`,
+                    }).event,
+                    pedidoId: results.pedido.pedidoId,
+                })),
+        },
+        {
+            name: 'lineas',
+            label: 'Actualizar líneas',
+            run: async (tracker, results) => {
+                const records = results['plan-lineas']
+                    .filter(event => !tracker.isWritten(event.recordId))
+                    .map(event => group.records.find(record => record.id === event.recordId))
+                    .filter(Boolean);
+                const snapshots = records.map(record => snapshotRecord(lpTable, record, [lpoFields.estatus, lpoFields.noPedido]));
+                await updateRecordsInBatchesAsync(lpTable, records.map(record => ({
+                    id: record.id,
+                    fields: { [lpoFields.estatus]: { name: input.lineStatus }, [lpoFields.noPedido]: input.numero },
+                })), {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.updated('lpo', snapshots.filter(snapshot => ids.includes(snapshot.id)));
+                        tracker.written(ids);
+                    },
+                });
+            },
+        },
+        buildLandedCostStep(schema, results => results.pedido.pedidoId, setProgress),
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const pagoIds = input.payments.map((_, idx) => results[`pago-${idx}`]);
+                const events = [
+                    { ...results.pedido.event, pagoIds },
+                    ...(results['plan-estatus-lineas'] || []),
+                    ...results['plan-lineas'],
+                ]
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a Pedido request as a unit of work and shows the summary on success.
+     * On failure the journal is kept, and the banner offers to resume or roll back.
+     * @param {object} input The request as captured by `handleConfirm`.
+     */
+    const runConfirm = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                { key: operationKey, label: `La solicitud del pedido ${input.numero}`, input, undoScope: UndoScope.SOLICITAR },
+                buildConfirmSteps(input),
+            );
+            setSuccessData({ linea: group.linea, cantidad: input.recordIds.length, costo: input.totalCosto });
+        } catch (error) {
+            console.error(`Error confirming order:`, error);
+            alert(`Error confirming order: ${error.message}. Puedes reanudar o deshacer la solicitud.`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
         }
-        const adjusted = amount > remaining ? remaining : amount;
-        const idPago = prompt('ID Pago (opcional)') || '';
-        const fechaPago = prompt('Fecha Pago (yyyy-mm-dd, opcional)') || '';
-        const descripcion = prompt('Descripción (opcional)') || '';
-        const notas = prompt('Notas (opcional)') || '';
-        setPayments(prev => [...prev, { methodId: paymentMethodId, amount: adjusted, idPago, fechaPago, descripcion, notas }]);
-        setPaymentAmount('');
     };
 
     /**
-     * Handles the final confirmation. Creates a new Pedido, links the LPO records,
-     * and updates the LPO records' statuses based on brand-specific logic.
+     * Handles the final confirmation. Creates a new Pedido, or appends to the
+     * existing one with the same number and brand, links the LPO records, and
+     * updates the LPO records' statuses based on brand-specific logic.
      */
     const handleConfirm = async () => {
         if (!pedidoNumero || !pedidoNumero.trim()) {
             alert('El número de pedido es requerido.');
             return;
         }
-        if (remaining > 0 && !canLeavePending) {
-            alert('Debes cubrir el total. Esta línea no permite dejar pendiente el pago.');
+        if (transitionError) {
+            alert(transitionError);
             return;
         }
+        if (existingPedido && !confirm(
+            `El pedido ${pedidoNumero.trim()} de ${group.linea} ya existe. ¿Agregar ${group.records.length} línea(s) a ese pedido?`,
+        )) {
+            return;
+        }
+        if (!existingPedido && duplicates.otherBrands.length > 0 && !confirm(
+            `El No. de Pedido ${pedidoNumero.trim()} ya se usa en un pedido de otra marca. ¿Crear de todos modos un pedido nuevo para ${group.linea}?`,
+        )) {
+            return;
+        }
+        // IDs are fixed here so a resumed request writes the same ones.
+        const newPayments = payments.map(payment => ({ ...payment, idPago: payment.idPago || newPaymentId() }));
+        await runConfirm({
+            existingPedidoId: existingPedido ? existingPedido.id : null,
+            numero: pedidoNumero.trim(),
+            fecha: pedidoFecha,
+            extraCost,
+            extraExpenses: extraExpenses + fees,
+            prorrateo,
+            totalCosto: group.totalCosto,
+            pedidoStatus,
+            lineStatus: lineStatusForPedido(pedidoStatus),
+            context: transitionContext,
+            recordIds: group.records.map(record => record.id),
+            marca: group.linea,
+            payments: creditApplied > 0
+                ? [{ metodoId: credit.creditMethod.id, amount: creditApplied, isCredit: true }, ...newPayments]
+                : newPayments,
+        });
+    };
+
+    /**
+     * Deletes whatever an unfinished request created and restores the lines.
+     */
+    const handleRollback = async () => {
         setIsSubmitting(true);
         try {
-            const pedidoStatus = remaining > 0 ? (totalPaid > 0 ? 'Pago Incompleto' : 'Pendiente de Pago') : 'Pagado';
-            const safePedidoStatus = allowedPedidoStatuses.includes(pedidoStatus) && pedidoStatusChoices.includes(pedidoStatus)
-                ? pedidoStatus
-                : (pedidoStatusChoices.includes('Pendiente de Pago') ? 'Pendiente de Pago' : (pedidoStatusChoices[0] || 'Pendiente de Pago'));
-            const rawLineaStatus = preferredStatus || pedidoStatus;
-            const safeLineaStatus = allowedLineaStatuses.includes(rawLineaStatus) && lineaStatusChoices.includes(rawLineaStatus)
-                ? rawLineaStatus
-                : (lineaStatusChoices.includes('Pendiente de Pago') ? 'Pendiente de Pago' : (lineaStatusChoices[0] || 'Pendiente de Pago'));
-            const timestamp = new Date().toISOString();
-
-            // 1. Create the main "Pedido" record.
-            const newPedidoId = await pedidosTable.createRecordAsync({
-                'No. de Pedido': pedidoNumero.trim(),
-                'Estatus': { name: safePedidoStatus },
-                'Fecha Pedido': pedidoFecha || null,
-                'Costos Adicionales': extraCost || 0,
-                'Gastos Adicionales': extraExpenses || 0,
-                'Historial de Estatus': `${timestamp} - Creado y establecido a ${safePedidoStatus}`,
-                'Productos': group.records.map(r => ({ id: r.id })),
-            });
-            
-            // 2. Register payments until the due is covered or pending is allowed.
-            for (const payment of payments) {
-                await pagosTable.createRecordAsync({
-                    'Pedido': [{ id: newPedidoId }],
-                    'Método de Pago Admin': [{ id: payment.methodId }],
-                    'Abono': payment.amount,
-                    'ID Pago': payment.idPago || null,
-                    'Fecha Pago': payment.fechaPago || null,
-                    'Descripción': payment.descripcion || null,
-                    'Notas': payment.notas || null,
-                });
-            }
-            
-            // 3. Update all LPO records in the group with the new status.
-            await lpTable.updateRecordsAsync(group.records.map(record => ({
-                id: record.id,
-                fields: {
-                    'Estatus': { name: safeLineaStatus },
-                    'No. de Pedido': pedidoNumero.trim(),
-                    'Historial de Estatus': `${record.getCellValueAsString('Historial de Estatus') || ''}${record.getCellValueAsString('Historial de Estatus') ? '\n' : ''}${timestamp} - Asignado No. de Pedido ${pedidoNumero.trim()} y cambiado a ${safeLineaStatus}`,
-                },
-            })));
-            setSuccessData({ linea: group.linea, cantidad: group.records.length, costo: group.totalCosto });
+            await rollbackUnitOfWork(globalConfig, schema, unfinished, setProgress);
         } catch (error) {
-            console.error(`Error confirming order:`, error);
-            alert(`Error confirming order: ${error.message}`);
+            console.error(`Error rolling back order:`, error);
+            alert(`Error al deshacer: ${error.message}`);
         } finally {
             setIsSubmitting(false);
+            setProgress(null);
         }
     };
 
@@ -207,12 +444,48 @@ function ConfirmarPedidoModal({ group, onClose }) {
             <Box padding={3}>
                 <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
                 <Heading>Confirmar pedido de {group.linea}</Heading>
+                {unfinished && (
+                    <UnfinishedOperationBanner
+                        journal={unfinished}
+                        isBusy={isSubmitting}
+                        onResume={() => runConfirm(unfinished.input)}
+                        onRollback={handleRollback}
+                    />
+                )}
+                {!brandPolicy.isKnown && (
+                    <Box display="flex" alignItems="center" marginTop={1}>
+                        <Icon name="warning" fillColor="orange" marginRight={1} />
+                        <Text textColor="orange">
+                            La línea &quot;{group.linea || 'Sin línea'}&quot; no tiene política de pago configurada; se usa la política por defecto
+                            ({canLeavePending ? 'puede quedar pendiente' : 'pago completo'}). Agrégala en Configuración.
+                        </Text>
+                    </Box>
+                )}
                 <Input
                     value={pedidoNumero}
                     onChange={e => setPedidoNumero(e.target.value)}
                     placeholder="No. de Pedido"
                     marginTop={2}
                 />
+                {existingPedido && (
+                    <Box display="flex" alignItems="center" marginTop={1}>
+                        <Icon name="info" fillColor="blue" marginRight={1} />
+                        <Text size="small">
+                            Ya existe este pedido ({existingStatus}, pagado ${existingPaid.toFixed(2)} de ${existingTotal.toFixed(2)});
+                            las líneas se agregarán a él y su estatus se recalculará.
+                        </Text>
+                    </Box>
+                )}
+                {!existingPedido && duplicates.otherBrands.length > 0 && (
+                    <Box display="flex" alignItems="center" marginTop={1}>
+                        <Icon name="warning" fillColor="orange" marginRight={1} />
+                        <Text size="small" textColor="orange">
+                            Este número ya se usa en un pedido de {duplicates.otherBrands
+                                .map(pedido => pedido.getCellValueAsString(pedidoFields.marca) || 'marca sin asignar')
+                                .join(', ')}.
+                        </Text>
+                    </Box>
+                )}
                 <Input
                     type="date"
                     value={pedidoFecha}
@@ -234,48 +507,63 @@ function ConfirmarPedidoModal({ group, onClose }) {
                     placeholder="Gastos Adicionales"
                     marginTop={2}
                 />
+                {/* An existing Pedido keeps the allocation it already has. */}
+                {!existingPedido && (
+                    <FormField label="Repartir adicionales entre las líneas" marginTop={2} marginBottom={0}>
+                        <Select options={ALLOCATION_METHOD_OPTIONS} value={prorrateo} onChange={setProrrateo} />
+                    </FormField>
+                )}
                 
                 {/* Scrollable list of items in the order */}
                 <Box border="default" borderRadius="large" padding={2} marginY={2} maxHeight="300px" overflowY="auto">
-                     {group.records.map(record => (
-                        <Box key={record.id} display="flex" justifyContent="space-between" paddingY={1}>
-                            <Text width="150px" truncate>{record.getCellValueAsString('Modelo')}</Text>
-                            <Text flex="1" marginX={2}>{record.getCellValueAsString('Descripción')}</Text>
-                            <Text>${(record.getCellValue('Costo') || 0).toFixed(2)}</Text>
-                        </Box>
-                    ))}
+                    {group.records.map(record => {
+                        const line = lineMargin(record, lpoFields, getMarkup);
+                        return (
+                            <Box key={record.id} display="flex" justifyContent="space-between" paddingY={1}>
+                                <Text width="150px" truncate>{record.getCellValueAsString(lpoFields.modelo)}</Text>
+                                <Text flex="1" marginX={2}>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                                <Text width="90px" textAlign="right">${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                                <Text width="90px" textAlign="right" textColor="light">{line.price === null ? '—' : `$${line.price.toFixed(2)}`}</Text>
+                            </Box>
+                        );
+                    })}
                 </Box>
+                <Text size="small" textColor={netMargin < 0 ? 'red' : 'light'}>
+                    Venta esperada: ${margin.revenue.toFixed(2)} · Margen después de adicionales: ${netMargin.toFixed(2)}
+                    {margin.revenue > 0 ? ` (${formatMarginPercent(netMargin / margin.revenue * 100)})` : ''}
+                    {margin.unpriced > 0 ? ` · ${margin.unpriced} línea(s) sin regla de precio` : ''}
+                </Text>
 
                 {/* Payments */}
                 <Box marginTop={3}>
                     <Heading size="small" marginBottom={2}>Pagos</Heading>
-                    <Box display="flex" alignItems="center" marginBottom={2}>
-                        <Select
-                            width="50%"
-                            options={metodoPagoOptions}
-                            value={paymentMethodId}
-                            onChange={setPaymentMethodId}
-                            placeholder="Método de Pago"
-                        />
-                        <Input
-                            type="number"
-                            width="30%"
-                            marginLeft={2}
-                            value={paymentAmount}
-                            onChange={e => setPaymentAmount(e.target.value)}
-                            placeholder="Monto"
-                        />
-                        <Button marginLeft={2} onClick={handleAddPayment} disabled={isSubmitting || remaining === 0 || !metodoPagoOptions.length}>
-                            Agregar
-                        </Button>
-                    </Box>
+                    <BrandCreditNotice
+                        marcas={[group.linea]}
+                        credit={credit}
+                        applied={creditApplied}
+                        isApplied={isCreditApplied}
+                        onChange={setIsCreditApplied}
+                    />
+                    <PaymentEntryForm
+                        metodosPagoRecords={metodosPagoRecords || []}
+                        metodoOptions={metodoPagoOptions}
+                        marcas={[group.linea]}
+                        disabled={isSubmitting || remaining === 0}
+                        onAdd={handleAddPayment}
+                    />
                     {payments.map((p, idx) => {
-                        const metodo = metodosPagoRecords && metodosPagoRecords.find(r => r.id === p.methodId);
+                        const metodo = metodosPagoRecords && metodosPagoRecords.find(r => r.id === p.metodoId);
                         return (
-                            <Box key={`${p.methodId}-${idx}`} display="flex" alignItems="center" justifyContent="space-between" paddingY={1}>
+                            <Box key={`${p.metodoId}-${idx}`} display="flex" alignItems="center" justifyContent="space-between" paddingY={1}>
                                 <Box display="flex" alignItems="center">
                                     <Text marginRight={2}>{metodo ? metodo.name : 'Método'}</Text>
                                     <Text>${p.amount.toFixed(2)}</Text>
+                                    {p.excess > 0 && (
+                                        <Text marginLeft={2} textColor="light">(+${p.excess.toFixed(2)} a crédito)</Text>
+                                    )}
+                                    {p.fee > 0 && (
+                                        <Text marginLeft={2} textColor="light">(+${p.fee.toFixed(2)} de comisión)</Text>
+                                    )}
                                 </Box>
                                 <Button
                                     icon="x"
@@ -287,15 +575,20 @@ function ConfirmarPedidoModal({ group, onClose }) {
                             </Box>
                         );
                     })}
-                    <Text marginTop={2}>Pagado: ${totalPaid.toFixed(2)} / Total: ${group.totalCosto.toFixed(2)}</Text>
+                    <Text marginTop={2}>
+                        Pagado: ${totalPaid.toFixed(2)} / Total: ${group.totalCosto.toFixed(2)}
+                        {existingPedido ? ` (más $${(existingTotal - existingPaid).toFixed(2)} pendientes del pedido existente)` : ''}
+                    </Text>
                     <Text fontWeight="strong" color={remaining > 0 ? 'red' : 'green'}>
                         Restante: ${remaining.toFixed(2)}{remaining > 0 && !canLeavePending ? ' (requiere pago)' : ''}
                     </Text>
+                    {transitionError && <Text textColor="red">{transitionError}</Text>}
                 </Box>
 
+                {progress && <BatchProgress progress={progress} />}
                 <Box display="flex" justifyContent="flex-end" alignItems="center" paddingTop={3}>
                     <Heading size="small" marginRight={3}>Restante: ${remaining.toFixed(2)}</Heading>
-                    <Button variant="primary" onClick={handleConfirm} disabled={isSubmitting || (!canLeavePending && remaining > 0) || !pedidoNumero.trim()}>
+                    <Button variant="primary" onClick={handleConfirm} disabled={isSubmitting || !pedidoRecords || Boolean(unfinished) || Boolean(transitionError) || !pedidoNumero.trim()}>
                         {isSubmitting ? 'Solicitando...' : 'Solicitar'}
                     </Button>
                 </Box>
@@ -304,54 +597,173 @@ function ConfirmarPedidoModal({ group, onClose }) {
     );
 }
 
+/**
+ * The value of the "Mover a" option that starts a new group.
+ * @type {string}
+ */
+const NEW_GROUP = 'nuevo';
+
+/**
+ * Groups lines by order number and brand ("Línea"), then applies the moves the
+ * user made: lines can be reassigned to another group of the same brand or to a
+ * group of their own. Groups left without lines are dropped.
+ * @param {Airtable.Record[]} records The lines to group.
+ * @param {Object<string, string>} lpoFields The field IDs of "Líneas de Pedido".
+ * @param {{assignments: Object<string, string>, newGroups: object[]}} arrangement The
+ * group key each moved line belongs to, and the groups created by the user.
+ * @returns {object[]} The groups (`key`, `pedidoNum`, `linea`, `isNew`, `records`, `totalCosto`).
+ */
+function arrangeGroups(records, lpoFields, arrangement) {
+    const groups = new Map();
+    const naturalKeys = new Map();
+    records.forEach(record => {
+        const pedidoNum = record.getCellValueAsString(lpoFields.noPedido) || 'Sin No.';
+        const linea = record.getCellValueAsString(lpoFields.linea);
+        // Create a unique key for each group (e.g., "12345-Andrea").
+        const key = `${pedidoNum}-${linea}`;
+        naturalKeys.set(record.id, key);
+        if (!groups.has(key)) groups.set(key, { key, pedidoNum, linea, isNew: false, records: [], totalCosto: 0 });
+    });
+    arrangement.newGroups.forEach(group => {
+        groups.set(group.key, { ...group, pedidoNum: 'Sin No.', isNew: true, records: [], totalCosto: 0 });
+    });
+    records.forEach(record => {
+        const assigned = arrangement.assignments[record.id];
+        const group = groups.get(assigned && groups.has(assigned) ? assigned : naturalKeys.get(record.id));
+        group.records.push(record);
+        group.totalCosto += record.getCellValue(lpoFields.costo) || 0;
+    });
+    return Array.from(groups.values()).filter(group => group.records.length > 0);
+}
+
+/**
+ * Rebuilds the group an unfinished request was started from. Its lines may no
+ * longer be "Confirmar y Monitorear", and a group the user created is gone once
+ * the tab remounts, so the group comes from the journal instead.
+ * @param {object} journal The unfinished request's journal.
+ * @param {Airtable.Record[]} lineRecords Every record of "Líneas de Pedido".
+ * @returns {object} The group, shaped like those of `arrangeGroups`.
+ */
+function groupOfRequest(journal, lineRecords) {
+    const { input } = journal;
+    return {
+        key: journal.key.slice(OPERATION_PREFIX.length),
+        pedidoNum: input.numero,
+        linea: input.marca,
+        isNew: false,
+        records: lineRecords.filter(record => input.recordIds.includes(record.id)),
+        totalCosto: input.totalCosto,
+    };
+}
+
 /**
  * The main view for the "Confirmados" tab.
  * It groups records by order number and brand ("Línea") and displays them as cards.
+ * Lines can be moved between groups of the same brand, or split into new groups,
+ * before a group is requested.
  * @param {object} props The component props.
  * @param {Airtable.Record[]} props.recordsToConfirm An array of records with the status "Confirmar y Monitorear".
+ * @param {Airtable.Record[]} props.lineRecords Every record of "Líneas de Pedido", to reopen unfinished requests.
  * @returns {React.ReactElement} The rendered tab content.
  */
-function ConfirmadosTab({ recordsToConfirm }) {
+function ConfirmadosTab({ recordsToConfirm, lineRecords }) {
+    const { fields } = useSchema();
+    const lpoFields = fields.lpo;
     const [confirmingGroup, setConfirmingGroup] = useState(null);
     const [viewingGroup, setViewingGroup] = useState(null);
+    const [timelineRecord, setTimelineRecord] = useState(null);
+    const { getBrandPolicy } = useBrandSettings();
+
+    const [arrangement, setArrangement] = useState({ assignments: {}, newGroups: [] });
+    const [isArranging, setIsArranging] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [moveTarget, setMoveTarget] = useState(null);
+    const unfinishedRequests = useUnfinishedOperations(OPERATION_PREFIX);
 
     /**
      * @property {object[]} groupedByPedido - An array of order groups.
      * Each group object contains the order number, brand, records, and total cost.
      */
-    const groupedByPedido = useMemo(() => {
-        // The `reduce` function iterates over all records to group them.
-        const recordsByPedido = recordsToConfirm.reduce((groups, record) => {
-            const pedidoNum = record.getCellValueAsString('No. de Pedido') || 'Sin No.';
-            const linea = record.getCellValueAsString('Línea');
-
-            // Create a unique key for each group (e.g., "12345-Andrea").
-            const key = `${pedidoNum}-${linea}`;
-            if (!groups[key]) {
-                groups[key] = {
-                    pedidoNum,
-                    linea,
-                    records: [],
-                    totalCosto: 0,
-                };
+    const groupedByPedido = useMemo(
+        () => arrangeGroups(recordsToConfirm, lpoFields, arrangement),
+        [recordsToConfirm, lpoFields, arrangement],
+    );
+
+    const selectedRecords = recordsToConfirm.filter(record => selectedIds.includes(record.id));
+    const selectedLineas = Array.from(new Set(selectedRecords.map(record => record.getCellValueAsString(lpoFields.linea))));
+    // Lines can only move between groups of the same brand, since a Pedido has a single brand.
+    const moveOptions = selectedLineas.length === 1
+        ? [
+            ...groupedByPedido
+                .filter(group => group.linea === selectedLineas[0])
+                .map(group => ({ value: group.key, label: `Pedido ${group.pedidoNum}${group.isNew ? ' (nuevo)' : ''} · $${group.totalCosto.toFixed(2)}` })),
+            { value: NEW_GROUP, label: 'Nuevo grupo' },
+        ]
+        : [];
+
+    const toggleSelected = (recordId, isSelected) => {
+        setSelectedIds(prev => (isSelected ? [...prev, recordId] : prev.filter(id => id !== recordId)));
+    };
+
+    /**
+     * Moves the selected lines to the chosen group, creating it first when
+     * "Nuevo grupo" is chosen.
+     */
+    const moveSelected = () => {
+        if (!moveTarget || selectedLineas.length !== 1) return;
+        setArrangement(prev => {
+            const newGroups = [...prev.newGroups];
+            let targetKey = moveTarget;
+            if (moveTarget === NEW_GROUP) {
+                targetKey = `nuevo-${Date.now()}-${selectedLineas[0]}`;
+                newGroups.push({ key: targetKey, linea: selectedLineas[0] });
             }
-            // Add the record to its group and update the total cost.
-            groups[key].records.push(record);
-            groups[key].totalCosto += record.getCellValue('Costo') || 0;
-            return groups;
-        }, {});
+            const assignments = { ...prev.assignments };
+            selectedIds.forEach(id => { assignments[id] = targetKey; });
+            return { assignments, newGroups };
+        });
+        setSelectedIds([]);
+        setMoveTarget(null);
+    };
+
+    const resetArrangement = () => {
+        setArrangement({ assignments: {}, newGroups: [] });
+        setSelectedIds([]);
+        setMoveTarget(null);
+    };
 
-        return Object.values(recordsByPedido);
-    }, [recordsToConfirm]);
+    // Requests whose group is still listed are resumed from its card; the rest
+    // moved their lines out of this tab before stopping, so they are listed here.
+    const strandedRequests = unfinishedRequests.filter(journal => !groupedByPedido
+        .some(group => `${OPERATION_PREFIX}${group.key}` === journal.key));
+    const unfinishedNotices = strandedRequests.map(journal => (
+        <Box key={journal.id} display="flex" alignItems="center" border="default" borderRadius="large" padding={2} marginBottom={2} backgroundColor="lightGray1">
+            <Icon name="warning" fillColor="orange" marginRight={2} />
+            <Text flex="1">{journal.label} quedó incompleta.</Text>
+            <Button size="small" onClick={() => setConfirmingGroup(groupOfRequest(journal, lineRecords))}>Revisar</Button>
+        </Box>
+    ));
+    const confirmModal = confirmingGroup && (
+        <ConfirmarPedidoModal group={confirmingGroup} onClose={() => setConfirmingGroup(null)} />
+    );
 
     if (recordsToConfirm.length === 0) {
-        return <Text>No records found with status &quot;Confirmar y Monitorear&quot;.</Text>;
+        return (
+            <Box>
+                <UndoLastOperation scope={UndoScope.SOLICITAR} />
+                {unfinishedNotices}
+                {confirmModal}
+                <Text>No records found with status &quot;Confirmar y Monitorear&quot;.</Text>
+            </Box>
+        );
     }
 
     return (
         <Box>
+            <UndoLastOperation scope={UndoScope.SOLICITAR} />
+            {unfinishedNotices}
             {/* The confirmation modal is rendered here but only visible when `confirmingGroup` is set. */}
-            {confirmingGroup && <ConfirmarPedidoModal group={confirmingGroup} onClose={() => setConfirmingGroup(null)} />}
+            {confirmModal}
             
             {viewingGroup && (
                 <Dialog onClose={() => setViewingGroup(null)} width="600px">
@@ -362,9 +774,16 @@ function ConfirmadosTab({ recordsToConfirm }) {
                         <Box border="default" borderRadius="large" padding={2} maxHeight="350px" overflowY="auto">
                             {viewingGroup.records.map(record => (
                                 <Box key={record.id} display="flex" paddingY={1} borderTop="default">
-                                    <Text flex="1" truncate>{record.getCellValueAsString('Modelo')}</Text>
-                                    <Text flex="2" marginX={2} truncate>{record.getCellValueAsString('Descripción')}</Text>
-                                    <Text flex="1" textAlign="right">${(record.getCellValue('Costo') || 0).toFixed(2)}</Text>
+                                    <Text flex="1" truncate>{record.getCellValueAsString(lpoFields.modelo)}</Text>
+                                    <Text flex="2" marginX={2} truncate>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                                    <Text flex="1" textAlign="right">${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                                    <Button
+                                        marginLeft={2}
+                                        size="small"
+                                        icon="history"
+                                        aria-label="Ver historial"
+                                        onClick={() => setTimelineRecord(record)}
+                                    />
                                 </Box>
                             ))}
                         </Box>
@@ -375,17 +794,73 @@ function ConfirmadosTab({ recordsToConfirm }) {
                 </Dialog>
             )}
 
+            {timelineRecord && (
+                <HistoryTimeline tableKey="lpo" record={timelineRecord} onClose={() => setTimelineRecord(null)} />
+            )}
+
+            <Box display="flex" alignItems="center" justifyContent="flex-end" marginBottom={2}>
+                {isArranging && (
+                    <>
+                        <Text marginRight={2}>{selectedIds.length} línea(s) seleccionada(s)</Text>
+                        {selectedLineas.length > 1 && (
+                            <Text size="small" textColor="orange" marginRight={2}>Selecciona líneas de una sola marca</Text>
+                        )}
+                        <Select
+                            width="260px"
+                            size="small"
+                            marginRight={2}
+                            options={[{ value: null, label: 'Mover a...' }, ...moveOptions]}
+                            value={moveTarget}
+                            onChange={setMoveTarget}
+                            disabled={moveOptions.length === 0}
+                        />
+                        <Button size="small" marginRight={2} onClick={moveSelected} disabled={!moveTarget || moveOptions.length === 0}>
+                            Mover
+                        </Button>
+                        <Button size="small" marginRight={2} onClick={resetArrangement}>Restablecer grupos</Button>
+                    </>
+                )}
+                <Button size="small" icon={isArranging ? 'check' : 'edit'} onClick={() => setIsArranging(!isArranging)}>
+                    {isArranging ? 'Listo' : 'Organizar grupos'}
+                </Button>
+            </Box>
+
             {groupedByPedido.map(group => (
-                <Box key={`${group.pedidoNum}-${group.linea}`} padding={3} border="default" borderRadius="large" marginBottom={3}>
-                    <Heading size="small">Pedido: {group.pedidoNum}</Heading>
+                <Box key={group.key} padding={3} border="default" borderRadius="large" marginBottom={3}>
+                    <Heading size="small">Pedido: {group.pedidoNum}{group.isNew ? ' (grupo nuevo)' : ''}</Heading>
                     <Box display="flex" justifyContent="space-between" alignItems="center">
-                         <Text><Text as="span" fontWeight="strong">Línea: </Text>{group.linea}</Text>
+                         <Box display="flex" alignItems="center">
+                             <Text><Text as="span" fontWeight="strong">Línea: </Text>{group.linea}</Text>
+                             {!getBrandPolicy(group.linea).isKnown && (
+                                 <Box display="flex" alignItems="center" marginLeft={2}>
+                                     <Icon name="warning" size={12} fillColor="orange" marginRight={1} />
+                                     <Text size="small" textColor="orange">Sin política de pago</Text>
+                                 </Box>
+                             )}
+                         </Box>
                          <Text><Text as="span" fontWeight="strong">Suma Costo: </Text>${group.totalCosto.toFixed(2)}</Text>
                         <Box>
                             <Button marginRight={2} icon="expand" aria-label="Ver detalles" onClick={() => setViewingGroup(group)} />
                             <Button variant="primary" onClick={() => setConfirmingGroup(group)}>Solicitar</Button>
                         </Box>
                     </Box>
+                    {isArranging && (
+                        <Box marginTop={2} borderTop="default">
+                            {group.records.map(record => (
+                                <Box key={record.id} display="flex" alignItems="center" paddingY={1}>
+                                    <Switch
+                                        flex="1"
+                                        size="small"
+                                        label={record.getCellValueAsString(lpoFields.modelo)}
+                                        value={selectedIds.includes(record.id)}
+                                        onChange={isSelected => toggleSelected(record.id, isSelected)}
+                                    />
+                                    <Text flex="2" marginX={2} truncate>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                                    <Text flex="1" textAlign="right">${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                                </Box>
+                            ))}
+                        </Box>
+                    )}
                 </Box>
             ))}
         </Box>
@@ -399,9 +874,9 @@ function ConfirmadosTab({ recordsToConfirm }) {
  * @returns {React.ReactElement} The rendered ConfirmadosTab or a Loader.
  */
 function ConfirmadosWrapper() {
-    const base = useBase();
-    const lpoTable = base.getTableByName(LPO_TABLE_NAME);
-    const allRecords = useRecords(lpoTable);
+    const { tables, fields } = useSchema();
+    const lpoFields = fields.lpo;
+    const allRecords = useRecords(tables.lpo);
 
     /**
      * @property {Airtable.Record[]} recordsToConfirm - A memoized list of records filtered
@@ -410,12 +885,12 @@ function ConfirmadosWrapper() {
     const recordsToConfirm = useMemo(() => {
         if (!allRecords) return [];
         // This filter is the core logic for this component.
-        return allRecords.filter(r => r.getCellValueAsString('Estatus') === 'Confirmar y Monitorear');
-    }, [allRecords]);
+        return allRecords.filter(r => r.getCellValueAsString(lpoFields.estatus) === 'Confirmar y Monitorear');
+    }, [allRecords, lpoFields]);
 
     if (!allRecords) return <Loader />;
 
-    return <ConfirmadosTab recordsToConfirm={recordsToConfirm} />;
+    return <ConfirmadosTab recordsToConfirm={recordsToConfirm} lineRecords={allRecords} />;
 }
 
 export default ConfirmadosWrapper;
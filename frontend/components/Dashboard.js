@@ -0,0 +1,234 @@
+/**
+ * @file This file contains all components related to the "Dashboard" tab.
+ * It totals Líneas de Pedido, Pedidos and Pagos into a few figures: cost still
+ * open per Línea, balance owed per brand, monthly spend and cash out per
+ * payment method. Every figure opens a list of the records behind it.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { useRecords, Box, Loader, Select } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { Status } from '../statusMachine';
+import { isCreditMethod, useExcessByPago } from '../credits';
+import DrillDownDialog from './DrillDownDialog';
+import FigureTable from './FigureTable';
+
+/**
+ * Adds up a value over records grouped by a key.
+ * @param {Airtable.Record[]} records The records to group.
+ * @param {Function} keyOf Returns a record's group key.
+ * @param {Function} valueOf Returns a record's value.
+ * @returns {Map<string, {total: number, records: Airtable.Record[]}>} The groups.
+ */
+function sumBy(records, keyOf, valueOf) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyOf(record) || 'Sin asignar';
+        if (!groups.has(key)) groups.set(key, { total: 0, records: [] });
+        const group = groups.get(key);
+        group.total += valueOf(record);
+        group.records.push(record);
+    });
+    return groups;
+}
+
+/**
+ * Returns what is still owed on a Pedido.
+ * @param {Airtable.Record} pedido The Pedido.
+ * @param {Object<string, string>} pedidoFields The field IDs of "Pedidos".
+ * @returns {number} Its total minus what has been paid; nothing for a cancelled Pedido.
+ */
+function balanceOf(pedido, pedidoFields) {
+    if (pedido.getCellValueAsString(pedidoFields.estatus) === Status.CANCELADO) return 0;
+    return (pedido.getCellValue(pedidoFields.totalCosto) || 0) - (pedido.getCellValue(pedidoFields.montoPagado) || 0);
+}
+
+/**
+ * Returns the cash a payment took: its abono plus what it sent to the brand's
+ * credit, as the Pagos tab counts it.
+ * @param {Airtable.Record} pago The payment.
+ * @param {Object<string, string>} pagoFields The field IDs of "Pagos".
+ * @param {Map<string, number>} excessByPago From `useExcessByPago`.
+ * @returns {number} The amount paid.
+ */
+function cashOf(pago, pagoFields, excessByPago) {
+    return (pago.getCellValue(pagoFields.abono) || 0) + (excessByPago.get(pago.id) || 0);
+}
+
+/**
+ * Turns groups from `sumBy` into `FigureTable` rows, largest first.
+ * @param {Map<string, object>[]} columns One map of groups per column.
+ * @returns {object[]} The rows.
+ */
+function toRows(columns) {
+    const empty = { total: 0, records: [] };
+    const labels = new Set();
+    columns.forEach(groups => groups.forEach((_, key) => labels.add(key)));
+    return Array.from(labels)
+        .map(label => ({ label, cells: columns.map(groups => groups.get(label) || empty) }))
+        .sort((a, b) => b.cells.reduce((sum, c) => sum + c.total, 0) - a.cells.reduce((sum, c) => sum + c.total, 0));
+}
+
+/**
+ * The main component for the "Dashboard" tab.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.lineas Every record of "Líneas de Pedido".
+ * @param {Airtable.Record[]} props.pedidos Every record of "Pedidos".
+ * @param {Airtable.Record[]} props.pagos Every record of "Pagos".
+ * @param {Airtable.Record[]} props.metodos Every record of "Métodos de Pago Admin", to tell credit payments apart.
+ * @param {Map<string, number>} props.excessByPago What overpaid Pagos sent to the brand's credit.
+ * @returns {React.ReactElement} The rendered tab content.
+ */
+function DashboardTab({ lineas, pedidos, pagos, metodos, excessByPago }) {
+    const { fields } = useSchema();
+    const lpoFields = fields.lpo;
+    const pedidoFields = fields.pedidos;
+    const pagoFields = fields.pagos;
+    const [drillDown, setDrillDown] = useState(null);
+    const [monthBrand, setMonthBrand] = useState('all');
+
+    const openCostRows = useMemo(() => {
+        const lineaOf = record => record.getCellValueAsString(lpoFields.linea);
+        const withStatus = status => lineas.filter(record => record.getCellValueAsString(lpoFields.estatus) === status);
+        return toRows([
+            sumBy(withStatus(Status.ABIERTO), lineaOf, record => record.getCellValue(lpoFields.costo) || 0),
+            sumBy(withStatus(Status.CONFIRMAR), lineaOf, record => record.getCellValue(lpoFields.costo) || 0),
+        ]);
+    }, [lineas, lpoFields]);
+
+    const balanceRows = useMemo(() => toRows([
+        sumBy(
+            pedidos.filter(pedido => balanceOf(pedido, pedidoFields) > 0.005),
+            pedido => pedido.getCellValueAsString(pedidoFields.marca),
+            pedido => balanceOf(pedido, pedidoFields),
+        ),
+    ]), [pedidos, pedidoFields]);
+
+    const brands = useMemo(() => Array.from(new Set(
+        pedidos.map(pedido => pedido.getCellValueAsString(pedidoFields.marca)).filter(Boolean),
+    )).sort(), [pedidos, pedidoFields]);
+
+    const monthlyRows = useMemo(() => {
+        const inBrand = pedidos.filter(pedido => monthBrand === 'all' || pedido.getCellValueAsString(pedidoFields.marca) === monthBrand);
+        return toRows([
+            sumBy(
+                inBrand.filter(pedido => pedido.getCellValue(pedidoFields.fechaPedido)),
+                pedido => pedido.getCellValue(pedidoFields.fechaPedido).slice(0, 7),
+                pedido => pedido.getCellValue(pedidoFields.totalCosto) || 0,
+            ),
+        ]).sort((a, b) => b.label.localeCompare(a.label));
+    }, [pedidos, pedidoFields, monthBrand]);
+
+    // Payments made with the brand's credit and voided payments moved no money.
+    const cashOutRows = useMemo(() => {
+        const creditMethodIds = metodos.filter(metodo => isCreditMethod(metodo, fields.metodos.tipo)).map(metodo => metodo.id);
+        const cashPagos = pagos.filter(pago => !pago.getCellValue(pagoFields.anulado)
+            && !(pago.getCellValue(pagoFields.metodo) || []).some(link => creditMethodIds.includes(link.id)));
+        return toRows([
+            sumBy(
+                cashPagos,
+                pago => pago.getCellValueAsString(pagoFields.metodo),
+                pago => cashOf(pago, pagoFields, excessByPago),
+            ),
+        ]);
+    }, [pagos, metodos, excessByPago, fields, pagoFields]);
+
+    // Each drill-down describes its records according to the table they come from.
+    const describers = {
+        lpo: record => ({
+            label: `${record.getCellValueAsString(lpoFields.modelo)} · ${record.getCellValueAsString(lpoFields.linea)}`,
+            detail: record.getCellValueAsString(lpoFields.descripcion),
+            amount: record.getCellValue(lpoFields.costo) || 0,
+        }),
+        pedidoBalance: pedido => ({
+            label: `Pedido ${pedido.getCellValueAsString(pedidoFields.noPedido)}`,
+            detail: `${pedido.getCellValueAsString(pedidoFields.estatus)} · Total $${(pedido.getCellValue(pedidoFields.totalCosto) || 0).toFixed(2)}`,
+            amount: balanceOf(pedido, pedidoFields),
+        }),
+        pedidoTotal: pedido => ({
+            label: `Pedido ${pedido.getCellValueAsString(pedidoFields.noPedido)}`,
+            detail: `${pedido.getCellValueAsString(pedidoFields.marca)} · ${pedido.getCellValueAsString(pedidoFields.fechaPedido)}`,
+            amount: pedido.getCellValue(pedidoFields.totalCosto) || 0,
+        }),
+        pago: pago => ({
+            label: `Pedido ${pago.getCellValueAsString(pagoFields.pedido)}`,
+            detail: pago.getCellValueAsString(pagoFields.fechaPago),
+            amount: cashOf(pago, pagoFields, excessByPago),
+        }),
+    };
+    const drillInto = describerKey => (title, records) => setDrillDown({ title, records, describe: describers[describerKey] });
+
+    return (
+        <Box>
+            {drillDown && (
+                <DrillDownDialog
+                    title={drillDown.title}
+                    records={drillDown.records}
+                    describe={drillDown.describe}
+                    onClose={() => setDrillDown(null)}
+                />
+            )}
+            <FigureTable
+                title="Costo abierto por Línea"
+                columns={['Abierto', 'Confirmar y Monitorear']}
+                rows={openCostRows}
+                onDrillDown={drillInto('lpo')}
+            />
+            <FigureTable
+                title="Saldo pendiente por marca"
+                columns={['Saldo']}
+                rows={balanceRows}
+                onDrillDown={drillInto('pedidoBalance')}
+            />
+            <FigureTable
+                title="Gasto mensual"
+                columns={['Total pedidos']}
+                rows={monthlyRows}
+                onDrillDown={drillInto('pedidoTotal')}
+                controls={(
+                    <Select
+                        width="auto"
+                        size="small"
+                        options={[{ value: 'all', label: 'Marca: Todas' }, ...brands.map(v => ({ value: v, label: v }))]}
+                        value={monthBrand}
+                        onChange={setMonthBrand}
+                    />
+                )}
+            />
+            <FigureTable
+                title="Salida de dinero por método de pago"
+                columns={['Pagado']}
+                rows={cashOutRows}
+                onDrillDown={drillInto('pago')}
+            />
+        </Box>
+    );
+}
+
+/**
+ * A wrapper component that fetches the lines, Pedidos and Pagos the dashboard totals.
+ * @returns {React.ReactElement} The rendered DashboardTab or a Loader.
+ */
+function DashboardWrapper() {
+    const { tables, fields } = useSchema();
+    const lpoFields = fields.lpo;
+    const pedidoFields = fields.pedidos;
+    const pagoFields = fields.pagos;
+    const lineas = useRecords(tables.lpo, {
+        fields: [lpoFields.estatus, lpoFields.linea, lpoFields.costo, lpoFields.modelo, lpoFields.descripcion],
+    });
+    const pedidos = useRecords(tables.pedidos, {
+        fields: [pedidoFields.noPedido, pedidoFields.marca, pedidoFields.estatus, pedidoFields.totalCosto, pedidoFields.montoPagado, pedidoFields.fechaPedido],
+    });
+    const pagos = useRecords(tables.pagos, {
+        fields: [pagoFields.pedido, pagoFields.metodo, pagoFields.abono, pagoFields.fechaPago, pagoFields.anulado],
+    });
+    const metodos = useRecords(tables.metodos, { fields: [fields.metodos.tipo] });
+    const excessByPago = useExcessByPago();
+
+    if (!lineas || !pedidos || !pagos || !metodos || !excessByPago) return <Loader />;
+
+    return <DashboardTab lineas={lineas} pedidos={pedidos} pagos={pagos} metodos={metodos} excessByPago={excessByPago} />;
+}
+
+export default DashboardWrapper;
@@ -0,0 +1,56 @@
+/**
+ * @file This file defines the DrillDownDialog component, which lists the
+ * records behind a figure of the dashboard or the aging report.
+ */
+
+import React from 'react';
+import {
+    expandRecord,
+    expandRecordList,
+    Box,
+    Button,
+    Dialog,
+    Heading,
+    Text,
+} from '@airtable/blocks/ui';
+
+/**
+ * A list of the records behind a figure, each of which can be expanded.
+ * @param {object} props The component props.
+ * @param {string} props.title What the figure is.
+ * @param {Airtable.Record[]} props.records The records behind it.
+ * @param {Function} props.describe Returns `{label, detail, amount}` for a record.
+ * @param {Function} props.onClose The function to call when the dialog should be closed.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function DrillDownDialog({ title, records, describe, onClose }) {
+    return (
+        <Dialog onClose={onClose} width="600px">
+            <Box padding={3}>
+                <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
+                <Heading>{title}</Heading>
+                <Box display="flex" justifyContent="space-between" alignItems="center" marginBottom={2}>
+                    <Text textColor="light">{records.length} registro(s)</Text>
+                    <Button size="small" icon="expand" onClick={() => expandRecordList(records)}>Abrir lista</Button>
+                </Box>
+                <Box maxHeight="400px" overflowY="auto">
+                    {records.map(record => {
+                        const { label, detail, amount } = describe(record);
+                        return (
+                            <Box key={record.id} display="flex" alignItems="center" paddingY={1} borderTop="default">
+                                <Box flex="1">
+                                    <Text>{label}</Text>
+                                    {detail && <Text size="small" textColor="light">{detail}</Text>}
+                                </Box>
+                                <Text marginX={2}>${amount.toFixed(2)}</Text>
+                                <Button size="small" icon="expand" aria-label="Abrir registro" onClick={() => expandRecord(record)} />
+                            </Box>
+                        );
+                    })}
+                </Box>
+            </Box>
+        </Dialog>
+    );
+}
+
+export default DrillDownDialog;
@@ -0,0 +1,509 @@
+/**
+ * @file This file contains all components related to the "En tránsito" tab.
+ * It lists the Pedidos that have been shipped, with their carrier and tracking
+ * number, ordered by expected arrival so late shipments show up first, and
+ * provides a modal to check in each line of a Pedido when it arrives.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+    useGlobalConfig,
+    useRecords,
+    useSession,
+    Box,
+    Button,
+    Dialog,
+    Heading,
+    Input,
+    Loader,
+    Select,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { Status, checkTransition, planTransition } from '../statusMachine';
+import { HistoryAction, historyEventKey, recordHistoryAsync } from '../history';
+import { createRecordsInBatchesAsync, updateRecordsInBatchesAsync } from '../batch';
+import { buildCreditFields } from '../credits';
+import {
+    CLAIM_RESOLUTION_OPTIONS,
+    RECEIPT_OUTCOME_OPTIONS,
+    ClaimResolution,
+    claimableAmount,
+    isLineResolved,
+    lineStatusForReceipt,
+    needsResolution,
+} from '../receiving';
+import { UndoScope, rollbackUnitOfWork, runUnitOfWork, snapshotRecord, useUnfinishedOperation } from '../unitOfWork';
+import BatchProgress from './BatchProgress';
+import UndoLastOperation from './UndoLastOperation';
+import UnfinishedOperationBanner from './UnfinishedOperationBanner';
+
+/**
+ * Returns the number of whole days from today to a date.
+ * @param {string} isoDate The date, as "YYYY-MM-DD".
+ * @returns {number} Days until the date; negative when it has passed.
+ */
+function daysUntil(isoDate) {
+    const today = new Date();
+    const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    return Math.round((Date.parse(`${isoDate.slice(0, 10)}T00:00:00Z`) - todayUtc) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * A modal dialog for checking in the lines of a Pedido against what arrived.
+ * Each pending line can be marked received, missing, damaged or substituted;
+ * lines left unchecked keep their status. Missing and damaged lines go on
+ * backorder or become a credit claim with the brand for the part of their cost
+ * that was paid. The Pedido moves to
+ * "Recibido" once none of its lines is pending.
+ * @param {object} props The component props.
+ * @param {Airtable.Record} props.pedido The Pedido being received.
+ * @param {Function} props.onClose The function to call when the modal should be closed.
+ * @returns {React.ReactElement} The rendered receiving modal.
+ */
+function RecibirPedidoModal({ pedido, onClose }) {
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const lineas = useRecords(pedido.selectLinkedRecordsFromCell(pedidoFields.productos, {
+        fields: [lpoFields.estatus, lpoFields.modelo, lpoFields.descripcion, lpoFields.costo],
+    }));
+
+    const [checks, setChecks] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const noPedido = pedido.getCellValueAsString(pedidoFields.noPedido);
+    const marca = pedido.getCellValueAsString(pedidoFields.marca);
+    const total = pedido.getCellValue(pedidoFields.totalCosto) || 0;
+    const paid = pedido.getCellValue(pedidoFields.montoPagado) || 0;
+    const operationKey = `recibir:${pedido.id}`;
+    const unfinished = useUnfinishedOperation(operationKey);
+
+    const pendingLineas = (lineas || []).filter(record => !isLineResolved(record.getCellValueAsString(lpoFields.estatus)));
+
+    /**
+     * Merges changes into the check of a line.
+     * @param {string} recordId The line.
+     * @param {object} changes The `outcome`, `resolution` or `note` to set.
+     */
+    const updateCheck = (recordId, changes) => {
+        setChecks(prev => ({ ...prev, [recordId]: { ...prev[recordId], ...changes } }));
+    };
+
+    /**
+     * Marks every pending line without an outcome as received.
+     */
+    const markAllReceived = () => {
+        setChecks(prev => {
+            const next = { ...prev };
+            pendingLineas.forEach(record => {
+                if (!next[record.id] || !next[record.id].outcome) next[record.id] = { outcome: RECEIPT_OUTCOME_OPTIONS[0].value };
+            });
+            return next;
+        });
+    };
+
+    /**
+     * Builds the steps of a check-in from its serializable input.
+     * @param {object} input The check-in as captured by `handleSave`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildReceiveSteps = (input) => [
+        {
+            // Planned in a step of its own so the events keep the lines' original
+            // statuses when the update below is resumed halfway.
+            name: 'plan-lineas',
+            label: 'Validar líneas',
+            run: async () => input.lines
+                .map(line => ({ line, record: lineas.find(record => record.id === line.recordId) }))
+                .filter(({ record }) => record)
+                .map(({ line, record }) => ({
+                    ...planTransition(schema, 'lpo', record, line.status, {
+                        action: HistoryAction.RECIBIR,
+                        note: line.note,
+                    }).event,
+                    pedidoId: pedido.id,
+                })),
+        },
+        {
+            name: 'reclamos',
+            label: 'Registrar reclamos',
+            run: async (tracker) => {
+                const keyByItem = new Map();
+                const items = input.lines
+                    .filter(line => line.claimAmount > 0 && !tracker.isWritten(`reclamo:${line.recordId}`))
+                    .map(line => {
+                        const item = {
+                            fields: buildCreditFields(schema, {
+                                marca: input.marca,
+                                amount: line.claimAmount,
+                                note: `Reclamo del pedido ${noPedido}: ${line.note}`,
+                            }),
+                        };
+                        keyByItem.set(item, `reclamo:${line.recordId}`);
+                        return item;
+                    });
+                await createRecordsInBatchesAsync(tables.creditos, items, {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('creditos', ids);
+                        tracker.written(batch.map(item => keyByItem.get(item)));
+                    },
+                });
+            },
+        },
+        {
+            name: 'lineas',
+            label: 'Actualizar líneas',
+            run: async (tracker, results) => {
+                const statusById = new Map(input.lines.map(line => [line.recordId, line.status]));
+                const records = results['plan-lineas']
+                    .filter(event => !tracker.isWritten(event.recordId))
+                    .map(event => lineas.find(record => record.id === event.recordId))
+                    .filter(Boolean);
+                const snapshots = records.map(record => snapshotRecord(tables.lpo, record, [lpoFields.estatus]));
+                await updateRecordsInBatchesAsync(tables.lpo, records.map(record => ({
+                    id: record.id,
+                    fields: { [lpoFields.estatus]: { name: statusById.get(record.id) } },
+                })), {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.updated('lpo', snapshots.filter(snapshot => ids.includes(snapshot.id)));
+                        tracker.written(ids);
+                    },
+                });
+            },
+        },
+        {
+            name: 'pedido',
+            label: 'Cerrar pedido',
+            run: async (tracker) => {
+                if (!input.closesPedido) return null;
+                const plan = planTransition(schema, 'pedidos', pedido, Status.RECIBIDO, {
+                    action: HistoryAction.RECIBIR,
+                    context: { unresolvedLines: 0 },
+                    note: 'Todas las líneas resueltas',
+                });
+                tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [pedidoFields.estatus])]);
+                await tables.pedidos.updateRecordAsync(pedido.id, plan.fields);
+                return plan.event;
+            },
+        },
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const events = [...results['plan-lineas'], results.pedido]
+                    .filter(Boolean)
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a check-in as a unit of work and closes the modal on success.
+     * @param {object} input The check-in as captured by `handleSave`.
+     */
+    const runReceive = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                { key: operationKey, label: `La recepción del pedido ${noPedido}`, input, undoScope: UndoScope.RECIBIR },
+                buildReceiveSteps(input),
+            );
+            onClose();
+        } catch (error) {
+            console.error('Error receiving order:', error);
+            alert(`Error al registrar la recepción: ${error.message}. Puedes reanudar o deshacer la recepción.`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    /**
+     * Validates the checked lines and saves the check-in.
+     */
+    const handleSave = async () => {
+        const checked = pendingLineas.filter(record => checks[record.id] && checks[record.id].outcome);
+        if (checked.length === 0) {
+            alert('Marca al menos una línea.');
+            return;
+        }
+        const unsettled = checked.filter(record => needsResolution(checks[record.id].outcome) && !checks[record.id].resolution);
+        if (unsettled.length > 0) {
+            alert('Elige si cada línea faltante o dañada queda en backorder o se reclama como crédito.');
+            return;
+        }
+        const lines = checked.map(record => {
+            const { outcome, resolution, note } = checks[record.id];
+            const status = lineStatusForReceipt(outcome, resolution);
+            const outcomeLabel = RECEIPT_OUTCOME_OPTIONS.find(option => option.value === outcome).label;
+            const description = `${record.getCellValueAsString(lpoFields.modelo)} ${outcomeLabel.toLowerCase()}`;
+            return {
+                recordId: record.id,
+                status,
+                note: note ? `${description}: ${note}` : description,
+                costo: record.getCellValue(lpoFields.costo) || 0,
+                claimAmount: resolution === ClaimResolution.RECLAMO && needsResolution(outcome)
+                    ? claimableAmount(record.getCellValue(lpoFields.costo) || 0, total, paid)
+                    : 0,
+            };
+        });
+        const shortClaims = lines.filter(line => line.status === Status.RECLAMADO && line.claimAmount < line.costo);
+        if (shortClaims.length > 0 && !confirm(
+            `El pedido tiene pagados $${paid.toFixed(2)} de $${total.toFixed(2)}, así que ${shortClaims.length} reclamo(s) `
+            + `solo acreditarán la parte pagada ($${shortClaims.reduce((sum, line) => sum + line.claimAmount, 0).toFixed(2)}). ¿Continuar?`,
+        )) {
+            return;
+        }
+        const errors = lines
+            .map(line => checkTransition(
+                'lpo',
+                lineas.find(record => record.id === line.recordId).getCellValueAsString(lpoFields.estatus),
+                line.status,
+            ))
+            .filter(Boolean);
+        if (errors.length > 0) {
+            alert(Array.from(new Set(errors)).join('\n'));
+            return;
+        }
+        const statusById = new Map(lines.map(line => [line.recordId, line.status]));
+        const unresolvedLines = lineas
+            .filter(record => !isLineResolved(statusById.get(record.id) || record.getCellValueAsString(lpoFields.estatus)))
+            .length;
+        await runReceive({
+            marca,
+            lines,
+            closesPedido: !checkTransition('pedidos', pedido.getCellValueAsString(pedidoFields.estatus), Status.RECIBIDO, { unresolvedLines }),
+        });
+    };
+
+    /**
+     * Restores the lines and Pedido of an unfinished check-in and removes its claims.
+     */
+    const handleRollback = async () => {
+        setIsSubmitting(true);
+        try {
+            await rollbackUnitOfWork(globalConfig, schema, unfinished, setProgress);
+        } catch (error) {
+            console.error('Error rolling back check-in:', error);
+            alert(`Error al deshacer: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    if (!lineas) return <Dialog onClose={onClose}><Loader /></Dialog>;
+
+    return (
+        <Dialog onClose={onClose} width="800px">
+            <Box padding={3}>
+                <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
+                <Heading>Recibir pedido {noPedido}</Heading>
+                <Text marginBottom={2}>
+                    {pendingLineas.length} de {lineas.length} línea(s) por revisar. Las líneas sin marcar conservan su estatus.
+                </Text>
+                {unfinished && (
+                    <UnfinishedOperationBanner
+                        journal={unfinished}
+                        isBusy={isSubmitting}
+                        onResume={() => runReceive(unfinished.input)}
+                        onRollback={handleRollback}
+                    />
+                )}
+
+                <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
+                    <Text flex="1 1 15%">Modelo</Text>
+                    <Text flex="2 1 25%">Descripción</Text>
+                    <Text flex="1 1 10%" textAlign="right" marginRight={2}>Costo</Text>
+                    <Text flex="1 1 50%">Revisión</Text>
+                </Box>
+                {lineas.map(record => {
+                    const status = record.getCellValueAsString(lpoFields.estatus);
+                    const check = checks[record.id] || {};
+                    return (
+                        <Box key={record.id} display="flex" alignItems="center" paddingY={2} borderBottom="default">
+                            <Text flex="1 1 15%">{record.getCellValueAsString(lpoFields.modelo)}</Text>
+                            <Text flex="2 1 25%" truncate>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                            <Text flex="1 1 10%" textAlign="right" marginRight={2}>
+                                ${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}
+                            </Text>
+                            {isLineResolved(status) ? (
+                                <Text flex="1 1 50%" textColor="light">{status}</Text>
+                            ) : (
+                                <Box flex="1 1 50%" display="flex">
+                                    <Select
+                                        width="130px"
+                                        size="small"
+                                        marginRight={1}
+                                        options={[{ value: null, label: status === Status.BACKORDER ? 'Backorder' : 'Sin revisar' }, ...RECEIPT_OUTCOME_OPTIONS]}
+                                        value={check.outcome || null}
+                                        onChange={outcome => updateCheck(record.id, { outcome })}
+                                    />
+                                    {needsResolution(check.outcome) && (
+                                        <Select
+                                            width="150px"
+                                            size="small"
+                                            marginRight={1}
+                                            options={[{ value: null, label: 'Resolución...' }, ...CLAIM_RESOLUTION_OPTIONS]}
+                                            value={check.resolution || null}
+                                            onChange={resolution => updateCheck(record.id, { resolution })}
+                                        />
+                                    )}
+                                    {check.outcome && check.outcome !== RECEIPT_OUTCOME_OPTIONS[0].value && (
+                                        <Input
+                                            size="small"
+                                            flex="1"
+                                            placeholder="Nota"
+                                            value={check.note || ''}
+                                            onChange={e => updateCheck(record.id, { note: e.target.value })}
+                                        />
+                                    )}
+                                </Box>
+                            )}
+                        </Box>
+                    );
+                })}
+
+                {progress && <BatchProgress progress={progress} />}
+                <Box display="flex" justifyContent="space-between" marginTop={3}>
+                    <Button onClick={markAllReceived} disabled={isSubmitting || pendingLineas.length === 0}>
+                        Marcar pendientes como recibidas
+                    </Button>
+                    <Box display="flex">
+                        <Button onClick={onClose} marginRight={2}>Cancelar</Button>
+                        <Button variant="primary" onClick={handleSave} disabled={isSubmitting || Boolean(unfinished)}>
+                            {isSubmitting ? 'Guardando...' : 'Guardar recepción'}
+                        </Button>
+                    </Box>
+                </Box>
+            </Box>
+        </Dialog>
+    );
+}
+
+/**
+ * The main component for the "En tránsito" tab.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.pedidos The shipped Pedidos that have not been received.
+ * @returns {React.ReactElement} The rendered tab content.
+ */
+function EnTransitoTab({ pedidos }) {
+    const { fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const [receivingPedido, setReceivingPedido] = useState(null);
+
+    /**
+     * @property {Airtable.Record[]} sorted The Pedidos by expected arrival; those
+     * without one go last.
+     */
+    const sorted = useMemo(() => {
+        const arrivalOf = pedido => pedido.getCellValue(pedidoFields.llegadaEstimada) || '9999-12-31';
+        return [...pedidos].sort((a, b) => arrivalOf(a).localeCompare(arrivalOf(b)));
+    }, [pedidos, pedidoFields]);
+
+    if (pedidos.length === 0) {
+        return (
+            <Box>
+                <UndoLastOperation scope={UndoScope.RECIBIR} />
+                <Text>No hay pedidos en tránsito.</Text>
+            </Box>
+        );
+    }
+
+    return (
+        <Box>
+            <UndoLastOperation scope={UndoScope.RECIBIR} />
+            {receivingPedido && <RecibirPedidoModal pedido={receivingPedido} onClose={() => setReceivingPedido(null)} />}
+
+            {/* Table Header */}
+            <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
+                <Text flex="1 1 15%">No. de Pedido</Text>
+                <Text flex="1 1 15%">MARCA</Text>
+                <Text flex="1 1 15%">Paquetería</Text>
+                <Text flex="1 1 20%">Guía</Text>
+                <Text flex="1 1 15%">Enviado</Text>
+                <Text flex="1 1 20%">Llegada estimada</Text>
+                <Box width="100px" />
+            </Box>
+
+            {/* Table Body */}
+            {sorted.map(pedido => {
+                const llegada = pedido.getCellValue(pedidoFields.llegadaEstimada);
+                const days = llegada ? daysUntil(llegada) : null;
+                const isLate = days !== null && days < 0;
+                return (
+                    <Box
+                        key={pedido.id}
+                        display="flex"
+                        alignItems="center"
+                        paddingY={2}
+                        borderBottom="default"
+                        backgroundColor={isLate ? '#fde8e8' : undefined}
+                    >
+                        <Text flex="1 1 15%">{pedido.getCellValueAsString(pedidoFields.noPedido)}</Text>
+                        <Text flex="1 1 15%">{pedido.getCellValueAsString(pedidoFields.marca)}</Text>
+                        <Text flex="1 1 15%">{pedido.getCellValueAsString(pedidoFields.paqueteria)}</Text>
+                        <Text flex="1 1 20%" truncate>{pedido.getCellValueAsString(pedidoFields.guia)}</Text>
+                        <Text flex="1 1 15%">{pedido.getCellValueAsString(pedidoFields.fechaEnvio)}</Text>
+                        <Text flex="1 1 20%" textColor={isLate ? 'red' : 'default'}>
+                            {llegada ? pedido.getCellValueAsString(pedidoFields.llegadaEstimada) : 'Sin fecha'}
+                            {isLate && ` (retrasado ${-days} día(s))`}
+                            {days !== null && days >= 0 && ` (en ${days} día(s))`}
+                        </Text>
+                        <Box width="100px" display="flex" justifyContent="flex-end">
+                            <Button variant="primary" size="small" onClick={() => setReceivingPedido(pedido)}>Recibir</Button>
+                        </Box>
+                    </Box>
+                );
+            })}
+        </Box>
+    );
+}
+
+/**
+ * A wrapper component that fetches the Pedidos and keeps the shipped ones.
+ * @returns {React.ReactElement} The rendered EnTransitoTab or a Loader.
+ */
+function EnTransitoWrapper() {
+    const { tables, fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const allRecords = useRecords(tables.pedidos, {
+        fields: [
+            pedidoFields.noPedido,
+            pedidoFields.marca,
+            pedidoFields.estatus,
+            pedidoFields.paqueteria,
+            pedidoFields.guia,
+            pedidoFields.fechaEnvio,
+            pedidoFields.llegadaEstimada,
+            pedidoFields.productos,
+            pedidoFields.totalCosto,
+            pedidoFields.montoPagado,
+        ],
+    });
+
+    const enviados = useMemo(() => {
+        if (!allRecords) return [];
+        return allRecords.filter(record => record.getCellValueAsString(pedidoFields.estatus) === Status.ENVIADO);
+    }, [allRecords, pedidoFields]);
+
+    if (!allRecords) return <Loader />;
+
+    return <EnTransitoTab pedidos={enviados} />;
+}
+
+export default EnTransitoWrapper;
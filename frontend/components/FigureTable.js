@@ -0,0 +1,62 @@
+/**
+ * @file This file defines the FigureTable component, a table of totals per
+ * group used by the dashboard and the aging report.
+ */
+
+import React from 'react';
+import { Box, Button, Heading, Text } from '@airtable/blocks/ui';
+
+/**
+ * A table of figures. Each figure that has records behind it is a link that
+ * opens them.
+ * @param {object} props The component props.
+ * @param {string} props.title The heading of the table.
+ * @param {string[]} props.columns The heading of each value column.
+ * @param {{label: string, cells: {total: number, records: Airtable.Record[]}[]}[]} props.rows
+ * One row per group, with one cell per column.
+ * @param {Function} props.onDrillDown Called with `(title, records)` when a figure is clicked.
+ * @param {React.ReactNode} [props.controls] Extra controls shown next to the heading.
+ * @returns {React.ReactElement} The rendered table.
+ */
+function FigureTable({ title, columns, rows, onDrillDown, controls }) {
+    const totals = columns.map((_, idx) => rows.reduce((sum, row) => sum + row.cells[idx].total, 0));
+    return (
+        <Box border="default" borderRadius="large" padding={2} marginBottom={3}>
+            <Box display="flex" justifyContent="space-between" alignItems="center" marginBottom={2}>
+                <Heading size="small" marginBottom={0}>{title}</Heading>
+                {controls}
+            </Box>
+            <Box display="flex" borderBottom="thick" paddingY={1} fontWeight="strong">
+                <Text flex="2 1 0">&nbsp;</Text>
+                {columns.map(column => <Text key={column} flex="1 1 0" textAlign="right">{column}</Text>)}
+            </Box>
+            {rows.length === 0 && <Text paddingY={2} textColor="light">Sin datos.</Text>}
+            {rows.map(row => (
+                <Box key={row.label} display="flex" paddingY={1} borderBottom="default">
+                    <Text flex="2 1 0" truncate>{row.label}</Text>
+                    {row.cells.map((cell, idx) => (
+                        <Box key={columns[idx]} flex="1 1 0" display="flex" justifyContent="flex-end">
+                            {cell.records.length > 0 ? (
+                                <Button
+                                    size="small"
+                                    variant="secondary"
+                                    onClick={() => onDrillDown(`${title}: ${row.label} · ${columns[idx]}`, cell.records)}
+                                >
+                                    ${cell.total.toFixed(2)}
+                                </Button>
+                            ) : (
+                                <Text textColor="light">-</Text>
+                            )}
+                        </Box>
+                    ))}
+                </Box>
+            ))}
+            <Box display="flex" paddingY={1} fontWeight="strong">
+                <Text flex="2 1 0">Total</Text>
+                {totals.map((total, idx) => <Text key={columns[idx]} flex="1 1 0" textAlign="right">${total.toFixed(2)}</Text>)}
+            </Box>
+        </Box>
+    );
+}
+
+export default FigureTable;
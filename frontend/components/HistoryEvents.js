@@ -0,0 +1,116 @@
+/**
+ * @file This file defines the HistoryEvents component, the list of status
+ * changes of a single line or Pedido, newest first. It is shown on its own in
+ * the history dialog and as a section of the Pedido detail.
+ */
+
+import React, { useMemo } from 'react';
+import { useRecords, Box, Loader, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { HistoryAction, historyLinkField, parseTextHistory } from '../history';
+
+/**
+ * A single entry of the timeline.
+ * @param {object} props The component props.
+ * @param {string} props.timestamp ISO timestamp of the event.
+ * @param {string} props.title The action and status change.
+ * @param {string} [props.subtitle] The user and related records.
+ * @param {string} [props.note] Free-text detail.
+ * @param {boolean} [props.isLegacy] Whether the entry comes from the unmigrated text history.
+ * @returns {React.ReactElement} The rendered entry.
+ */
+function TimelineEntry({ timestamp, title, subtitle, note, isLegacy }) {
+    return (
+        <Box display="flex" paddingY={2} borderTop="default">
+            <Text width="160px" flexShrink={0} textColor="light">{new Date(timestamp).toLocaleString()}</Text>
+            <Box flex="1" marginLeft={2}>
+                <Text fontWeight="strong" textColor={isLegacy ? 'light' : 'default'}>{title}</Text>
+                {subtitle && <Text size="small" textColor="light">{subtitle}</Text>}
+                {note && <Text size="small">{note}</Text>}
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * The history of a record. Events from the history table are listed first; the
+ * free-text history is shown as well until it is migrated. For a Pedido, the
+ * events of its lines are included.
+ * @param {object} props The component props.
+ * @param {string} props.tableKey The logical table of the record, "lpo" or "pedidos".
+ * @param {Airtable.Record} props.record The line or Pedido whose history is shown.
+ * @param {string} [props.maxHeight] The height the list scrolls at.
+ * @returns {React.ReactElement} The rendered list.
+ */
+function HistoryEvents({ tableKey, record, maxHeight = '400px' }) {
+    const schema = useSchema();
+    const historyFields = schema.fields.historial;
+    const linkFieldId = historyLinkField(schema, tableKey);
+    const historyRecords = useRecords(schema.tables.historial, {
+        // For lines the link field is `linea` itself, so the list is de-duplicated.
+        fields: Array.from(new Set([
+            historyFields.fecha,
+            historyFields.usuario,
+            historyFields.desde,
+            historyFields.hacia,
+            historyFields.accion,
+            historyFields.nota,
+            historyFields.linea,
+            linkFieldId,
+        ])),
+        sorts: [{ field: historyFields.fecha, direction: 'desc' }],
+    });
+
+    const events = useMemo(() => {
+        if (!historyRecords) return [];
+        return historyRecords.filter(event => (event.getCellValue(linkFieldId) || []).some(link => link.id === record.id));
+    }, [historyRecords, linkFieldId, record]);
+
+    const legacyEntries = useMemo(() => {
+        const isMigrated = events.some(event => event.getCellValueAsString(historyFields.accion) === HistoryAction.MIGRADO);
+        if (isMigrated) return [];
+        return parseTextHistory(record.getCellValueAsString(schema.fields[tableKey].historial)).reverse();
+    }, [events, historyFields, record, schema, tableKey]);
+
+    if (!historyRecords) return <Loader />;
+
+    return (
+        <Box maxHeight={maxHeight} overflowY="auto">
+            {events.length === 0 && legacyEntries.length === 0 && (
+                <Text paddingY={2}>No hay historial para este registro.</Text>
+            )}
+            {events.map(event => {
+                const from = event.getCellValueAsString(historyFields.desde);
+                const to = event.getCellValueAsString(historyFields.hacia);
+                const change = from ? `${from} → ${to}` : to;
+                const user = event.getCellValueAsString(historyFields.usuario);
+                const line = tableKey === 'pedidos' ? event.getCellValueAsString(historyFields.linea) : '';
+                return (
+                    <TimelineEntry
+                        key={event.id}
+                        timestamp={event.getCellValue(historyFields.fecha)}
+                        title={`${event.getCellValueAsString(historyFields.accion)}${change ? `: ${change}` : ''}`}
+                        subtitle={[user, line && `Línea ${line}`].filter(Boolean).join(' · ')}
+                        note={event.getCellValueAsString(historyFields.nota)}
+                    />
+                );
+            })}
+            {legacyEntries.length > 0 && (
+                <Text marginTop={3} size="small" fontWeight="strong" textColor="light">
+                    Historial de texto (sin migrar)
+                </Text>
+            )}
+            {legacyEntries.map((entry, idx) => (
+                <TimelineEntry
+                    key={`legacy-${idx}`}
+                    timestamp={entry.timestamp}
+                    title={entry.to ? (entry.from ? `${entry.from} → ${entry.to}` : entry.to) : entry.message}
+                    note={entry.to ? entry.note : ''}
+                    isLegacy
+                />
+            ))}
+        </Box>
+    );
+}
+
+export default HistoryEvents;
@@ -0,0 +1,37 @@
+/**
+ * @file This file defines the HistoryTimeline component, a dialog listing the
+ * status history of a single line or Pedido, newest first.
+ */
+
+import React from 'react';
+import { Box, Button, Dialog, Heading } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import HistoryEvents from './HistoryEvents';
+
+/**
+ * A dialog showing the history of a record; see `HistoryEvents`.
+ * @param {object} props The component props.
+ * @param {string} props.tableKey The logical table of the record, "lpo" or "pedidos".
+ * @param {Airtable.Record} props.record The line or Pedido whose history is shown.
+ * @param {Function} props.onClose The function to call when the dialog should be closed.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function HistoryTimeline({ tableKey, record, onClose }) {
+    const schema = useSchema();
+
+    const title = tableKey === 'pedidos'
+        ? `Historial del Pedido ${record.getCellValueAsString(schema.fields.pedidos.noPedido)}`
+        : `Historial de ${record.getCellValueAsString(schema.fields.lpo.modelo) || record.name}`;
+
+    return (
+        <Dialog onClose={onClose} width="600px">
+            <Box padding={3}>
+                <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
+                <Heading>{title}</Heading>
+                <HistoryEvents tableKey={tableKey} record={record} />
+            </Box>
+        </Dialog>
+    );
+}
+
+export default HistoryTimeline;
@@ -0,0 +1,251 @@
+/**
+ * @file This file defines the LandedCostPanel component, shown under a Pedido
+ * in the "Solicitados" tab. It edits the Pedido's extras and how they are
+ * spread, and shows the landed cost of each of its lines.
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+    useGlobalConfig,
+    useRecords,
+    useSession,
+    Box,
+    Button,
+    FormField,
+    Icon,
+    Input,
+    Loader,
+    Select,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { planPaymentStatus, planTransition } from '../statusMachine';
+import { HistoryAction, historyEventKey, recordHistoryAsync } from '../history';
+import { ALLOCATION_METHOD_OPTIONS, allocateExtras, allocationMethodOf, buildLandedCostStep, pedidoExtras } from '../landedCost';
+import { buildLineStatusSteps } from '../pedidoLines';
+import { UndoScope, rollbackUnitOfWork, runUnitOfWork, snapshotRecord, useUnfinishedOperation } from '../unitOfWork';
+import UnfinishedOperationBanner from './UnfinishedOperationBanner';
+
+/**
+ * Differences below half a cent are rounding noise.
+ * @type {number}
+ */
+const EPSILON = 0.005;
+
+/**
+ * The extras of a Pedido and the landed cost of its lines. Saving writes the
+ * extras, recalculates the Pedido's payment status against its new total and
+ * rewrites the landed cost of every line that changed. Landed costs that no
+ * longer match the Pedido, for example after its extras were edited in the
+ * base, are flagged so they can be recalculated.
+ * @param {object} props The component props.
+ * @param {Airtable.Record} props.pedido The Pedido.
+ * @returns {React.ReactElement} The rendered panel.
+ */
+function LandedCostPanel({ pedido }) {
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const lineas = useRecords(pedido.selectLinkedRecordsFromCell(pedidoFields.productos, {
+        fields: [lpoFields.modelo, lpoFields.descripcion, lpoFields.costo, lpoFields.costoPuesto],
+    }));
+    const [costos, setCostos] = useState(String(pedido.getCellValue(pedidoFields.costosAdicionales) || 0));
+    const [gastos, setGastos] = useState(String(pedido.getCellValue(pedidoFields.gastosAdicionales) || 0));
+    const [prorrateo, setProrrateo] = useState(allocationMethodOf(pedido, pedidoFields));
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const noPedido = pedido.getCellValueAsString(pedidoFields.noPedido);
+    const operationKey = `costos:${pedido.id}`;
+    const unfinished = useUnfinishedOperation(operationKey);
+
+    const newCostos = parseFloat(costos) || 0;
+    const newGastos = parseFloat(gastos) || 0;
+    const storedExtras = pedidoExtras(pedido, pedidoFields);
+    const isDirty = Math.abs(newCostos - (pedido.getCellValue(pedidoFields.costosAdicionales) || 0)) > EPSILON
+        || Math.abs(newGastos - (pedido.getCellValue(pedidoFields.gastosAdicionales) || 0)) > EPSILON
+        || prorrateo !== allocationMethodOf(pedido, pedidoFields);
+
+    const lines = useMemo(() => (lineas || []).map(record => ({
+        id: record.id,
+        costo: record.getCellValue(lpoFields.costo) || 0,
+    })), [lineas, lpoFields]);
+    const current = useMemo(
+        () => allocateExtras(lines, storedExtras, allocationMethodOf(pedido, pedidoFields)),
+        [lines, storedExtras, pedido, pedidoFields],
+    );
+    const preview = useMemo(() => allocateExtras(lines, newCostos + newGastos, prorrateo), [lines, newCostos, newGastos, prorrateo]);
+    const isStale = (lineas || []).some(record => record.getCellValue(lpoFields.costoPuesto) !== current.get(record.id));
+
+    /**
+     * Builds the steps of an adjustment from its serializable input.
+     * @param {object} input The adjustment as captured by `handleSave`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildAdjustSteps = (input) => [
+        {
+            name: 'pedido',
+            label: 'Actualizar costos del pedido',
+            run: async (tracker) => {
+                const plan = planTransition(schema, 'pedidos', pedido, input.newStatus, {
+                    action: HistoryAction.AJUSTAR_COSTOS,
+                    context: input.context,
+                    note: input.note,
+                });
+                tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [
+                    pedidoFields.estatus,
+                    pedidoFields.costosAdicionales,
+                    pedidoFields.gastosAdicionales,
+                    pedidoFields.prorrateo,
+                ])]);
+                await tables.pedidos.updateRecordAsync(pedido.id, {
+                    ...plan.fields,
+                    [pedidoFields.costosAdicionales]: input.costos,
+                    [pedidoFields.gastosAdicionales]: input.gastos,
+                    [pedidoFields.prorrateo]: { name: input.prorrateo },
+                });
+                return plan.event;
+            },
+        },
+        // Higher extras can leave a paid Pedido owing again.
+        ...buildLineStatusSteps(schema, () => ({ pedidoId: pedido.id, pedidoStatus: input.newStatus }), {
+            action: HistoryAction.AJUSTAR_COSTOS,
+            note: input.note,
+        }),
+        buildLandedCostStep(schema, () => pedido.id),
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const events = [results.pedido, ...results['plan-estatus-lineas']]
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs an adjustment as a unit of work.
+     * @param {object} input The adjustment as captured by `handleSave`.
+     */
+    const runAdjust = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                { key: operationKey, label: `El ajuste de costos del pedido ${noPedido}`, input, undoScope: UndoScope.COSTOS },
+                buildAdjustSteps(input),
+            );
+        } catch (error) {
+            console.error('Error adjusting costs:', error);
+            alert(`Error al ajustar los costos: ${error.message}. Puedes reanudar o deshacer el ajuste.`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    /**
+     * Saves the extras and recalculates the status and the landed costs.
+     */
+    const handleSave = async () => {
+        if (newCostos < 0 || newGastos < 0) {
+            alert('Los costos y gastos adicionales no pueden ser negativos.');
+            return;
+        }
+        // "Total Costo Pedido" includes the extras, so it moves with them.
+        const total = (pedido.getCellValue(pedidoFields.totalCosto) || 0) - storedExtras + newCostos + newGastos;
+        const paid = pedido.getCellValue(pedidoFields.montoPagado) || 0;
+        const { newStatus, context, error } = planPaymentStatus(pedido.getCellValueAsString(pedidoFields.estatus), total, paid);
+        if (error) {
+            alert(error);
+            return;
+        }
+        await runAdjust({
+            costos: newCostos,
+            gastos: newGastos,
+            prorrateo,
+            newStatus,
+            context,
+            note: isDirty
+                ? `Adicionales: $${storedExtras.toFixed(2)} → $${(newCostos + newGastos).toFixed(2)} (${prorrateo})`
+                : 'Costo puesto recalculado',
+        });
+    };
+
+    /**
+     * Restores the Pedido and the lines of an unfinished adjustment.
+     */
+    const handleRollback = async () => {
+        setIsSubmitting(true);
+        try {
+            await rollbackUnitOfWork(globalConfig, schema, unfinished);
+        } catch (error) {
+            console.error('Error rolling back cost adjustment:', error);
+            alert(`Error al deshacer: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (!lineas) return <Loader />;
+
+    const isBusy = isSubmitting || Boolean(unfinished);
+
+    return (
+        <Box backgroundColor="lightGray1" borderRadius="large" padding={2} marginBottom={2}>
+            {unfinished && (
+                <UnfinishedOperationBanner
+                    journal={unfinished}
+                    isBusy={isSubmitting}
+                    onResume={() => runAdjust(unfinished.input)}
+                    onRollback={handleRollback}
+                />
+            )}
+            <Box display="flex" alignItems="flex-end">
+                <FormField label="Costos Adicionales" width="140px" marginRight={2} marginBottom={0}>
+                    <Input type="number" size="small" value={costos} onChange={e => setCostos(e.target.value)} />
+                </FormField>
+                <FormField label="Gastos Adicionales" width="140px" marginRight={2} marginBottom={0}>
+                    <Input type="number" size="small" value={gastos} onChange={e => setGastos(e.target.value)} />
+                </FormField>
+                <FormField label="Prorrateo" flex="1" marginRight={2} marginBottom={0}>
+                    <Select size="small" options={ALLOCATION_METHOD_OPTIONS} value={prorrateo} onChange={setProrrateo} />
+                </FormField>
+                <Button size="small" variant="primary" onClick={handleSave} disabled={isBusy || (!isDirty && !isStale)}>
+                    {isDirty ? 'Guardar y recalcular' : 'Recalcular'}
+                </Button>
+            </Box>
+            {isStale && !isDirty && (
+                <Box display="flex" alignItems="center" marginTop={2}>
+                    <Icon name="warning" fillColor="orange" marginRight={1} />
+                    <Text textColor="orange">El costo puesto de algunas líneas no refleja los adicionales actuales del pedido.</Text>
+                </Box>
+            )}
+            <Box marginTop={2}>
+                {lineas.map(record => {
+                    const stored = record.getCellValue(lpoFields.costoPuesto);
+                    const next = preview.get(record.id);
+                    return (
+                        <Box key={record.id} display="flex" alignItems="center" paddingY={1} borderBottom="default">
+                            <Text width="150px" truncate>{record.getCellValueAsString(lpoFields.modelo)}</Text>
+                            <Text flex="1" truncate marginX={2}>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                            <Text width="100px" textAlign="right">${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                            <Text width="160px" textAlign="right">
+                                {stored === null ? 'Sin calcular' : `$${stored.toFixed(2)}`}
+                                {stored !== next ? ` → $${next.toFixed(2)}` : ''}
+                            </Text>
+                        </Box>
+                    );
+                })}
+            </Box>
+        </Box>
+    );
+}
+
+export default LandedCostPanel;
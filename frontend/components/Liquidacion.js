@@ -0,0 +1,209 @@
+/**
+ * @file This file contains all components related to the "Liquidación" tab.
+ * It shows how much cash each payer has fronted for Pedidos, how much has been
+ * reimbursed, and the balance still owed, and records new reimbursements.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+    useRecords,
+    Box,
+    Button,
+    FormField,
+    Heading,
+    Input,
+    Loader,
+    Select,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { useExcessByPago } from '../credits';
+import { buildSettlementLedgers, usePayers } from '../payers';
+
+/**
+ * A form that records a reimbursement to a payer.
+ * @param {object} props The component props.
+ * @param {string[]} props.payers The payers that can be reimbursed.
+ * @param {string} props.payer The payer selected in the tab.
+ * @param {number} props.balance The selected payer's balance, offered as the amount.
+ * @returns {React.ReactElement} The rendered form.
+ */
+function ReembolsoForm({ payers, payer, balance }) {
+    const { tables, fields } = useSchema();
+    const reembolsoFields = fields.reembolsos;
+    const [pagador, setPagador] = useState(payer);
+    const [monto, setMonto] = useState(balance > 0 ? balance.toFixed(2) : '');
+    const [fecha, setFecha] = useState(new Date().toISOString().slice(0, 10));
+    const [notas, setNotas] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSave = async () => {
+        const amount = parseFloat(monto);
+        if (!pagador || !amount || amount <= 0) {
+            alert('Selecciona a quién se reembolsa y un monto válido.');
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            await tables.reembolsos.createRecordAsync({
+                [reembolsoFields.pagador]: { name: pagador },
+                [reembolsoFields.monto]: amount,
+                [reembolsoFields.fecha]: fecha || null,
+                [reembolsoFields.notas]: notas || null,
+            });
+            setMonto('');
+            setNotas('');
+        } catch (error) {
+            console.error('Error saving reimbursement:', error);
+            alert(`Error al registrar el reembolso: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Box border="default" borderRadius="large" padding={2} marginTop={3}>
+            <Heading size="small">Registrar reembolso</Heading>
+            <Box display="flex" flexWrap="wrap">
+                <FormField label="A quién" width="160px" marginRight={2}>
+                    <Select options={payers.map(p => ({ value: p, label: p }))} value={pagador} onChange={setPagador} />
+                </FormField>
+                <FormField label="Monto" width="120px" marginRight={2}>
+                    <Input type="number" value={monto} onChange={e => setMonto(e.target.value)} />
+                </FormField>
+                <FormField label="Fecha" width="160px" marginRight={2}>
+                    <Input type="date" value={fecha} onChange={e => setFecha(e.target.value)} />
+                </FormField>
+                <FormField label="Notas" flex="1">
+                    <Input value={notas} onChange={e => setNotas(e.target.value)} />
+                </FormField>
+            </Box>
+            <Box display="flex" justifyContent="flex-end">
+                <Button variant="primary" onClick={handleSave} disabled={isSubmitting || !tables.reembolsos.hasPermissionToCreateRecord()}>
+                    {isSubmitting ? 'Guardando...' : 'Registrar reembolso'}
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * The main component for the "Liquidación" tab.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.pagos Every record of the "Pagos" table.
+ * @param {Airtable.Record[]} props.reembolsos Every record of the "Reembolsos" table.
+ * @param {Map<string, number>} props.excessByPago What overpaid Pagos sent to the brand's credit.
+ * @returns {React.ReactElement} The rendered tab content.
+ */
+function LiquidacionTab({ pagos, reembolsos, excessByPago }) {
+    const { fields } = useSchema();
+    const pagoFields = fields.pagos;
+    const reembolsoFields = fields.reembolsos;
+    const { payers } = usePayers();
+    const [selectedPayer, setSelectedPayer] = useState(payers[0] || null);
+
+    const ledgers = useMemo(() => {
+        const fronted = pagos
+            .filter(pago => pago.getCellValueAsString(pagoFields.quienPago))
+            .map(pago => ({
+                payer: pago.getCellValueAsString(pagoFields.quienPago),
+                date: pago.getCellValue(pagoFields.fechaPago) || '',
+                // A payer is owed all the cash they handed over, excess included.
+                amount: (pago.getCellValue(pagoFields.abono) || 0) + (excessByPago.get(pago.id) || 0),
+                description: `Pago del pedido ${pago.getCellValueAsString(pagoFields.pedido)}`,
+            }));
+        const reimbursed = reembolsos
+            .filter(reembolso => reembolso.getCellValueAsString(reembolsoFields.pagador))
+            .map(reembolso => ({
+                payer: reembolso.getCellValueAsString(reembolsoFields.pagador),
+                date: reembolso.getCellValue(reembolsoFields.fecha) || '',
+                amount: reembolso.getCellValue(reembolsoFields.monto) || 0,
+                description: reembolso.getCellValueAsString(reembolsoFields.notas) || 'Reembolso',
+            }));
+        return buildSettlementLedgers(payers, fronted, reimbursed);
+    }, [pagos, reembolsos, excessByPago, payers, pagoFields, reembolsoFields]);
+
+    const selectedLedger = ledgers.find(ledger => ledger.payer === selectedPayer);
+
+    return (
+        <Box>
+            {/* One card per payer with the balance owed to them. */}
+            <Box display="flex" flexWrap="wrap" marginBottom={3}>
+                {ledgers.map(ledger => (
+                    <Box
+                        key={ledger.payer}
+                        border={ledger.payer === selectedPayer ? 'thick' : 'default'}
+                        borderRadius="large"
+                        padding={2}
+                        marginRight={2}
+                        marginBottom={2}
+                        minWidth="180px"
+                        style={{ cursor: 'pointer' }}
+                        onClick={() => setSelectedPayer(ledger.payer)}
+                    >
+                        <Heading size="xsmall">{ledger.payer}</Heading>
+                        <Text size="small">Adelantado: ${ledger.fronted.toFixed(2)}</Text>
+                        <Text size="small">Reembolsado: ${ledger.reimbursed.toFixed(2)}</Text>
+                        <Text fontWeight="strong" textColor={ledger.balance > 0 ? 'red' : 'green'}>
+                            {ledger.balance >= 0 ? 'Se le debe' : 'Debe'}: ${Math.abs(ledger.balance).toFixed(2)}
+                        </Text>
+                    </Box>
+                ))}
+            </Box>
+
+            {selectedLedger && (
+                <Box>
+                    {/* Table Header */}
+                    <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
+                        <Text flex="1 1 20%">Fecha</Text>
+                        <Text flex="2 1 40%">Concepto</Text>
+                        <Text flex="1 1 20%" textAlign="right">Monto</Text>
+                        <Text flex="1 1 20%" textAlign="right">Saldo</Text>
+                    </Box>
+                    {selectedLedger.entries.length === 0 && <Text paddingY={2}>Sin movimientos.</Text>}
+                    {selectedLedger.entries.map((entry, idx) => (
+                        <Box key={`${entry.kind}-${idx}`} display="flex" paddingY={2} borderBottom="default">
+                            <Text flex="1 1 20%">{entry.date ? entry.date.slice(0, 10) : 'Sin fecha'}</Text>
+                            <Text flex="2 1 40%" truncate>{entry.description}</Text>
+                            <Text flex="1 1 20%" textAlign="right" textColor={entry.signed < 0 ? 'green' : 'default'}>
+                                {entry.signed < 0 ? '-' : ''}${entry.amount.toFixed(2)}
+                            </Text>
+                            <Text flex="1 1 20%" textAlign="right">${entry.balance.toFixed(2)}</Text>
+                        </Box>
+                    ))}
+                </Box>
+            )}
+
+            <ReembolsoForm
+                key={selectedPayer}
+                payers={ledgers.map(ledger => ledger.payer)}
+                payer={selectedPayer}
+                balance={selectedLedger ? selectedLedger.balance : 0}
+            />
+        </Box>
+    );
+}
+
+/**
+ * A wrapper component that fetches the cash payments and the reimbursements.
+ * @returns {React.ReactElement} The rendered LiquidacionTab or a Loader.
+ */
+function LiquidacionWrapper() {
+    const { tables, fields } = useSchema();
+    const pagoFields = fields.pagos;
+    const reembolsoFields = fields.reembolsos;
+    const pagos = useRecords(tables.pagos, {
+        fields: [pagoFields.pedido, pagoFields.abono, pagoFields.fechaPago, pagoFields.quienPago],
+    });
+    const reembolsos = useRecords(tables.reembolsos, {
+        fields: [reembolsoFields.pagador, reembolsoFields.monto, reembolsoFields.fecha, reembolsoFields.notas],
+    });
+
+    const excessByPago = useExcessByPago();
+
+    if (!pagos || !reembolsos || !excessByPago) return <Loader />;
+
+    return <LiquidacionTab pagos={pagos} reembolsos={reembolsos} excessByPago={excessByPago} />;
+}
+
+export default LiquidacionWrapper;
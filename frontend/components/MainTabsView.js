@@ -8,6 +8,12 @@ import React, { useState } from 'react';
 import { Box, Button } from '@airtable/blocks/ui';
 import Confirmados from './Confirmados';
 import Solicitados from './Solicitados';
+import EnTransito from './EnTransito';
+import Pagos from './Pagos';
+import Liquidacion from './Liquidacion';
+import Aging from './Aging';
+import Margenes from './Margenes';
+import Dashboard from './Dashboard';
 
 /**
  * Generates the style object for a tab button.
@@ -24,42 +30,52 @@ const tabButtonStyle = (isActive) => ({
     borderBottom: isActive ? '2px solid blue' : 'none',
 });
 
+/**
+ * The tabs of the application, in display order.
+ * @type {{id: string, label: string, Component: Function}[]}
+ */
+const TABS = [
+    { id: 'confirmados', label: 'Confirmados', Component: Confirmados },
+    { id: 'solicitados', label: 'Solicitados', Component: Solicitados },
+    { id: 'transito', label: 'En tránsito', Component: EnTransito },
+    { id: 'pagos', label: 'Pagos', Component: Pagos },
+    { id: 'liquidacion', label: 'Liquidación', Component: Liquidacion },
+    { id: 'antiguedad', label: 'Antigüedad', Component: Aging },
+    { id: 'margenes', label: 'Márgenes', Component: Margenes },
+    { id: 'dashboard', label: 'Dashboard', Component: Dashboard },
+];
+
 /**
  * The main tab container for the application.
- * It manages which tab ("Confirmados" or "Solicitados") is active and displays
- * the corresponding component.
+ * It manages which tab of `TABS` is active and displays the corresponding component.
  * @returns {React.ReactElement} The rendered tab view.
  */
 function MainTabsView() {
     const [activeTab, setActiveTab] = useState('confirmados');
+    const { Component: ActiveComponent } = TABS.find(tab => tab.id === activeTab);
 
     return (
         <>
             {/* Tab navigation buttons */}
             <Box display="flex" marginBottom={3}>
-                <Button 
-                    onClick={() => setActiveTab('confirmados')} 
-                    size="large" 
-                    style={{...tabButtonStyle(activeTab === 'confirmados'), marginRight: '0.25rem'}}
-                >
-                    Confirmados
-                </Button>
-                <Button 
-                    onClick={() => setActiveTab('solicitados')} 
-                    size="large" 
-                    style={tabButtonStyle(activeTab === 'solicitados')}
-                >
-                    Solicitados
-                </Button>
+                {TABS.map((tab, idx) => (
+                    <Button 
+                        key={tab.id}
+                        onClick={() => setActiveTab(tab.id)} 
+                        size="large" 
+                        style={{...tabButtonStyle(activeTab === tab.id), marginRight: idx < TABS.length - 1 ? '0.25rem' : 0}}
+                    >
+                        {tab.label}
+                    </Button>
+                ))}
             </Box>
 
             {/* Content area for the active tab */}
             <Box flex="1" overflow="auto" border="thick" borderRadius="large" borderTopLeftRadius={0} padding={3}>
-                {activeTab === 'confirmados' && <Confirmados />}
-                {activeTab === 'solicitados' && <Solicitados />}
+                <ActiveComponent />
             </Box>
         </>
     );
 }
 
-export default MainTabsView;
\ No newline at end of file
+export default MainTabsView;
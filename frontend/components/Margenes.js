@@ -0,0 +1,128 @@
+/**
+ * @file This file contains all components related to the "Márgenes" tab.
+ * It summarizes each confirmed Pedido: the cost of its lines, what they are
+ * expected to sell for with their brand's markup, and the resulting margin.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { useRecords, Box, Heading, Loader, Select, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { useBrandSettings } from '../brands';
+import { formatMarginPercent, summarizeMargin } from '../margins';
+
+/**
+ * The main component for the "Márgenes" tab.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.pedidos Every record of "Pedidos".
+ * @param {Airtable.Record[]} props.lineas Every record of "Líneas de Pedido".
+ * @returns {React.ReactElement} The rendered tab content.
+ */
+function MargenesTab({ pedidos, lineas }) {
+    const { fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const { getMarkup } = useBrandSettings();
+    const [marca, setMarca] = useState(null);
+
+    /**
+     * @property {object[]} rows Each Pedido with the margin summary of its lines, newest first.
+     */
+    const rows = useMemo(() => {
+        const lineasById = new Map(lineas.map(record => [record.id, record]));
+        return pedidos
+            .map(pedido => {
+                const records = (pedido.getCellValue(pedidoFields.productos) || [])
+                    .map(link => lineasById.get(link.id))
+                    .filter(Boolean);
+                return { pedido, lineCount: records.length, summary: summarizeMargin(records, lpoFields, getMarkup) };
+            })
+            .filter(({ lineCount }) => lineCount > 0)
+            .sort((a, b) => (b.pedido.getCellValue(pedidoFields.fechaPedido) || '')
+                .localeCompare(a.pedido.getCellValue(pedidoFields.fechaPedido) || ''));
+    }, [pedidos, lineas, pedidoFields, lpoFields, getMarkup]);
+
+    const brandOptions = useMemo(() => [
+        { value: null, label: 'Todas las marcas' },
+        ...Array.from(new Set(rows.map(({ pedido }) => pedido.getCellValueAsString(pedidoFields.marca))))
+            .filter(Boolean)
+            .sort()
+            .map(name => ({ value: name, label: name })),
+    ], [rows, pedidoFields]);
+
+    const visible = marca ? rows.filter(({ pedido }) => pedido.getCellValueAsString(pedidoFields.marca) === marca) : rows;
+    const totals = visible.reduce((sum, { summary }) => ({
+        cost: sum.cost + summary.cost,
+        revenue: sum.revenue + summary.revenue,
+        margin: sum.margin + summary.margin,
+        unpriced: sum.unpriced + summary.unpriced,
+    }), { cost: 0, revenue: 0, margin: 0, unpriced: 0 });
+
+    return (
+        <Box>
+            <Box display="flex" justifyContent="space-between" alignItems="center" marginBottom={2}>
+                <Heading size="small" marginBottom={0}>Margen por pedido</Heading>
+                <Select width="220px" options={brandOptions} value={marca} onChange={setMarca} />
+            </Box>
+            <Text size="small" textColor="light" marginBottom={2}>
+                El costo es el costo puesto de cada línea, o su Costo mientras no lo tenga. La venta usa la regla de precio de la marca.
+            </Text>
+            <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
+                <Text flex="1 1 15%">No. de Pedido</Text>
+                <Text flex="1 1 15%">MARCA</Text>
+                <Text flex="1 1 15%">Estatus</Text>
+                <Text flex="1 1 8%" textAlign="right">Líneas</Text>
+                <Text flex="1 1 12%" textAlign="right">Costo</Text>
+                <Text flex="1 1 12%" textAlign="right">Venta</Text>
+                <Text flex="1 1 12%" textAlign="right">Margen</Text>
+                <Text flex="1 1 8%" textAlign="right">%</Text>
+            </Box>
+            {visible.length === 0 && <Text paddingY={2} textColor="light">No hay pedidos confirmados.</Text>}
+            {visible.map(({ pedido, lineCount, summary }) => (
+                <Box key={pedido.id} display="flex" paddingY={2} borderBottom="default">
+                    <Text flex="1 1 15%" truncate>{pedido.getCellValueAsString(pedidoFields.noPedido)}</Text>
+                    <Text flex="1 1 15%" truncate>{pedido.getCellValueAsString(pedidoFields.marca)}</Text>
+                    <Text flex="1 1 15%" truncate>{pedido.getCellValueAsString(pedidoFields.estatus)}</Text>
+                    <Text flex="1 1 8%" textAlign="right">
+                        {lineCount}{summary.unpriced > 0 ? ` (${summary.unpriced} sin precio)` : ''}
+                    </Text>
+                    <Text flex="1 1 12%" textAlign="right">${summary.cost.toFixed(2)}</Text>
+                    <Text flex="1 1 12%" textAlign="right">${summary.revenue.toFixed(2)}</Text>
+                    <Text flex="1 1 12%" textAlign="right" textColor={summary.margin < 0 ? 'red' : 'default'}>${summary.margin.toFixed(2)}</Text>
+                    <Text flex="1 1 8%" textAlign="right">{formatMarginPercent(summary.marginPercent)}</Text>
+                </Box>
+            ))}
+            <Box display="flex" paddingY={2} fontWeight="strong">
+                <Text flex="3 1 45%">Total{totals.unpriced > 0 ? ` (${totals.unpriced} línea(s) sin precio)` : ''}</Text>
+                <Text flex="1 1 8%" />
+                <Text flex="1 1 12%" textAlign="right">${totals.cost.toFixed(2)}</Text>
+                <Text flex="1 1 12%" textAlign="right">${totals.revenue.toFixed(2)}</Text>
+                <Text flex="1 1 12%" textAlign="right">${totals.margin.toFixed(2)}</Text>
+                <Text flex="1 1 8%" textAlign="right">
+                    {formatMarginPercent(totals.revenue > 0 ? totals.margin / totals.revenue * 100 : null)}
+                </Text>
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * A wrapper component that fetches the Pedidos and lines the margin report needs.
+ * @returns {React.ReactElement} The rendered MargenesTab or a Loader.
+ */
+function MargenesWrapper() {
+    const { tables, fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const pedidos = useRecords(tables.pedidos, {
+        fields: [pedidoFields.noPedido, pedidoFields.marca, pedidoFields.estatus, pedidoFields.fechaPedido, pedidoFields.productos],
+    });
+    const lineas = useRecords(tables.lpo, {
+        fields: [lpoFields.linea, lpoFields.costo, lpoFields.costoPuesto],
+    });
+
+    if (!pedidos || !lineas) return <Loader />;
+
+    return <MargenesTab pedidos={pedidos} lineas={lineas} />;
+}
+
+export default MargenesWrapper;
@@ -0,0 +1,108 @@
+/**
+ * @file This file defines the PagoSelectionSummary component, which is displayed
+ * when records are selected in the Pagos table. It totals the selected payments
+ * by payment method and by who paid them.
+ */
+
+import React, { useMemo } from 'react';
+import { useRecords, Box, Heading, Loader, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { useExcessByPago } from '../credits';
+
+/**
+ * Adds an amount to the group of a key, creating the group when needed.
+ * @param {Map<string, {label: string, count: number, total: number}>} groups The groups.
+ * @param {string} label The group's label.
+ * @param {number} amount The amount to add.
+ */
+function addTo(groups, label, amount) {
+    const group = groups.get(label) || { label, count: 0, total: 0 };
+    group.count += 1;
+    group.total += amount;
+    groups.set(label, group);
+}
+
+/**
+ * A table of totals, one row per group, largest first.
+ * @param {object} props The component props.
+ * @param {string} props.title The heading of the table.
+ * @param {string} props.groupLabel The heading of the group column.
+ * @param {{label: string, count: number, total: number}[]} props.groups The groups.
+ * @returns {React.ReactElement} The rendered table.
+ */
+function TotalsTable({ title, groupLabel, groups }) {
+    return (
+        <Box marginTop={3} border="default" borderRadius="large" overflow="hidden" backgroundColor="white">
+            <Box paddingY={2} paddingX={3} backgroundColor="lightGray2">
+                <Heading size="small" marginBottom={0}>{title}</Heading>
+            </Box>
+            <Box display="flex" paddingY={1} paddingX={3} borderTop="default" fontWeight="strong">
+                <Text flex="2 1 0">{groupLabel}</Text>
+                <Text flex="1 1 0" textAlign="right">Pagos</Text>
+                <Text flex="1 1 0" textAlign="right">Total</Text>
+            </Box>
+            {groups.map(group => (
+                <Box key={group.label} display="flex" paddingY={1} paddingX={3} borderTop="default">
+                    <Text flex="2 1 0" truncate>{group.label}</Text>
+                    <Text flex="1 1 0" textAlign="right">{group.count}</Text>
+                    <Text flex="1 1 0" textAlign="right">${group.total.toFixed(2)}</Text>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * A summary of the payments selected in the grid. Voided payments are counted
+ * but left out of the totals; refunds count as negative amounts.
+ * @param {object} props The component props.
+ * @param {string[]} props.selectedRecordIds The IDs of the Pagos selected in the grid.
+ * @returns {React.ReactElement} The rendered summary.
+ */
+function PagoSelectionSummary({ selectedRecordIds }) {
+    const { tables, fields } = useSchema();
+    const pagoFields = fields.pagos;
+    const selectedRecords = useRecords(tables.pagos, {
+        recordIds: selectedRecordIds,
+        fields: [pagoFields.metodo, pagoFields.abono, pagoFields.quienPago, pagoFields.anulado],
+    });
+    const excessByPago = useExcessByPago();
+
+    /**
+     * @property {object} summary The totals of the selection.
+     */
+    const summary = useMemo(() => {
+        const byMethod = new Map();
+        const byPayer = new Map();
+        let total = 0;
+        let voided = 0;
+        (selectedRecords && excessByPago ? selectedRecords : [])
+            .filter(pago => selectedRecordIds.includes(pago.id))
+            .forEach(pago => {
+                if (pago.getCellValue(pagoFields.anulado)) {
+                    voided += 1;
+                    return;
+                }
+                const amount = (pago.getCellValue(pagoFields.abono) || 0) + (excessByPago.get(pago.id) || 0);
+                total += amount;
+                addTo(byMethod, pago.getCellValueAsString(pagoFields.metodo) || 'Sin método', amount);
+                addTo(byPayer, pago.getCellValueAsString(pagoFields.quienPago) || 'Sin pagador', amount);
+            });
+        const sorted = groups => Array.from(groups.values()).sort((a, b) => b.total - a.total);
+        return { total, voided, byMethod: sorted(byMethod), byPayer: sorted(byPayer) };
+    }, [selectedRecords, selectedRecordIds, excessByPago, pagoFields]);
+
+    if (!selectedRecords || !excessByPago) return <Loader />;
+
+    return (
+        <Box border="thick" borderRadius="large" padding={3} backgroundColor="lightGray1" overflow="auto">
+            <Heading>Pagos seleccionados</Heading>
+            <Text>{selectedRecordIds.length} pago(s) seleccionado(s){summary.voided > 0 ? `, ${summary.voided} anulado(s)` : ''}.</Text>
+            <Text fontWeight="strong">Total: ${summary.total.toFixed(2)}</Text>
+            <TotalsTable title="Por método de pago" groupLabel="Método" groups={summary.byMethod} />
+            <TotalsTable title="Por quién realizó el pago" groupLabel="Pagador" groups={summary.byPayer} />
+        </Box>
+    );
+}
+
+export default PagoSelectionSummary;
@@ -0,0 +1,267 @@
+/**
+ * @file This file contains all components related to the "Pagos" tab.
+ * It lists the payments registered against Pedidos, filtered by date, method,
+ * payer and brand, with subtotals per method and per payer, and lets the team
+ * mark payments as reconciled during the weekly money check-in.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+    useRecords,
+    Box,
+    Button,
+    Heading,
+    Input,
+    Loader,
+    Select,
+    Switch,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { updateRecordsInBatchesAsync } from '../batch';
+import { useExcessByPago } from '../credits';
+import BatchProgress from './BatchProgress';
+
+/**
+ * The reconciliation filter options.
+ * @type {{value: string, label: string}[]}
+ */
+const CONCILIACION_OPTIONS = [
+    { value: 'all', label: 'Conciliación: Todos' },
+    { value: 'pending', label: 'Sin conciliar' },
+    { value: 'done', label: 'Conciliados' },
+];
+
+/**
+ * Sums payment amounts by a key.
+ * @param {object[]} rows The payment rows.
+ * @param {string} key The row property to group by.
+ * @returns {{name: string, total: number, count: number}[]} One entry per value, largest total first.
+ */
+function subtotalsBy(rows, key) {
+    const totals = {};
+    rows.forEach(row => {
+        const name = row[key] || 'Sin asignar';
+        totals[name] = totals[name] || { name, total: 0, count: 0 };
+        totals[name].total += row.amount;
+        totals[name].count += 1;
+    });
+    return Object.values(totals).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * A small table of subtotals.
+ * @param {object} props The component props.
+ * @param {string} props.title The heading of the table.
+ * @param {{name: string, total: number, count: number}[]} props.subtotals The rows to show.
+ * @returns {React.ReactElement} The rendered table.
+ */
+function SubtotalTable({ title, subtotals }) {
+    return (
+        <Box flex="1" border="default" borderRadius="large" padding={2} marginRight={2}>
+            <Heading size="xsmall">{title}</Heading>
+            {subtotals.length === 0 && <Text textColor="light">Sin pagos.</Text>}
+            {subtotals.map(subtotal => (
+                <Box key={subtotal.name} display="flex" justifyContent="space-between" paddingY={1}>
+                    <Text>{subtotal.name} ({subtotal.count})</Text>
+                    <Text fontWeight="strong">${subtotal.total.toFixed(2)}</Text>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * The main component for the "Pagos" tab.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.pagos Every record of the "Pagos" table.
+ * @param {Airtable.Record[]} props.pedidos The Pedidos, used to find each payment's brand.
+ * @param {Map<string, number>} props.excessByPago What overpaid Pagos sent to the brand's credit.
+ * @returns {React.ReactElement} The rendered tab content.
+ */
+function PagosTab({ pagos, pedidos, excessByPago }) {
+    const { tables, fields } = useSchema();
+    const pagoFields = fields.pagos;
+    const pedidoFields = fields.pedidos;
+    const [desde, setDesde] = useState('');
+    const [hasta, setHasta] = useState('');
+    const [metodoFilter, setMetodoFilter] = useState('all');
+    const [quienFilter, setQuienFilter] = useState('all');
+    const [marcaFilter, setMarcaFilter] = useState('all');
+    const [conciliacionFilter, setConciliacionFilter] = useState('all');
+    const [progress, setProgress] = useState(null);
+
+    /**
+     * @property {object[]} rows The payments with the values the tab shows and filters on.
+     */
+    const rows = useMemo(() => {
+        const pedidosById = new Map(pedidos.map(pedido => [pedido.id, pedido]));
+        return pagos.map(pago => {
+            const pedidoLink = (pago.getCellValue(pagoFields.pedido) || [])[0];
+            const pedido = pedidoLink && pedidosById.get(pedidoLink.id);
+            return {
+                record: pago,
+                // The raw value is an ISO date, which compares correctly with the date inputs.
+                fecha: (pago.getCellValue(pagoFields.fechaPago) || '').slice(0, 10),
+                fechaLabel: pago.getCellValueAsString(pagoFields.fechaPago),
+                pedidoNum: pedido ? pedido.getCellValueAsString(pedidoFields.noPedido) : '',
+                marca: pedido ? pedido.getCellValueAsString(pedidoFields.marca) : '',
+                metodo: pago.getCellValueAsString(pagoFields.metodo),
+                quienPago: pago.getCellValueAsString(pagoFields.quienPago),
+                // The cash received, including what went to the brand's credit.
+                amount: (pago.getCellValue(pagoFields.abono) || 0) + (excessByPago.get(pago.id) || 0),
+                isReconciled: Boolean(pago.getCellValue(pagoFields.conciliado)),
+            };
+        }).sort((a, b) => b.fecha.localeCompare(a.fecha));
+    }, [pagos, pedidos, excessByPago, pagoFields, pedidoFields]);
+
+    const optionsFor = (key, allLabel) => [
+        { value: 'all', label: allLabel },
+        ...Array.from(new Set(rows.map(row => row[key]).filter(Boolean))).sort().map(v => ({ value: v, label: v })),
+    ];
+
+    const filteredRows = useMemo(() => rows.filter(row => {
+        const matchesDesde = !desde || (row.fecha && row.fecha >= desde);
+        const matchesHasta = !hasta || (row.fecha && row.fecha <= hasta);
+        const matchesMetodo = metodoFilter === 'all' || row.metodo === metodoFilter;
+        const matchesQuien = quienFilter === 'all' || row.quienPago === quienFilter;
+        const matchesMarca = marcaFilter === 'all' || row.marca === marcaFilter;
+        const matchesConciliacion = conciliacionFilter === 'all'
+            || (conciliacionFilter === 'done') === row.isReconciled;
+        return matchesDesde && matchesHasta && matchesMetodo && matchesQuien && matchesMarca && matchesConciliacion;
+    }), [rows, desde, hasta, metodoFilter, quienFilter, marcaFilter, conciliacionFilter]);
+
+    const total = filteredRows.reduce((sum, row) => sum + row.amount, 0);
+    const pendingRows = filteredRows.filter(row => !row.isReconciled);
+    const canReconcile = tables.pagos.hasPermissionToUpdateRecords();
+
+    /**
+     * Sets the reconciled flag of some payments.
+     * @param {object[]} targetRows The rows to change.
+     * @param {boolean} isReconciled The new value of the flag.
+     */
+    const setReconciled = async (targetRows, isReconciled) => {
+        setProgress({ done: 0, failed: 0, total: targetRows.length });
+        try {
+            await updateRecordsInBatchesAsync(tables.pagos, targetRows.map(row => ({
+                id: row.record.id,
+                fields: { [pagoFields.conciliado]: isReconciled },
+            })), { onProgress: setProgress });
+        } catch (error) {
+            console.error('Error reconciling payments:', error);
+            alert(`Error al conciliar pagos: ${error.message}`);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    return (
+        <Box>
+            <Box display="flex" flexWrap="wrap" marginBottom={2} alignItems="center">
+                <Input type="date" width="150px" value={desde} onChange={e => setDesde(e.target.value)} marginRight={2} />
+                <Text marginRight={2}>a</Text>
+                <Input type="date" width="150px" value={hasta} onChange={e => setHasta(e.target.value)} marginRight={2} />
+                <Select
+                    width="auto"
+                    options={optionsFor('metodo', 'Método: Todos')}
+                    value={metodoFilter}
+                    onChange={setMetodoFilter}
+                    marginRight={2}
+                />
+                <Select
+                    width="auto"
+                    options={optionsFor('quienPago', 'Quién pagó: Todos')}
+                    value={quienFilter}
+                    onChange={setQuienFilter}
+                    marginRight={2}
+                />
+                <Select
+                    width="auto"
+                    options={optionsFor('marca', 'Marca: Todas')}
+                    value={marcaFilter}
+                    onChange={setMarcaFilter}
+                    marginRight={2}
+                />
+                <Select
+                    width="auto"
+                    options={CONCILIACION_OPTIONS}
+                    value={conciliacionFilter}
+                    onChange={setConciliacionFilter}
+                />
+            </Box>
+
+            <Box display="flex" marginBottom={3}>
+                <SubtotalTable title="Por método" subtotals={subtotalsBy(filteredRows, 'metodo')} />
+                <SubtotalTable title="Por quién pagó" subtotals={subtotalsBy(filteredRows, 'quienPago')} />
+            </Box>
+
+            <Box display="flex" alignItems="center" justifyContent="space-between" marginBottom={2}>
+                <Text fontWeight="strong">{filteredRows.length} pago(s) · Total ${total.toFixed(2)}</Text>
+                <Button
+                    variant="primary"
+                    onClick={() => setReconciled(pendingRows, true)}
+                    disabled={!canReconcile || Boolean(progress) || pendingRows.length === 0}
+                >
+                    Conciliar {pendingRows.length} visible(s)
+                </Button>
+            </Box>
+            {progress && <BatchProgress progress={progress} label="Conciliando" />}
+
+            {/* Table Header */}
+            <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
+                <Text flex="1 1 14%">Fecha</Text>
+                <Text flex="1 1 14%">No. de Pedido</Text>
+                <Text flex="1 1 14%">MARCA</Text>
+                <Text flex="1 1 20%">Método</Text>
+                <Text flex="1 1 12%">Quién pagó</Text>
+                <Text flex="1 1 14%" textAlign="right">Monto</Text>
+                <Box width="130px" />
+            </Box>
+
+            {/* Table Body */}
+            {filteredRows.length === 0 && <Text paddingY={2}>No hay pagos con estos filtros.</Text>}
+            {filteredRows.map(row => (
+                <Box key={row.record.id} display="flex" alignItems="center" paddingY={2} borderBottom="default">
+                    <Text flex="1 1 14%">{row.fechaLabel}</Text>
+                    <Text flex="1 1 14%">{row.pedidoNum}</Text>
+                    <Text flex="1 1 14%">{row.marca}</Text>
+                    <Text flex="1 1 20%" truncate>{row.metodo}</Text>
+                    <Text flex="1 1 12%">{row.quienPago}</Text>
+                    <Text flex="1 1 14%" textAlign="right">${row.amount.toFixed(2)}</Text>
+                    <Box width="130px" display="flex" justifyContent="flex-end">
+                        <Switch
+                            size="small"
+                            width="auto"
+                            label="Conciliado"
+                            value={row.isReconciled}
+                            onChange={value => setReconciled([row], value)}
+                            disabled={!canReconcile || Boolean(progress)}
+                        />
+                    </Box>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * A wrapper component that fetches the "Pagos" records and the Pedidos they
+ * belong to.
+ * @returns {React.ReactElement} The rendered PagosTab or a Loader.
+ */
+function PagosWrapper() {
+    const { tables, fields } = useSchema();
+    const pagoFields = fields.pagos;
+    const pedidoFields = fields.pedidos;
+    const pagos = useRecords(tables.pagos, {
+        fields: [pagoFields.pedido, pagoFields.metodo, pagoFields.abono, pagoFields.fechaPago, pagoFields.quienPago, pagoFields.conciliado],
+    });
+    const pedidos = useRecords(tables.pedidos, { fields: [pedidoFields.noPedido, pedidoFields.marca] });
+    const excessByPago = useExcessByPago();
+
+    if (!pagos || !pedidos || !excessByPago) return <Loader />;
+
+    return <PagosTab pagos={pagos} pedidos={pedidos} excessByPago={excessByPago} />;
+}
+
+export default PagosWrapper;
@@ -0,0 +1,133 @@
+/**
+ * @file This file defines the PaymentEntryForm component, the form both payment
+ * modals use to add a payment to the list they save.
+ */
+
+import React, { useState } from 'react';
+import { Box, Button, FormField, Icon, Input, Select, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { usePayers } from '../payers';
+import { PaymentType, paymentFromEntry, validatePaymentEntry } from '../payments';
+import { checkPaymentRule, describePaymentRule, paymentFee, usePaymentMethodRules } from '../paymentMethods';
+
+/**
+ * The form's values when empty.
+ * @type {object}
+ */
+const EMPTY_ENTRY = {
+    metodoId: null,
+    abono: '',
+    idPago: '',
+    fechaPago: '',
+    descripcion: '',
+    notas: '',
+    quienPago: null,
+    referencia: '',
+    tarjeta: '',
+};
+
+/**
+ * A payment form with the fields every payment has, plus the ones its method's
+ * TIPO requires: who paid for cash, the reference number for vouchers and the
+ * debit card for transfers. The entry is validated, and checked against the
+ * method's rule, before `onAdd` is called; a rejected entry is explained below
+ * the form. Payments carry the method's `fee`.
+ * @param {object} props The component props.
+ * @param {Airtable.Record[]} props.metodosPagoRecords The records of "Métodos de Pago".
+ * @param {{value: string, label: string}[]} props.metodoOptions The methods that can be picked.
+ * @param {string[]} props.marcas The brands of the Pedidos being paid.
+ * @param {boolean} props.disabled Whether adding payments is disabled.
+ * @param {Function} props.onAdd Called with the payment; returns `false` to keep the form filled.
+ * @returns {React.ReactElement} The rendered form.
+ */
+function PaymentEntryForm({ metodosPagoRecords, metodoOptions, marcas, disabled, onAdd }) {
+    const { fields } = useSchema();
+    const { payers } = usePayers();
+    const { getRule } = usePaymentMethodRules();
+    const [entry, setEntry] = useState(EMPTY_ENTRY);
+    const [rejection, setRejection] = useState(null);
+
+    const selectedMetodo = metodosPagoRecords.find(record => record.id === entry.metodoId);
+    const tipo = selectedMetodo ? selectedMetodo.getCellValueAsString(fields.metodos.tipo) : null;
+    const rule = selectedMetodo ? getRule(selectedMetodo.id) : null;
+    const ruleDescription = rule ? describePaymentRule(rule) : '';
+    const update = (changes) => {
+        setEntry(prev => ({ ...prev, ...changes }));
+        setRejection(null);
+    };
+
+    const handleAdd = () => {
+        const error = validatePaymentEntry(entry, tipo)
+            || marcas.map(marca => checkPaymentRule(rule, selectedMetodo.name, parseFloat(entry.abono), marca)).find(Boolean);
+        if (error) {
+            setRejection(error);
+            return;
+        }
+        const payment = paymentFromEntry(entry, tipo);
+        if (onAdd({ ...payment, fee: paymentFee(rule, payment.amount) }) !== false) {
+            setEntry(EMPTY_ENTRY);
+        }
+    };
+
+    return (
+        <Box>
+            <Box display="flex">
+                <FormField label="Método de Pago" flex="2" marginRight={2}>
+                    <Select options={metodoOptions} value={entry.metodoId} onChange={metodoId => update({ metodoId })} />
+                </FormField>
+                <FormField label="Abono" flex="1" marginRight={2}>
+                    <Input type="number" value={entry.abono} onChange={e => update({ abono: e.target.value })} />
+                </FormField>
+                <FormField label="Fecha Pago" flex="1">
+                    <Input type="date" value={entry.fechaPago} onChange={e => update({ fechaPago: e.target.value })} />
+                </FormField>
+            </Box>
+            {ruleDescription && (
+                <Text size="small" textColor="light" marginBottom={2}>{selectedMetodo.name}: {ruleDescription}.</Text>
+            )}
+
+            {/* Fields that depend on the method's TIPO */}
+            {tipo === PaymentType.EFECTIVO && (
+                <FormField label="Quién Realizó Pago">
+                    <Select options={payers.map(payer => ({ value: payer, label: payer }))} value={entry.quienPago} onChange={quienPago => update({ quienPago })} />
+                </FormField>
+            )}
+            {tipo === PaymentType.VALES && (
+                <FormField label="Número de Referencia (requerido)">
+                    <Input value={entry.referencia} onChange={e => update({ referencia: e.target.value })} />
+                </FormField>
+            )}
+            {tipo === PaymentType.TRANSFERENCIA && (
+                <FormField label="Tarjeta de Débito">
+                    <Input value={entry.tarjeta} onChange={e => update({ tarjeta: e.target.value })} />
+                </FormField>
+            )}
+
+            <Box display="flex">
+                <FormField label="ID Pago (opcional)" flex="1" marginRight={2}>
+                    <Input value={entry.idPago} onChange={e => update({ idPago: e.target.value })} />
+                </FormField>
+                <FormField label="Descripción (opcional)" flex="1">
+                    <Input value={entry.descripcion} onChange={e => update({ descripcion: e.target.value })} />
+                </FormField>
+            </Box>
+            <FormField label="Notas (opcional)">
+                <Input value={entry.notas} onChange={e => update({ notas: e.target.value })} />
+            </FormField>
+
+            {rejection && (
+                <Box display="flex" alignItems="center" marginBottom={2}>
+                    <Icon name="warning" fillColor="red" marginRight={1} />
+                    <Text textColor="red">{rejection}</Text>
+                </Box>
+            )}
+            <Box display="flex" justifyContent="flex-end">
+                <Button onClick={handleAdd} variant="secondary" disabled={disabled || metodoOptions.length === 0}>
+                    Agregar pago
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+export default PaymentEntryForm;
@@ -0,0 +1,188 @@
+/**
+ * @file This file defines the PedidoDetail component, a dialog opened from a
+ * row of the "Solicitados" tab. It gathers what a Pedido contains and how it was
+ * paid: its lines, its payments, its amounts and its status history, with
+ * buttons to open any of those records in Airtable.
+ */
+
+import React, { useMemo } from 'react';
+import {
+    expandRecord,
+    expandRecordList,
+    useRecords,
+    Box,
+    Button,
+    Dialog,
+    Heading,
+    Loader,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import HistoryEvents from './HistoryEvents';
+
+/**
+ * A titled section of the detail. When it lists records, they can all be
+ * opened at once.
+ * @param {object} props The component props.
+ * @param {string} props.title The section's heading.
+ * @param {Airtable.Record[]} [props.records] The records the section lists.
+ * @param {React.ReactNode} props.children The section's content.
+ * @returns {React.ReactElement} The rendered section.
+ */
+function Section({ title, records, children }) {
+    return (
+        <Box marginTop={3} border="default" borderRadius="large" overflow="hidden">
+            <Box display="flex" justifyContent="space-between" alignItems="center" paddingY={2} paddingX={3} backgroundColor="lightGray2">
+                <Heading size="small" marginBottom={0}>{title}</Heading>
+                {records && records.length > 0 && (
+                    <Button size="small" icon="expand" onClick={() => expandRecordList(records)}>Abrir lista</Button>
+                )}
+            </Box>
+            {children}
+        </Box>
+    );
+}
+
+/**
+ * A label and an amount on one line.
+ * @param {object} props The component props.
+ * @param {string} props.label What the amount is.
+ * @param {number} props.amount The amount.
+ * @param {boolean} [props.isStrong] Whether to highlight the line.
+ * @returns {React.ReactElement} The rendered line.
+ */
+function AmountLine({ label, amount, isStrong }) {
+    return (
+        <Box display="flex" justifyContent="space-between" paddingY={1} paddingX={3} fontWeight={isStrong ? 'strong' : 'default'}>
+            <Text>{label}</Text>
+            <Text>${amount.toFixed(2)}</Text>
+        </Box>
+    );
+}
+
+/**
+ * The detail of a Pedido.
+ * @param {object} props The component props.
+ * @param {Airtable.Record} props.pedido The Pedido to show, as loaded by `SolicitadosWrapper`.
+ * @param {Function} props.onClose The function to call when the dialog should be closed.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function PedidoDetail({ pedido, onClose }) {
+    const { tables, fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const pagoFields = fields.pagos;
+    const lineas = useRecords(pedido.selectLinkedRecordsFromCell(pedidoFields.productos, {
+        fields: [lpoFields.modelo, lpoFields.descripcion, lpoFields.linea, lpoFields.estatus, lpoFields.costo, lpoFields.costoPuesto],
+    }));
+    const pagos = useRecords(tables.pagos, {
+        fields: [
+            pagoFields.pedido,
+            pagoFields.metodo,
+            pagoFields.abono,
+            pagoFields.fechaPago,
+            pagoFields.idPago,
+            pagoFields.referencia,
+            pagoFields.quienPago,
+            pagoFields.notas,
+            pagoFields.anulado,
+        ],
+    });
+
+    const pedidoPagos = useMemo(() => {
+        if (!pagos) return [];
+        return pagos
+            .filter(pago => (pago.getCellValue(pagoFields.pedido) || []).some(link => link.id === pedido.id))
+            .sort((a, b) => (a.getCellValue(pagoFields.fechaPago) || '').localeCompare(b.getCellValue(pagoFields.fechaPago) || ''));
+    }, [pagos, pagoFields, pedido]);
+
+    const noPedido = pedido.getCellValueAsString(pedidoFields.noPedido);
+    const total = pedido.getCellValue(pedidoFields.totalCosto) || 0;
+    const paid = pedido.getCellValue(pedidoFields.montoPagado) || 0;
+    const linesCost = (lineas || []).reduce((sum, record) => sum + (record.getCellValue(lpoFields.costo) || 0), 0);
+    const shipment = [pedido.getCellValueAsString(pedidoFields.paqueteria), pedido.getCellValueAsString(pedidoFields.guia)]
+        .filter(Boolean)
+        .join(', guía ');
+
+    return (
+        <Dialog onClose={onClose} width="760px">
+            <Box padding={3}>
+                <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
+                <Box display="flex" alignItems="center">
+                    <Heading marginBottom={0}>Pedido {noPedido}</Heading>
+                    <Button size="small" icon="expand" marginLeft={2} onClick={() => expandRecord(pedido)}>Abrir pedido</Button>
+                </Box>
+                <Text textColor="light" marginTop={1}>
+                    {[
+                        pedido.getCellValueAsString(pedidoFields.marca),
+                        pedido.getCellValueAsString(pedidoFields.estatus),
+                        pedido.getCellValueAsString(pedidoFields.fechaPedido),
+                        shipment && `Enviado por ${shipment}`,
+                    ].filter(Boolean).join(' · ')}
+                </Text>
+                {!lineas || !pagos ? (
+                    <Loader />
+                ) : (
+                    <Box maxHeight="70vh" overflowY="auto">
+                        <Section title={`Productos (${lineas.length})`} records={lineas}>
+                            {lineas.length === 0 && <Text paddingY={2} paddingX={3} textColor="light">El pedido no tiene líneas.</Text>}
+                            {lineas.map(record => (
+                                <Box key={record.id} display="flex" alignItems="center" paddingY={1} paddingX={3} borderTop="default">
+                                    <Text flex="1 1 20%" truncate>{record.getCellValueAsString(lpoFields.modelo) || record.name}</Text>
+                                    <Text flex="2 1 40%" truncate>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                                    <Text flex="1 1 20%" truncate size="small" textColor="light">{record.getCellValueAsString(lpoFields.estatus)}</Text>
+                                    <Text width="90px" textAlign="right">${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                                    <Button size="small" icon="expand" marginLeft={2} aria-label="Abrir línea" onClick={() => expandRecord(record)} />
+                                </Box>
+                            ))}
+                        </Section>
+                        <Section title={`Pagos (${pedidoPagos.length})`} records={pedidoPagos}>
+                            {pedidoPagos.length === 0 && <Text paddingY={2} paddingX={3} textColor="light">Sin pagos registrados.</Text>}
+                            {pedidoPagos.map(pago => {
+                                const isVoided = Boolean(pago.getCellValue(pagoFields.anulado));
+                                const amount = pago.getCellValue(pagoFields.abono) || 0;
+                                const reference = pago.getCellValueAsString(pagoFields.referencia) || pago.getCellValueAsString(pagoFields.idPago);
+                                return (
+                                    <Box key={pago.id} display="flex" alignItems="center" paddingY={1} paddingX={3} borderTop="default">
+                                        <Text width="100px" textColor={isVoided ? 'light' : 'default'}>
+                                            {pago.getCellValueAsString(pagoFields.fechaPago) || 'Sin fecha'}
+                                        </Text>
+                                        <Box flex="1 1 30%" minWidth={0}>
+                                            <Text truncate textColor={isVoided ? 'light' : 'default'}>
+                                                {pago.getCellValueAsString(pagoFields.metodo) || 'Sin método'}
+                                                {amount < 0 ? ' · Devolución' : ''}
+                                                {isVoided ? ' · Anulado' : ''}
+                                            </Text>
+                                            {pago.getCellValueAsString(pagoFields.notas) && (
+                                                <Text size="small" textColor="light" truncate>{pago.getCellValueAsString(pagoFields.notas)}</Text>
+                                            )}
+                                        </Box>
+                                        <Text flex="1 1 25%" truncate size="small">{reference || 'Sin referencia'}</Text>
+                                        <Text flex="1 1 15%" truncate size="small" textColor="light">{pago.getCellValueAsString(pagoFields.quienPago)}</Text>
+                                        <Text width="90px" textAlign="right" textColor={isVoided ? 'light' : 'default'}>${amount.toFixed(2)}</Text>
+                                        <Button size="small" icon="expand" marginLeft={2} aria-label="Abrir pago" onClick={() => expandRecord(pago)} />
+                                    </Box>
+                                );
+                            })}
+                        </Section>
+                        <Section title="Importes">
+                            <AmountLine label="Costo de las líneas" amount={linesCost} />
+                            <AmountLine label="Costos Adicionales" amount={pedido.getCellValue(pedidoFields.costosAdicionales) || 0} />
+                            <AmountLine label="Gastos Adicionales" amount={pedido.getCellValue(pedidoFields.gastosAdicionales) || 0} />
+                            <AmountLine label="Total del pedido" amount={total} isStrong />
+                            <AmountLine label="Pagado" amount={paid} />
+                            <AmountLine label="Saldo" amount={total - paid} isStrong />
+                        </Section>
+                        <Section title="Historial">
+                            <Box paddingX={3}>
+                                <HistoryEvents tableKey="pedidos" record={pedido} maxHeight="250px" />
+                            </Box>
+                        </Section>
+                    </Box>
+                )}
+            </Box>
+        </Dialog>
+    );
+}
+
+export default PedidoDetail;
@@ -0,0 +1,547 @@
+/**
+ * @file This file defines the PedidoPayments component, the payment list shown
+ * under a Pedido in the "Solicitados" tab. Payments can be edited, voided or
+ * refunded from it, and each change recalculates the Pedido's status.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+    useGlobalConfig,
+    useRecords,
+    useSession,
+    Box,
+    Button,
+    Input,
+    Loader,
+    Select,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { planPaymentStatus, planTransition } from '../statusMachine';
+import { HistoryAction, historyEventKey, recordHistoryAsync } from '../history';
+import { buildCreditFields, isCreditMethod, splitOverpayment, useExcessByPago } from '../credits';
+import {
+    PaymentType,
+    buildPagoFields,
+    feeOfPago,
+    newPaymentId,
+    notesWithFee,
+    notesWithoutFee,
+    paymentFromEntry,
+    validatePaymentEntry,
+} from '../payments';
+import { checkPaymentRule, paymentFee, usePaymentMethodRules } from '../paymentMethods';
+import { usePayers } from '../payers';
+import { buildLineStatusSteps } from '../pedidoLines';
+import { buildLandedCostStep } from '../landedCost';
+import { UndoScope, rollbackUnitOfWork, runUnitOfWork, snapshotRecord, useUnfinishedOperation } from '../unitOfWork';
+import UnfinishedOperationBanner from './UnfinishedOperationBanner';
+
+/**
+ * The kinds of payment correction.
+ * @enum {string}
+ */
+const Correction = Object.freeze({
+    EDITAR: 'editar',
+    ANULAR: 'anular',
+    DEVOLUCION: 'devolucion',
+});
+
+/**
+ * A new refund's values, shaped like a `PaymentEntryForm` entry.
+ * @type {object}
+ */
+const EMPTY_REFUND = {
+    metodoId: null,
+    abono: '',
+    idPago: '',
+    fechaPago: '',
+    descripcion: 'Devolución',
+    notas: '',
+    quienPago: null,
+    referencia: '',
+    tarjeta: '',
+};
+
+/**
+ * Returns today's date for the date inputs.
+ * @returns {string} The date, as "YYYY-MM-DD".
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * The inputs a payment method's TIPO adds to a payment row: who paid for cash,
+ * the reference number for vouchers and the debit card for transfers.
+ * @param {object} props The component props.
+ * @param {?string} props.tipo The TIPO of the row's method.
+ * @param {object} props.entry The row's values (`quienPago`, `referencia`, `tarjeta`).
+ * @param {string[]} props.payers The payers that can be picked.
+ * @param {Function} props.onChange Called with the changed values.
+ * @returns {?React.ReactElement} The rendered inputs, if the TIPO has any.
+ */
+function MethodFields({ tipo, entry, payers, onChange }) {
+    if (tipo === PaymentType.EFECTIVO) {
+        return (
+            <Select
+                width="140px"
+                size="small"
+                marginRight={1}
+                options={[{ value: null, label: '¿Quién pagó?' }, ...payers.map(payer => ({ value: payer, label: payer }))]}
+                value={entry.quienPago}
+                onChange={quienPago => onChange({ quienPago })}
+            />
+        );
+    }
+    if (tipo === PaymentType.VALES) {
+        return <Input width="120px" size="small" marginRight={1} placeholder="Referencia" value={entry.referencia} onChange={e => onChange({ referencia: e.target.value })} />;
+    }
+    if (tipo === PaymentType.TRANSFERENCIA) {
+        return <Input width="120px" size="small" marginRight={1} placeholder="Tarjeta" value={entry.tarjeta} onChange={e => onChange({ tarjeta: e.target.value })} />;
+    }
+    return null;
+}
+
+/**
+ * The payments of a Pedido, with actions to edit or void each one and to
+ * register a refund from the supplier as a negative payment.
+ * @param {object} props The component props.
+ * @param {Airtable.Record} props.pedido The Pedido whose payments are shown.
+ * @returns {React.ReactElement} The rendered payment list.
+ */
+function PedidoPayments({ pedido }) {
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const pedidoFields = fields.pedidos;
+    const pagoFields = fields.pagos;
+    const pagos = useRecords(tables.pagos, {
+        fields: [
+            pagoFields.pedido,
+            pagoFields.metodo,
+            pagoFields.abono,
+            pagoFields.comision,
+            pagoFields.fechaPago,
+            pagoFields.descripcion,
+            pagoFields.notas,
+            pagoFields.quienPago,
+            pagoFields.referencia,
+            pagoFields.tarjeta,
+            pagoFields.anulado,
+        ],
+    });
+    const metodos = useRecords(tables.metodos);
+    const excessByPago = useExcessByPago();
+    const { getRule } = usePaymentMethodRules();
+    const { payers } = usePayers();
+    const [editing, setEditing] = useState(null);
+    const [refund, setRefund] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const noPedido = pedido.getCellValueAsString(pedidoFields.noPedido);
+    const operationKey = `corregir-pago:${pedido.id}`;
+    const unfinished = useUnfinishedOperation(operationKey);
+
+    const rows = useMemo(() => {
+        if (!pagos) return [];
+        return pagos
+            .filter(pago => (pago.getCellValue(pagoFields.pedido) || []).some(link => link.id === pedido.id))
+            .sort((a, b) => (a.getCellValue(pagoFields.fechaPago) || '').localeCompare(b.getCellValue(pagoFields.fechaPago) || ''));
+    }, [pagos, pagoFields, pedido]);
+
+    // Credit payments follow the brand's credit balance, so they cannot be picked or edited by hand.
+    const metodoOptions = useMemo(() => {
+        if (!metodos) return [];
+        return metodos
+            .filter(metodo => !isCreditMethod(metodo, fields.metodos.tipo))
+            .map(metodo => ({ value: metodo.id, label: metodo.name }));
+    }, [metodos, fields]);
+    const isCreditPago = pago => {
+        const link = (pago.getCellValue(pagoFields.metodo) || [])[0];
+        const metodo = link && metodos && metodos.find(record => record.id === link.id);
+        return Boolean(metodo) && isCreditMethod(metodo, fields.metodos.tipo);
+    };
+    const tipoOf = metodoId => {
+        const metodo = metodoId && metodos && metodos.find(record => record.id === metodoId);
+        return metodo ? metodo.getCellValueAsString(fields.metodos.tipo) : null;
+    };
+
+    /**
+     * Builds the steps of a payment correction from its serializable input.
+     * @param {object} input The correction as captured by `saveCorrection`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildCorrectionSteps = (input) => [
+        {
+            name: 'pago',
+            label: input.kind === Correction.DEVOLUCION ? 'Registrar devolución' : 'Actualizar pago',
+            run: async (tracker) => {
+                if (input.kind === Correction.DEVOLUCION) {
+                    const pagoId = await tables.pagos.createRecordAsync(buildPagoFields(schema, pedido.id, input.payment));
+                    tracker.created('pagos', [pagoId]);
+                    return pagoId;
+                }
+                const pago = pagos.find(record => record.id === input.pagoId);
+                if (!pago) throw new Error('No se encontró el pago.');
+                const changes = input.kind === Correction.ANULAR
+                    ? {
+                        [pagoFields.abono]: 0,
+                        [pagoFields.comision]: 0,
+                        [pagoFields.anulado]: true,
+                        [pagoFields.notas]: [pago.getCellValueAsString(pagoFields.notas), `Anulado (abono original $${input.previousAmount.toFixed(2)})`]
+                            .filter(Boolean)
+                            .join(' · '),
+                    }
+                    : {
+                        [pagoFields.metodo]: [{ id: input.metodoId }],
+                        [pagoFields.abono]: input.amount,
+                        [pagoFields.comision]: input.fee,
+                        [pagoFields.fechaPago]: input.fecha || null,
+                        [pagoFields.notas]: input.notas || null,
+                        [pagoFields.quienPago]: input.quienPago ? { name: input.quienPago } : null,
+                        [pagoFields.referencia]: input.referencia || null,
+                        [pagoFields.tarjeta]: input.tarjeta || null,
+                    };
+                tracker.updated('pagos', [snapshotRecord(tables.pagos, pago, Object.keys(changes))]);
+                await tables.pagos.updateRecordAsync(pago.id, changes);
+                return pago.id;
+            },
+        },
+        // A voided credit payment gives the credit back to the brand, a voided
+        // overpayment takes back the excess it added, and an edit moves it to the
+        // new excess. The movement is linked to the payment, like its excess.
+        ...(input.creditDelta ? [{
+            name: 'credito',
+            label: input.kind === Correction.EDITAR ? 'Ajustar excedente' : input.isCredit ? 'Devolver crédito' : 'Anular excedente',
+            run: async (tracker, results) => {
+                const creditoId = await tables.creditos.createRecordAsync(buildCreditFields(schema, {
+                    marca: input.marca,
+                    amount: input.creditDelta,
+                    pagoId: results.pago,
+                    note: input.kind === Correction.EDITAR
+                        ? `Excedente de un pago editado en el pedido ${noPedido}`
+                        : input.isCredit
+                            ? `Pago con crédito anulado en el pedido ${noPedido}`
+                            : `Excedente de un pago anulado en el pedido ${noPedido}`,
+                }));
+                tracker.created('creditos', [creditoId]);
+            },
+        }] : []),
+        {
+            name: 'estatus',
+            label: 'Actualizar estatus del pedido',
+            run: async (tracker) => {
+                const plan = planTransition(schema, 'pedidos', pedido, input.newStatus, {
+                    action: HistoryAction.CORREGIR_PAGO,
+                    context: input.context,
+                    note: input.note,
+                });
+                if (!input.feeDelta) {
+                    tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [pedidoFields.estatus])]);
+                    await tables.pedidos.updateRecordAsync(pedido.id, plan.fields);
+                    return plan.event;
+                }
+                tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [pedidoFields.estatus, pedidoFields.gastosAdicionales])]);
+                await tables.pedidos.updateRecordAsync(pedido.id, {
+                    ...plan.fields,
+                    [pedidoFields.gastosAdicionales]: input.gastosAdicionales,
+                });
+                return plan.event;
+            },
+        },
+        ...buildLineStatusSteps(schema, () => ({ pedidoId: pedido.id, pedidoStatus: input.newStatus }), {
+            action: HistoryAction.CORREGIR_PAGO,
+            note: input.note,
+        }),
+        // A fee that changes moves Gastos Adicionales, and with it the lines' landed cost.
+        ...(input.feeDelta ? [buildLandedCostStep(schema, () => pedido.id)] : []),
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const events = [{ ...results.estatus, pagoIds: [results.pago] }, ...results['plan-estatus-lineas']]
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a payment correction as a unit of work.
+     * @param {object} input The correction as captured by `saveCorrection`.
+     * @returns {Promise<boolean>} Whether the correction finished.
+     */
+    const runCorrection = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                { key: operationKey, label: `La corrección de pagos del pedido ${noPedido}`, input, undoScope: UndoScope.PAGAR },
+                buildCorrectionSteps(input),
+            );
+            return true;
+        } catch (error) {
+            console.error('Error correcting payment:', error);
+            alert(`Error al corregir el pago: ${error.message}. Puedes reanudar o deshacer la corrección.`);
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    /**
+     * Validates a correction against the Pedido's amounts, works out its new
+     * status with the same rules as a new payment, and saves it.
+     * @param {object} correction The `kind`, the payment and the new values.
+     * @param {number} paidDelta How much the correction changes the amount paid.
+     * @param {string} note A description of the change for the history.
+     * @param {number} [feeDelta] How much the correction changes the method fees
+     * booked into "Gastos Adicionales".
+     * @returns {Promise<boolean>} Whether the correction was saved.
+     */
+    const saveCorrection = async (correction, paidDelta, note, feeDelta = 0) => {
+        const total = (pedido.getCellValue(pedidoFields.totalCosto) || 0) + feeDelta;
+        const newPaid = (pedido.getCellValue(pedidoFields.montoPagado) || 0) + paidDelta;
+        if (newPaid < -0.005) {
+            alert('La devolución no puede ser mayor a lo pagado.');
+            return false;
+        }
+        if (newPaid - total > 0.005) {
+            alert(`El cambio dejaría el pedido pagado de más por $${(newPaid - total).toFixed(2)}.`);
+            return false;
+        }
+        const { newStatus, context, error } = planPaymentStatus(pedido.getCellValueAsString(pedidoFields.estatus), total, newPaid);
+        if (error) {
+            alert(error);
+            return false;
+        }
+        return runCorrection({
+            ...correction,
+            marca: pedido.getCellValueAsString(pedidoFields.marca),
+            newStatus,
+            context,
+            note,
+            feeDelta,
+            gastosAdicionales: (pedido.getCellValue(pedidoFields.gastosAdicionales) || 0) + feeDelta,
+        });
+    };
+
+    /**
+     * Saves the payment being edited. It is checked like a new payment of its
+     * method: its fee is worked out again on the amount without it, and what
+     * exceeds the balance becomes credit with the brand. A refund is edited by
+     * its size, keeps its sign and has neither.
+     */
+    const handleSaveEdit = async () => {
+        const tipo = tipoOf(editing.metodoId);
+        const entryError = validatePaymentEntry({ ...editing, abono: editing.amount, fechaPago: editing.fecha }, tipo);
+        if (entryError) {
+            alert(entryError);
+            return;
+        }
+        const base = parseFloat(editing.amount) * (editing.isRefund ? -1 : 1);
+        const metodo = metodos.find(record => record.id === editing.metodoId);
+        const ruleError = !editing.isRefund && metodo
+            && checkPaymentRule(getRule(metodo.id), metodo.name, base, pedido.getCellValueAsString(pedidoFields.marca));
+        if (ruleError) {
+            alert(ruleError);
+            return;
+        }
+        const fee = editing.isRefund ? 0 : paymentFee(getRule(editing.metodoId), base);
+        // The balance this payment can cover: what the others leave unpaid, without its old fee.
+        const remaining = Math.max(
+            (pedido.getCellValue(pedidoFields.totalCosto) || 0) - (pedido.getCellValue(pedidoFields.montoPagado) || 0)
+                + editing.previousAmount - editing.previousFee,
+            0,
+        );
+        const { applied, excess } = editing.isRefund ? { applied: base, excess: 0 } : splitOverpayment(base, remaining);
+        const marca = pedido.getCellValueAsString(pedidoFields.marca);
+        if (excess > editing.previousExcess + 0.005 && !confirm(
+            `El monto excede el restante por $${excess.toFixed(2)}. ¿Registrar el excedente como crédito a favor con ${marca}?`,
+        )) {
+            return;
+        }
+        const amount = applied + fee;
+        const excessNote = excess > 0 ? ` (excedente de $${excess.toFixed(2)} a crédito)` : '';
+        const note = `${editing.isRefund ? 'Devolución editada' : 'Pago editado'}: $${editing.previousAmount.toFixed(2)} → $${amount.toFixed(2)}${excessNote}`;
+        const saved = await saveCorrection({
+            ...editing,
+            kind: Correction.EDITAR,
+            amount,
+            fee,
+            creditDelta: Math.round((excess - editing.previousExcess) * 100) / 100,
+            notas: notesWithFee(editing.notas.trim(), fee),
+            quienPago: tipo === PaymentType.EFECTIVO ? editing.quienPago : null,
+            referencia: tipo === PaymentType.VALES ? editing.referencia.trim() : null,
+            tarjeta: tipo === PaymentType.TRANSFERENCIA ? editing.tarjeta.trim() : null,
+        }, amount - editing.previousAmount, note, fee - editing.previousFee);
+        if (saved) setEditing(null);
+    };
+
+    /**
+     * Voids a payment after asking for confirmation.
+     * @param {Airtable.Record} pago The payment to void.
+     */
+    const handleVoid = async (pago) => {
+        const previousAmount = pago.getCellValue(pagoFields.abono) || 0;
+        const fee = feeOfPago(pago, pagoFields);
+        const excess = excessByPago.get(pago.id) || 0;
+        const isCredit = isCreditPago(pago);
+        const feeNote = fee > 0 ? ` Su comisión de $${fee.toFixed(2)} se quitará de los gastos adicionales.` : '';
+        const excessNote = excess > 0 ? ` También se quitarán $${excess.toFixed(2)} del crédito a favor que generó su excedente.` : '';
+        if (!confirm(`¿Anular el pago de $${previousAmount.toFixed(2)}? El abono quedará en cero.${feeNote}${excessNote}`)) return;
+        await saveCorrection(
+            { kind: Correction.ANULAR, pagoId: pago.id, previousAmount, isCredit, creditDelta: isCredit ? previousAmount : -excess },
+            -previousAmount,
+            `Pago anulado: $${previousAmount.toFixed(2)}`,
+            -fee,
+        );
+    };
+
+    /**
+     * Saves the refund being entered as a negative payment, checked and written
+     * like any other payment.
+     */
+    const handleSaveRefund = async () => {
+        const tipo = tipoOf(refund.metodoId);
+        const entryError = validatePaymentEntry(refund, tipo);
+        if (entryError) {
+            alert(entryError);
+            return;
+        }
+        const payment = paymentFromEntry(refund, tipo);
+        const saved = await saveCorrection(
+            // The ID is fixed here so a resumed correction writes the same one.
+            { kind: Correction.DEVOLUCION, payment: { ...payment, amount: -payment.amount, idPago: newPaymentId() } },
+            -payment.amount,
+            `Devolución por $${payment.amount.toFixed(2)}`,
+        );
+        if (saved) setRefund(null);
+    };
+
+    /**
+     * Restores the payment and status of an unfinished correction.
+     */
+    const handleRollback = async () => {
+        setIsSubmitting(true);
+        try {
+            await rollbackUnitOfWork(globalConfig, schema, unfinished);
+        } catch (error) {
+            console.error('Error rolling back payment correction:', error);
+            alert(`Error al deshacer: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (!pagos || !metodos || !excessByPago) return <Loader />;
+
+    const isBusy = isSubmitting || Boolean(unfinished);
+
+    return (
+        <Box backgroundColor="lightGray1" borderRadius="large" padding={2} marginBottom={2}>
+            {unfinished && (
+                <UnfinishedOperationBanner
+                    journal={unfinished}
+                    isBusy={isSubmitting}
+                    onResume={() => runCorrection(unfinished.input)}
+                    onRollback={handleRollback}
+                />
+            )}
+            {rows.length === 0 && <Text textColor="light">Sin pagos registrados.</Text>}
+            {rows.map(pago => {
+                const isVoided = Boolean(pago.getCellValue(pagoFields.anulado));
+                const amount = pago.getCellValue(pagoFields.abono) || 0;
+                if (editing && editing.pagoId === pago.id) {
+                    return (
+                        <Box key={pago.id} display="flex" alignItems="center" paddingY={1}>
+                            <Input type="date" width="150px" size="small" marginRight={1} value={editing.fecha} onChange={e => setEditing({ ...editing, fecha: e.target.value })} />
+                            <Select width="180px" size="small" marginRight={1} options={metodoOptions} value={editing.metodoId} onChange={metodoId => setEditing({ ...editing, metodoId })} />
+                            <MethodFields tipo={tipoOf(editing.metodoId)} entry={editing} payers={payers} onChange={changes => setEditing({ ...editing, ...changes })} />
+                            {editing.isRefund && <Text size="small" marginRight={1}>−</Text>}
+                            <Input type="number" width="100px" size="small" marginRight={1} value={editing.amount} onChange={e => setEditing({ ...editing, amount: e.target.value })} />
+                            <Input flex="1" size="small" marginRight={1} placeholder="Notas" value={editing.notas} onChange={e => setEditing({ ...editing, notas: e.target.value })} />
+                            <Button size="small" variant="primary" marginRight={1} onClick={handleSaveEdit} disabled={isBusy}>Guardar</Button>
+                            <Button size="small" onClick={() => setEditing(null)} disabled={isSubmitting}>Cancelar</Button>
+                        </Box>
+                    );
+                }
+                const isCredit = isCreditPago(pago);
+                const fee = feeOfPago(pago, pagoFields);
+                const excess = excessByPago.get(pago.id) || 0;
+                return (
+                    <Box key={pago.id} display="flex" alignItems="center" paddingY={1} borderBottom="default">
+                        <Text width="110px" textColor={isVoided ? 'light' : 'default'}>{pago.getCellValueAsString(pagoFields.fechaPago) || 'Sin fecha'}</Text>
+                        <Text flex="1" truncate textColor={isVoided ? 'light' : 'default'}>
+                            {pago.getCellValueAsString(pagoFields.metodo)}
+                            {amount < 0 ? ' · Devolución' : ''}
+                            {isVoided ? ' · Anulado' : ''}
+                        </Text>
+                        <Text width="110px" textAlign="right" marginRight={2} textColor={isVoided ? 'light' : amount < 0 ? 'green' : 'default'}>
+                            ${amount.toFixed(2)}
+                        </Text>
+                        <Text flex="1" truncate size="small" textColor="light">{pago.getCellValueAsString(pagoFields.notas)}</Text>
+                        <Box width="170px" display="flex" justifyContent="flex-end">
+                            {!isVoided && (
+                                <>
+                                    {!isCredit && (
+                                        <Button
+                                            size="small"
+                                            marginRight={1}
+                                            disabled={isBusy}
+                                            onClick={() => setEditing({
+                                                pagoId: pago.id,
+                                                previousAmount: amount,
+                                                previousFee: fee,
+                                                previousExcess: excess,
+                                                metodoId: ((pago.getCellValue(pagoFields.metodo) || [])[0] || {}).id || null,
+                                                isRefund: amount < 0,
+                                                // The amount is edited as entered: without its fee, which is
+                                                // worked out again on save, and with the excess it left as credit.
+                                                amount: String(Math.round((Math.abs(amount) - fee + excess) * 100) / 100),
+                                                fecha: (pago.getCellValue(pagoFields.fechaPago) || '').slice(0, 10),
+                                                notas: notesWithoutFee(pago.getCellValueAsString(pagoFields.notas)),
+                                                quienPago: pago.getCellValueAsString(pagoFields.quienPago) || null,
+                                                referencia: pago.getCellValueAsString(pagoFields.referencia),
+                                                tarjeta: pago.getCellValueAsString(pagoFields.tarjeta),
+                                            })}
+                                        >
+                                            Editar
+                                        </Button>
+                                    )}
+                                    <Button size="small" variant="danger" disabled={isBusy} onClick={() => handleVoid(pago)}>Anular</Button>
+                                </>
+                            )}
+                        </Box>
+                    </Box>
+                );
+            })}
+
+            {refund ? (
+                <Box display="flex" alignItems="center" paddingTop={2}>
+                    <Input type="date" width="150px" size="small" marginRight={1} value={refund.fechaPago} onChange={e => setRefund({ ...refund, fechaPago: e.target.value })} />
+                    <Select width="180px" size="small" marginRight={1} options={metodoOptions} value={refund.metodoId} onChange={metodoId => setRefund({ ...refund, metodoId })} />
+                    <MethodFields tipo={tipoOf(refund.metodoId)} entry={refund} payers={payers} onChange={changes => setRefund({ ...refund, ...changes })} />
+                    <Input type="number" width="100px" size="small" marginRight={1} placeholder="Monto" value={refund.abono} onChange={e => setRefund({ ...refund, abono: e.target.value })} />
+                    <Input flex="1" size="small" marginRight={1} placeholder="Motivo" value={refund.notas} onChange={e => setRefund({ ...refund, notas: e.target.value })} />
+                    <Button size="small" variant="primary" marginRight={1} onClick={handleSaveRefund} disabled={isBusy}>Registrar</Button>
+                    <Button size="small" onClick={() => setRefund(null)} disabled={isSubmitting}>Cancelar</Button>
+                </Box>
+            ) : (
+                <Box display="flex" justifyContent="flex-end" paddingTop={2}>
+                    <Button size="small" icon="redo" disabled={isBusy} onClick={() => setRefund({ ...EMPTY_REFUND, fechaPago: today() })}>
+                        Registrar devolución
+                    </Button>
+                </Box>
+            )}
+        </Box>
+    );
+}
+
+export default PedidoPayments;
@@ -0,0 +1,337 @@
+/**
+ * @file This file defines the PedidoSelectionSummary component, which is displayed
+ * when records are selected in the Pedidos table. It shows what each selected
+ * Pedido still owes and registers one payment spread across them.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+    useGlobalConfig,
+    useRecords,
+    useSession,
+    Box,
+    Button,
+    Heading,
+    Loader,
+    Text,
+} from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { planPaymentStatus, planTransition } from '../statusMachine';
+import { HistoryAction, historyEventKey, recordHistoryAsync } from '../history';
+import { isCreditMethod } from '../credits';
+import { buildPagoFields, newPaymentId, splitPaymentAcrossPedidos } from '../payments';
+import { buildLandedCostStep } from '../landedCost';
+import { buildLineStatusSteps } from '../pedidoLines';
+import { UndoScope, rollbackUnitOfWork, runUnitOfWork, snapshotRecord, useUnfinishedOperation } from '../unitOfWork';
+import BatchProgress from './BatchProgress';
+import PaymentEntryForm from './PaymentEntryForm';
+import UnfinishedOperationBanner from './UnfinishedOperationBanner';
+
+/**
+ * Balances below half a cent are rounding noise.
+ * @type {number}
+ */
+const EPSILON = 0.005;
+
+/**
+ * The key of the bulk payment's unit of work. There is one at a time, and it
+ * can be resumed whatever is selected.
+ * @type {string}
+ */
+const OPERATION_KEY = 'pagar-seleccion';
+
+/**
+ * A summary of the Pedidos selected in the grid, with a form that pays their
+ * balances with a single payment, oldest Pedido first.
+ * @param {object} props The component props.
+ * @param {string[]} props.selectedRecordIds The IDs of the Pedidos selected in the grid.
+ * @returns {React.ReactElement} The rendered summary.
+ */
+function PedidoSelectionSummary({ selectedRecordIds }) {
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const pedidoFields = fields.pedidos;
+    // Every Pedido is loaded so an unfinished payment can resume after the selection changes.
+    const allPedidos = useRecords(tables.pedidos);
+    const metodosPagoRecords = useRecords(tables.metodos);
+    const [payment, setPayment] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [successInfo, setSuccessInfo] = useState(null);
+    const unfinished = useUnfinishedOperation(OPERATION_KEY);
+
+    /**
+     * @property {object[]} rows The selected Pedidos with their balance, oldest first.
+     */
+    const rows = useMemo(() => {
+        if (!allPedidos) return [];
+        return allPedidos
+            .filter(pedido => selectedRecordIds.includes(pedido.id))
+            .map(pedido => {
+                const total = pedido.getCellValue(pedidoFields.totalCosto) || 0;
+                const paid = pedido.getCellValue(pedidoFields.montoPagado) || 0;
+                return { pedido, total, paid, balance: Math.max(total - paid, 0) };
+            })
+            .sort((a, b) => (a.pedido.getCellValue(pedidoFields.fechaPedido) || '')
+                .localeCompare(b.pedido.getCellValue(pedidoFields.fechaPedido) || ''));
+    }, [allPedidos, selectedRecordIds, pedidoFields]);
+
+    const metodoOptions = useMemo(() => {
+        if (!metodosPagoRecords) return [];
+        return metodosPagoRecords
+            .filter(r => !isCreditMethod(r, fields.metodos.tipo))
+            .map(r => ({ value: r.id, label: r.name }));
+    }, [metodosPagoRecords, fields]);
+
+    const owing = useMemo(() => rows.filter(row => row.balance > EPSILON), [rows]);
+    const totalBalance = owing.reduce((sum, row) => sum + row.balance, 0);
+    const marcas = Array.from(new Set(owing.map(row => row.pedido.getCellValueAsString(pedidoFields.marca))));
+
+    /**
+     * @property {object[]} parts The payment split across the owing Pedidos, with
+     * the status each one moves to.
+     */
+    const parts = useMemo(() => {
+        if (!payment) return [];
+        const byId = new Map(owing.map(row => [row.pedido.id, row]));
+        return splitPaymentAcrossPedidos(owing.map(row => ({ id: row.pedido.id, balance: row.balance })), payment.amount, payment.fee)
+            .map(part => {
+                const row = byId.get(part.pedidoId);
+                // The fee raises Gastos Adicionales and is paid along with the part.
+                const plan = planPaymentStatus(
+                    row.pedido.getCellValueAsString(pedidoFields.estatus),
+                    row.total + part.fee,
+                    row.paid + part.amount + part.fee,
+                );
+                return { ...part, row, ...plan };
+            });
+    }, [payment, owing, pedidoFields]);
+    const blocked = parts.find(part => part.error);
+
+    const handleAddPayment = (entered) => {
+        if (entered.amount - totalBalance > EPSILON) {
+            alert(`El monto excede por $${(entered.amount - totalBalance).toFixed(2)} el saldo de los pedidos seleccionados.`);
+            return false;
+        }
+        setPayment(entered);
+        return true;
+    };
+
+    /**
+     * Builds the steps of a bulk payment from its serializable input.
+     * @param {object} input The payment as captured by `handleSave`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildSaveSteps = (input) => [
+        ...input.parts.flatMap((part, idx) => [
+            {
+                name: `pago-${idx}`,
+                label: `Registrar pago del pedido ${part.noPedido}`,
+                run: async (tracker) => {
+                    const pagoId = await tables.pagos.createRecordAsync(buildPagoFields(schema, part.pedidoId, {
+                        ...input.payment,
+                        amount: part.amount,
+                        fee: part.fee,
+                    }));
+                    tracker.created('pagos', [pagoId]);
+                    return pagoId;
+                },
+            },
+            {
+                name: `pedido-${idx}`,
+                label: `Actualizar estatus del pedido ${part.noPedido}`,
+                run: async (tracker) => {
+                    const pedido = allPedidos.find(record => record.id === part.pedidoId);
+                    if (!pedido) throw new Error(`No se encontró el pedido ${part.noPedido}.`);
+                    const plan = planTransition(schema, 'pedidos', pedido, part.newStatus, {
+                        action: HistoryAction.PAGO,
+                        context: part.context,
+                        note: `Pago en lote por $${(part.amount + part.fee).toFixed(2)}`,
+                    });
+                    tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [pedidoFields.estatus, pedidoFields.gastosAdicionales])]);
+                    await tables.pedidos.updateRecordAsync(pedido.id, {
+                        ...plan.fields,
+                        [pedidoFields.gastosAdicionales]: part.gastosAdicionales,
+                    });
+                    return plan.event;
+                },
+            },
+            ...buildLineStatusSteps(schema, () => ({ pedidoId: part.pedidoId, pedidoStatus: part.newStatus }), {
+                action: HistoryAction.PAGO,
+                note: `Pedido ${part.noPedido} ${part.newStatus}`,
+            }, setProgress, `estatus-lineas-${idx}`),
+            ...(part.fee > 0 ? [buildLandedCostStep(schema, () => part.pedidoId, setProgress, `costo-puesto-${idx}`)] : []),
+        ]),
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const events = input.parts
+                    .flatMap((part, idx) => [
+                        { ...results[`pedido-${idx}`], pagoIds: [results[`pago-${idx}`]] },
+                        ...results[`plan-estatus-lineas-${idx}`],
+                    ])
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a bulk payment as a unit of work.
+     * @param {object} input The payment as captured by `handleSave`.
+     */
+    const runSave = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                {
+                    key: OPERATION_KEY,
+                    label: `El pago en lote de ${input.parts.length} pedido(s)`,
+                    input,
+                    undoScope: UndoScope.PAGO_SELECCION,
+                },
+                buildSaveSteps(input),
+            );
+            setSuccessInfo({ count: input.parts.length, amount: input.parts.reduce((sum, part) => sum + part.amount, 0) });
+            setPayment(null);
+        } catch (error) {
+            console.error('Error saving bulk payment:', error);
+            alert(`Error al registrar el pago: ${error.message}. Puedes reanudar o deshacer el registro.`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    /**
+     * Registers the payment split across the selected Pedidos.
+     */
+    const handleSave = async () => {
+        if (blocked) {
+            alert(blocked.error);
+            return;
+        }
+        await runSave({
+            payment: { ...payment, idPago: payment.idPago || newPaymentId() },
+            parts: parts.map(part => ({
+                pedidoId: part.pedidoId,
+                noPedido: part.row.pedido.getCellValueAsString(pedidoFields.noPedido),
+                amount: part.amount,
+                fee: part.fee,
+                gastosAdicionales: (part.row.pedido.getCellValue(pedidoFields.gastosAdicionales) || 0) + part.fee,
+                newStatus: part.newStatus,
+                context: part.context,
+            })),
+        });
+    };
+
+    /**
+     * Deletes the payments of an unfinished bulk payment and restores the Pedidos.
+     */
+    const handleRollback = async () => {
+        setIsSubmitting(true);
+        try {
+            await rollbackUnitOfWork(globalConfig, schema, unfinished, setProgress);
+        } catch (error) {
+            console.error('Error rolling back bulk payment:', error);
+            alert(`Error al deshacer: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    if (!allPedidos || !metodosPagoRecords) return <Loader />;
+
+    return (
+        <Box border="thick" borderRadius="large" padding={3} backgroundColor="lightGray1" overflow="auto">
+            <Heading>Pedidos seleccionados</Heading>
+            <Text>{rows.length} pedido(s) seleccionado(s), {owing.length} con saldo.</Text>
+            <Text fontWeight="strong">Saldo total: ${totalBalance.toFixed(2)}</Text>
+            {unfinished && (
+                <UnfinishedOperationBanner
+                    journal={unfinished}
+                    isBusy={isSubmitting}
+                    onResume={() => runSave(unfinished.input)}
+                    onRollback={handleRollback}
+                />
+            )}
+            {successInfo && (
+                <Text textColor="green" marginTop={2}>
+                    Se registraron ${successInfo.amount.toFixed(2)} en {successInfo.count} pedido(s).
+                </Text>
+            )}
+            <Box marginTop={3} border="default" borderRadius="large" overflow="hidden" backgroundColor="white">
+                <Box display="flex" paddingY={2} paddingX={3} backgroundColor="lightGray2" fontWeight="strong">
+                    <Text flex="1 1 20%">No. de Pedido</Text>
+                    <Text flex="1 1 20%">MARCA</Text>
+                    <Text flex="1 1 20%">Estatus</Text>
+                    <Text flex="1 1 13%" textAlign="right">Total</Text>
+                    <Text flex="1 1 13%" textAlign="right">Pagado</Text>
+                    <Text flex="1 1 14%" textAlign="right">Saldo</Text>
+                </Box>
+                {rows.map(({ pedido, total, paid, balance }) => (
+                    <Box key={pedido.id} display="flex" paddingY={2} paddingX={3} borderTop="default">
+                        <Text flex="1 1 20%" truncate>{pedido.getCellValueAsString(pedidoFields.noPedido)}</Text>
+                        <Text flex="1 1 20%" truncate>{pedido.getCellValueAsString(pedidoFields.marca)}</Text>
+                        <Text flex="1 1 20%" truncate>{pedido.getCellValueAsString(pedidoFields.estatus)}</Text>
+                        <Text flex="1 1 13%" textAlign="right">${total.toFixed(2)}</Text>
+                        <Text flex="1 1 13%" textAlign="right">${paid.toFixed(2)}</Text>
+                        <Text flex="1 1 14%" textAlign="right" textColor={balance > EPSILON ? 'default' : 'light'}>${balance.toFixed(2)}</Text>
+                    </Box>
+                ))}
+            </Box>
+
+            <Box marginTop={3}>
+                <Heading size="small">Pago en lote</Heading>
+                {owing.length === 0 ? (
+                    <Text textColor="light">Ningún pedido seleccionado tiene saldo.</Text>
+                ) : payment ? (
+                    <Box>
+                        <Text marginBottom={2}>
+                            ${payment.amount.toFixed(2)}{payment.fee > 0 ? ` más $${payment.fee.toFixed(2)} de comisión` : ''}, aplicado del pedido más antiguo al más reciente:
+                        </Text>
+                        {parts.map(part => (
+                            <Box key={part.pedidoId} display="flex" paddingY={1} borderBottom="default">
+                                <Text flex="1" truncate>
+                                    {part.row.pedido.getCellValueAsString(pedidoFields.noPedido)} · {part.row.pedido.getCellValueAsString(pedidoFields.marca)}
+                                </Text>
+                                <Text width="120px" textAlign="right">${part.amount.toFixed(2)}</Text>
+                                <Text width="180px" textAlign="right" textColor={part.error ? 'red' : 'light'}>
+                                    {part.error ? part.error : `→ ${part.newStatus}`}
+                                </Text>
+                            </Box>
+                        ))}
+                        {progress && <BatchProgress progress={progress} label="Guardando" />}
+                        <Box display="flex" justifyContent="flex-end" marginTop={2}>
+                            <Button marginRight={2} onClick={() => setPayment(null)} disabled={isSubmitting}>Cambiar pago</Button>
+                            <Button variant="primary" onClick={handleSave} disabled={isSubmitting || Boolean(unfinished) || Boolean(blocked)}>
+                                {isSubmitting ? 'Guardando...' : 'Registrar pago'}
+                            </Button>
+                        </Box>
+                    </Box>
+                ) : (
+                    <PaymentEntryForm
+                        metodosPagoRecords={metodosPagoRecords}
+                        metodoOptions={metodoOptions}
+                        marcas={marcas}
+                        disabled={isSubmitting || Boolean(unfinished)}
+                        onAdd={handleAddPayment}
+                    />
+                )}
+            </Box>
+        </Box>
+    );
+}
+
+export default PedidoSelectionSummary;
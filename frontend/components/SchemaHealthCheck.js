@@ -0,0 +1,46 @@
+/**
+ * @file This file defines the SchemaHealthCheck component, which is displayed
+ * at startup instead of the main views when a table or field the block depends
+ * on is missing or has the wrong type.
+ */
+
+import React from 'react';
+import { Box, Button, Heading, Icon, Text } from '@airtable/blocks/ui';
+
+/**
+ * A checklist of every table and field that failed validation.
+ * @param {object} props The component props.
+ * @param {object[]} props.items The checklist items returned by `checkSchemaHealth`.
+ * @param {Function} props.onOpenSettings The function to call to open the settings screen.
+ * @returns {React.ReactElement} The rendered checklist.
+ */
+function SchemaHealthCheck({ items, onOpenSettings }) {
+    const failing = items.filter(item => item.problems.length > 0);
+    const passingCount = items.length - failing.length;
+
+    return (
+        <Box flex="1" overflow="auto" border="thick" borderRadius="large" padding={3}>
+            <Heading>Revisión de la base</Heading>
+            <Text marginBottom={3}>
+                {failing.length} de {items.length} comprobaciones fallaron ({passingCount} correctas).
+                Corrige la base o asigna los campos correctos en Configuración.
+            </Text>
+            {failing.map(item => (
+                <Box key={`${item.tableKey}-${item.fieldKey || 'table'}`} display="flex" paddingY={2} borderTop="default">
+                    <Icon name="warning" fillColor="red" marginRight={2} />
+                    <Box>
+                        <Text fontWeight="strong">{item.label}</Text>
+                        {item.problems.map(problem => (
+                            <Text key={problem} textColor="light">{problem}</Text>
+                        ))}
+                    </Box>
+                </Box>
+            ))}
+            <Button marginTop={3} variant="primary" icon="cog" onClick={onOpenSettings}>
+                Abrir Configuración
+            </Button>
+        </Box>
+    );
+}
+
+export default SchemaHealthCheck;
@@ -1,95 +1,305 @@
 /**
  * @file This file defines the SelectionSummaryView component, which is displayed
- * when a user selects one or more records in the main Airtable grid view.
- * It provides a summary of the selected records and allows the user to perform
- * a bulk confirmation action.
+ * when a user selects one or more records of the Líneas de Pedido table.
+ * It provides a summary of the selected records and a menu of bulk actions:
+ * confirming, cancelling or reopening the lines, or correcting their Línea.
  */
 
 import React, { useState, useMemo } from 'react';
+import { FieldType } from '@airtable/blocks/models';
 import {
-    useBase,
+    useGlobalConfig,
     useRecords,
+    useSession,
     Box,
     Button,
+    ConfirmationDialog,
     Dialog,
+    FormField,
     Heading,
+    Input,
+    Select,
     Text,
     Loader,
 } from '@airtable/blocks/ui';
-import { LPO_TABLE_NAME } from '../constants';
+import { useSchema } from '../schema';
+import { Status, checkTransition, planTransition } from '../statusMachine';
+import { HistoryAction, recordHistoryAsync } from '../history';
+import { BatchWriteError, updateRecordsInBatchesAsync } from '../batch';
+import { UndoScope, rememberOperation, snapshotRecord } from '../unitOfWork';
+import { useBrandSettings } from '../brands';
+import { formatMarginPercent, lineMargin, summarizeMargin } from '../margins';
+import BatchProgress from './BatchProgress';
+
+/**
+ * The bulk actions offered for the selected lines. Actions with a `to` status
+ * move the lines there; the others only change the line's Línea.
+ * @type {Object<string, {label: string, to: ?string, historyAction: string, needsReason: boolean,
+ * progressLabel: string, doneTitle: string, doneText: string, undoLabel: string, dangerous: boolean}>}
+ */
+const BULK_ACTIONS = {
+    confirmar: {
+        label: 'Confirmar Pedido',
+        to: Status.CONFIRMAR,
+        historyAction: HistoryAction.CONFIRMAR,
+        needsReason: false,
+        progressLabel: 'Confirmando',
+        doneTitle: 'Confirmado',
+        doneText: 'pasaron a "Confirmar y Monitorear"',
+        undoLabel: 'La confirmación',
+        dangerous: false,
+    },
+    cancelar: {
+        label: 'Cancelar líneas',
+        to: Status.CANCELADO,
+        historyAction: HistoryAction.CANCELAR,
+        needsReason: true,
+        progressLabel: 'Cancelando',
+        doneTitle: 'Canceladas',
+        doneText: 'pasaron a "Cancelado"',
+        undoLabel: 'La cancelación',
+        dangerous: true,
+    },
+    reabrir: {
+        label: 'Regresar a "Abierto"',
+        to: Status.ABIERTO,
+        historyAction: HistoryAction.REABRIR,
+        needsReason: true,
+        progressLabel: 'Reabriendo',
+        doneTitle: 'Reabiertas',
+        doneText: 'regresaron a "Abierto"',
+        undoLabel: 'La reapertura',
+        dangerous: false,
+    },
+    cambiarLinea: {
+        label: 'Corregir Línea',
+        to: null,
+        historyAction: HistoryAction.CAMBIAR_LINEA,
+        needsReason: true,
+        progressLabel: 'Corrigiendo',
+        doneTitle: 'Línea corregida',
+        doneText: 'cambiaron de Línea',
+        undoLabel: 'El cambio de Línea',
+        dangerous: false,
+    },
+};
+
+/**
+ * The options of the action menu, in the order of `BULK_ACTIONS`.
+ * @type {{value: string, label: string}[]}
+ */
+const ACTION_OPTIONS = Object.entries(BULK_ACTIONS).map(([value, action]) => ({ value, label: action.label }));
+
+/**
+ * The statuses of lines that are not in a Pedido yet. Later lines change with
+ * their Pedido: cancelling it releases them, and a Pedido holds a single brand.
+ * @type {string[]}
+ */
+const UNORDERED_STATUSES = [Status.ABIERTO, Status.CONFIRMAR];
 
 /**
  * A view that summarizes the currently selected records from the grid.
- * It calculates the total cost of "Abierto" records and provides a button
- * to confirm them, changing their status.
+ * The user picks a bulk action, sees which lines it applies to and which are
+ * blocked and why, gives a reason, and confirms before anything is written.
  * @param {object} props The component props.
  * @param {string[]} props.selectedRecordIds An array of IDs for the records selected in the grid.
  * @param {object} props.cursor The Airtable cursor object to interact with grid selection.
  * @returns {React.ReactElement} The rendered SelectionSummaryView component.
  */
 function SelectionSummaryView({ selectedRecordIds, cursor }) {
-    const base = useBase();
-    const lpoTable = base.getTableByName(LPO_TABLE_NAME);
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const lpoTable = tables.lpo;
+    const lpoFields = fields.lpo;
     const selectedRecords = useRecords(lpoTable, { recordIds: selectedRecordIds });
     const visibleRecords = useMemo(() => {
         if (!selectedRecords) return null;
         return selectedRecords.filter(record => selectedRecordIds.includes(record.id));
     }, [selectedRecords, selectedRecordIds]);
 
+    const [actionId, setActionId] = useState('confirmar');
+    const [reason, setReason] = useState('');
+    const [newLinea, setNewLinea] = useState(null);
+    const [isConfirming, setIsConfirming] = useState(false);
     const [isUpdating, setIsUpdating] = useState(false);
     const [successInfo, setSuccessInfo] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [failure, setFailure] = useState(null);
+    const { brands, getMarkup } = useBrandSettings();
+    const action = BULK_ACTIONS[actionId];
+
+    const lineaField = lpoTable.getFieldByIdIfExists(lpoFields.linea);
+    const lineaIsSelect = Boolean(lineaField) && lineaField.type === FieldType.SINGLE_SELECT;
 
     /**
-     * @property {object} summary
-     * @property {number} summary.totalCost - The summed "Costo" of all open records.
-     * @property {number} summary.count - The number of open records.
-     * @property {Airtable.Record[]} summary.openRecords - An array of the actual open record objects.
+     * @property {object[]} lineaOptions The Líneas a line can be moved to: the
+     * field's options when it is a single select, otherwise the configured brands.
      */
-    const { totalCost, count, openRecords, nonOpenRecords } = useMemo(() => {
-        if (!visibleRecords) {
-            return { totalCost: 0, count: 0, openRecords: [], nonOpenRecords: [] };
-        }
-        const recordsToConfirm = visibleRecords.filter(r => r.getCellValueAsString('Estatus') === 'Abierto');
-        const cost = recordsToConfirm.reduce((sum, record) => sum + (record.getCellValue('Costo') || 0), 0);
-        const blockedRecords = visibleRecords.filter(r => r.getCellValueAsString('Estatus') !== 'Abierto');
-        return { totalCost: cost, count: recordsToConfirm.length, openRecords: recordsToConfirm, nonOpenRecords: blockedRecords };
-    }, [visibleRecords]);
+    const lineaOptions = useMemo(() => {
+        const names = lineaIsSelect
+            ? lineaField.options.choices.map(choice => choice.name)
+            : brands.map(brand => brand.name);
+        return names.map(name => ({ value: name, label: name }));
+    }, [lineaIsSelect, lineaField, brands]);
 
     /**
-     * Handles the action of confirming the selected "Abierto" records.
-     * It updates their "Estatus" field and clears the user's selection in the grid.
+     * @property {object} preview
+     * @property {Airtable.Record[]} preview.affected - The lines the action applies to.
+     * @property {{record: Airtable.Record, reason: string}[]} preview.blocked - The lines it skips, with why.
+     * @property {number} preview.totalCost - The summed "Costo" of the affected lines.
      */
-    const handleConfirmSelection = async () => {
-        if (openRecords.length === 0) {
-            const blockedCount = nonOpenRecords.length;
-            const blockedMsg = blockedCount > 0 ? ` ${blockedCount} record(s) skipped because they are not in "Abierto".` : '';
-            alert(`No records with status "Abierto" are selected.${blockedMsg}`);
-            return;
-        }
-        if (nonOpenRecords.length > 0) {
-            alert(`${nonOpenRecords.length} record(s) will be skipped because they are not in "Abierto".`);
+    const preview = useMemo(() => {
+        const blockReasonFor = (record) => {
+            const status = record.getCellValueAsString(lpoFields.estatus);
+            if (!status) return 'La línea no tiene estatus.';
+            if (status === Status.CANCELADO) return 'La línea está cancelada.';
+            if (!UNORDERED_STATUSES.includes(status)) return `Está en "${status}": la línea ya pertenece a un pedido.`;
+            if (!action.to) {
+                if (newLinea && record.getCellValueAsString(lpoFields.linea) === newLinea) {
+                    return `Ya es de la Línea ${newLinea}.`;
+                }
+                return null;
+            }
+            if (status === action.to) return `Ya está en "${action.to}".`;
+            return checkTransition('lpo', status, action.to);
+        };
+        const affected = [];
+        const blocked = [];
+        (visibleRecords || []).forEach(record => {
+            const reasonBlocked = blockReasonFor(record);
+            if (reasonBlocked) {
+                blocked.push({ record, reason: reasonBlocked });
+            } else {
+                affected.push(record);
+            }
+        });
+        const totalCost = affected.reduce((sum, record) => sum + (record.getCellValue(lpoFields.costo) || 0), 0);
+        return { affected, blocked, totalCost };
+    }, [visibleRecords, lpoFields, action, newLinea]);
+
+    const margin = summarizeMargin(preview.affected, lpoFields, getMarkup);
+    const missingInput = (action.needsReason && !reason.trim()) || (!action.to && !newLinea);
+
+    /**
+     * Builds the cell values and history event that apply an action to a line.
+     * Correcting the Línea keeps the status, so its event records a move to the
+     * same status and carries the old and new Línea in its note.
+     * @param {{actionId: string, reason: string, linea: ?string}} request The action and its inputs.
+     * @param {Airtable.Record} record The line.
+     * @returns {{fields: object, event: object}} See `planTransition`.
+     */
+    const planFor = (request, record) => {
+        const requested = BULK_ACTIONS[request.actionId];
+        if (requested.to) {
+            return planTransition(schema, 'lpo', record, requested.to, {
+                action: requested.historyAction,
+                note: request.reason,
+            });
         }
+        const previous = record.getCellValueAsString(lpoFields.linea) || 'Sin línea';
+        const { event } = planTransition(schema, 'lpo', record, record.getCellValueAsString(lpoFields.estatus), {
+            action: requested.historyAction,
+            note: `Línea: ${previous} → ${request.linea}. ${request.reason}`,
+        });
+        return {
+            fields: { [lpoFields.linea]: lineaIsSelect ? { name: request.linea } : request.linea },
+            event,
+        };
+    };
+
+    /**
+     * Applies an action to lines in batches and records their history.
+     * Lines in batches that fail are kept in `failure`, with the action, so they
+     * can be retried alone. The lines that were written become the view's undoable operation;
+     * a retry adds its lines to the operation of the attempt it retries.
+     * @param {{actionId: string, reason: string, linea: ?string}} request The action and its inputs.
+     * @param {Airtable.Record[]} records The lines to change.
+     * @param {?{operationId: string, writtenCount: number, writtenCost: number}} [retried] The attempt being retried.
+     */
+    const applyActionAsync = async (request, records, retried = null) => {
+        const requested = BULK_ACTIONS[request.actionId];
         setIsUpdating(true);
+        setFailure(null);
         try {
-            const timestamp = new Date().toISOString();
-            const updates = openRecords.map(record => ({
-                id: record.id,
-                fields: {
-                    'Estatus': { name: 'Confirmar y Monitorear' },
-                    'Historial de Estatus': `${record.getCellValueAsString('Historial de Estatus') || ''}${record.getCellValueAsString('Historial de Estatus') ? '\n' : ''}${timestamp} - Confirmar y Monitorear`,
-                },
-            }));
-            await lpoTable.updateRecordsAsync(updates);
-            setSuccessInfo({ count: updates.length, totalCost });
+            const plans = records.map(record => planFor(request, record));
+            const changedFields = requested.to ? [lpoFields.estatus] : [lpoFields.linea];
+            const snapshots = records.map(record => snapshotRecord(lpoTable, record, changedFields));
+            const writtenIds = [];
+            let batchError = null;
+            try {
+                await updateRecordsInBatchesAsync(lpoTable, plans.map(plan => ({ id: plan.event.recordId, fields: plan.fields })), {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => writtenIds.push(...ids),
+                });
+            } catch (error) {
+                if (!(error instanceof BatchWriteError)) throw error;
+                batchError = error;
+            }
+            const written = plans.filter(plan => writtenIds.includes(plan.event.recordId));
+            const writtenCount = (retried ? retried.writtenCount : 0) + written.length;
+            const writtenCost = (retried ? retried.writtenCost : 0) + records
+                .filter(record => writtenIds.includes(record.id))
+                .reduce((sum, record) => sum + (record.getCellValue(lpoFields.costo) || 0), 0);
+            const label = `${requested.undoLabel} de ${writtenCount} línea(s)`;
+            // The lines are journaled before their history is written, so they can
+            // be undone even when the history fails.
+            const operationId = await rememberOperation(globalConfig, UndoScope.CONFIRMAR_SELECCION, {
+                label,
+                updated: [{ tableKey: 'lpo', snapshots: snapshots.filter(snapshot => writtenIds.includes(snapshot.id)) }],
+                extendsId: retried ? retried.operationId : undefined,
+            });
+            let historyIds;
+            let historyError = null;
+            try {
+                historyIds = await recordHistoryAsync(schema, session.currentUser, written.map(plan => plan.event));
+            } catch (error) {
+                console.error('Error recording history:', error);
+                historyError = error;
+                historyIds = error instanceof BatchWriteError ? error.results : [];
+            }
+            if (historyIds.length > 0) {
+                await rememberOperation(globalConfig, UndoScope.CONFIRMAR_SELECCION, {
+                    label,
+                    created: [{ tableKey: 'historial', ids: historyIds }],
+                    extendsId: operationId,
+                });
+            }
+            if (historyError) {
+                alert(`Las líneas se actualizaron, pero su historial quedó incompleto: ${historyError.message}. Puedes deshacer la operación.`);
+            }
+            if (batchError) {
+                setFailure({
+                    message: batchError.message,
+                    request,
+                    records: records.filter(record => !writtenIds.includes(record.id)),
+                    retried: { operationId, writtenCount, writtenCost },
+                });
+                return;
+            }
+            if (!historyError) {
+                setSuccessInfo({ action: requested, count: writtenCount, totalCost: writtenCost });
+            }
+            setReason('');
             clearSelection();
         } catch (error) {
             console.error('Error updating records:', error);
             alert(`Error updating records: ${error.message}`);
         } finally {
             setIsUpdating(false);
+            setProgress(null);
         }
     };
 
+    /**
+     * Applies the chosen action to the affected lines once the user confirms it.
+     */
+    const handleConfirmAction = async () => {
+        setIsConfirming(false);
+        await applyActionAsync({ actionId, reason: reason.trim(), linea: newLinea }, preview.affected);
+    };
+
     const clearSelection = () => {
         if (cursor && cursor.setSelectedRecordIds) {
             cursor.setSelectedRecordIds([]);
@@ -112,9 +322,9 @@ function SelectionSummaryView({ selectedRecordIds, cursor }) {
                     width="400px"
                 >
                     <Box padding={3} display="flex" flexDirection="column" alignItems="center">
-                        <Heading>Confirmado</Heading>
-                        <Text>{successInfo.count} record(s) updated to &quot;Confirmar y Monitorear&quot;.</Text>
-                        <Text>Total Cost: ${successInfo.totalCost.toFixed(2)}</Text>
+                        <Heading>{successInfo.action.doneTitle}</Heading>
+                        <Text>{successInfo.count} línea(s) {successInfo.action.doneText}.</Text>
+                        <Text>Costo total: ${successInfo.totalCost.toFixed(2)}</Text>
                         <Button
                             marginTop={3}
                             variant="primary"
@@ -128,10 +338,55 @@ function SelectionSummaryView({ selectedRecordIds, cursor }) {
                     </Box>
                 </Dialog>
             )}
+            {isConfirming && (
+                <ConfirmationDialog
+                    title={action.label}
+                    body={
+                        <Box>
+                            <Text>Se aplicará a {preview.affected.length} línea(s) por ${preview.totalCost.toFixed(2)}.</Text>
+                            {!action.to && <Text>Nueva Línea: {newLinea}</Text>}
+                            {preview.blocked.length > 0 && <Text>{preview.blocked.length} línea(s) bloqueada(s) no cambiarán.</Text>}
+                            {reason.trim() && <Text marginTop={2}>Motivo: {reason.trim()}</Text>}
+                        </Box>
+                    }
+                    confirmButtonText={action.label}
+                    cancelButtonText="Volver"
+                    isConfirmActionDangerous={action.dangerous}
+                    onConfirm={handleConfirmAction}
+                    onCancel={() => setIsConfirming(false)}
+                />
+            )}
             <Heading>Selection Summary</Heading>
             <Text>{selectedRecordIds.length} record(s) selected in view.</Text>
-            <Text>Found {count} record(s) with &quot;Abierto&quot; status.</Text>
-            <Text fontWeight="strong">Total Cost to Confirm: ${totalCost.toFixed(2)}</Text>
+            <Box display="flex" marginTop={2}>
+                <FormField label="Acción" flex="1 1 0" marginBottom={2}>
+                    <Select options={ACTION_OPTIONS} value={actionId} onChange={setActionId} disabled={isUpdating} />
+                </FormField>
+                {!action.to && (
+                    <FormField label="Nueva Línea" flex="1 1 0" marginLeft={2} marginBottom={2}>
+                        <Select
+                            options={[{ value: null, label: 'Elige una Línea' }, ...lineaOptions]}
+                            value={newLinea}
+                            onChange={setNewLinea}
+                            disabled={isUpdating}
+                        />
+                    </FormField>
+                )}
+            </Box>
+            {action.needsReason && (
+                <FormField label="Motivo (se guarda en el historial)" marginBottom={2}>
+                    <Input value={reason} onChange={e => setReason(e.target.value)} placeholder="Obligatorio" disabled={isUpdating} />
+                </FormField>
+            )}
+            <Text fontWeight="strong">
+                {preview.affected.length} línea(s) afectada(s) · Costo total: ${preview.totalCost.toFixed(2)}
+            </Text>
+            {action.to === Status.CONFIRMAR && (
+                <Text>
+                    Venta esperada: ${margin.revenue.toFixed(2)} · Margen: ${margin.margin.toFixed(2)} ({formatMarginPercent(margin.marginPercent)})
+                    {margin.unpriced > 0 ? ` · ${margin.unpriced} línea(s) sin regla de precio` : ''}
+                </Text>
+            )}
             <Box marginTop={3} border="default" borderRadius="large" overflow="hidden">
                 <Box display="flex" paddingY={2} paddingX={3} backgroundColor="lightGray2" fontWeight="strong">
                     <Text flex="1 1 20%">No. de Pedido</Text>
@@ -139,30 +394,75 @@ function SelectionSummaryView({ selectedRecordIds, cursor }) {
                     <Text flex="1 1 20%">Modelo</Text>
                     <Text flex="2 1 30%">Descripción</Text>
                     <Text flex="1 1 10%" textAlign="right">Costo</Text>
+                    <Text flex="1 1 10%" textAlign="right">Venta</Text>
+                    <Text flex="1 1 10%" textAlign="right">Margen</Text>
                 </Box>
-                {openRecords.length === 0 ? (
+                {preview.affected.length === 0 ? (
                     <Box paddingY={3} paddingX={3}>
-                        <Text>No records with status &quot;Abierto&quot; in the current selection.</Text>
+                        <Text>Ninguna línea seleccionada admite &quot;{action.label}&quot;.</Text>
                     </Box>
                 ) : (
-                    openRecords.map(record => (
-                        <Box key={record.id} display="flex" paddingY={2} paddingX={3} borderTop="default">
-                            <Text flex="1 1 20%" truncate>{record.getCellValueAsString('No. de Pedido') || 'Sin No.'}</Text>
-                            <Text flex="1 1 20%" truncate>{record.getCellValueAsString('Línea')}</Text>
-                            <Text flex="1 1 20%" truncate>{record.getCellValueAsString('Modelo')}</Text>
-                            <Text flex="2 1 30%" truncate>{record.getCellValueAsString('Descripción')}</Text>
-                            <Text flex="1 1 10%" textAlign="right">${(record.getCellValue('Costo') || 0).toFixed(2)}</Text>
-                        </Box>
-                    ))
+                    preview.affected.map(record => {
+                        const line = lineMargin(record, lpoFields, getMarkup);
+                        return (
+                            <Box key={record.id} display="flex" paddingY={2} paddingX={3} borderTop="default">
+                                <Text flex="1 1 20%" truncate>{record.getCellValueAsString(lpoFields.noPedido) || 'Sin No.'}</Text>
+                                <Text flex="1 1 20%" truncate>
+                                    {record.getCellValueAsString(lpoFields.linea)}{!action.to && newLinea ? ` → ${newLinea}` : ''}
+                                </Text>
+                                <Text flex="1 1 20%" truncate>{record.getCellValueAsString(lpoFields.modelo)}</Text>
+                                <Text flex="2 1 30%" truncate>{record.getCellValueAsString(lpoFields.descripcion)}</Text>
+                                <Text flex="1 1 10%" textAlign="right">${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                                <Text flex="1 1 10%" textAlign="right">{line.price === null ? '—' : `$${line.price.toFixed(2)}`}</Text>
+                                <Text flex="1 1 10%" textAlign="right" textColor={line.margin < 0 ? 'red' : 'default'}>
+                                    {line.margin === null ? '—' : `$${line.margin.toFixed(2)}`}
+                                </Text>
+                            </Box>
+                        );
+                    })
                 )}
             </Box>
-            <Button 
-                marginTop={3} 
-                variant="primary" 
-                onClick={handleConfirmSelection} 
-                disabled={isUpdating || count === 0}
+            {preview.blocked.length > 0 && (
+                <Box marginTop={3} border="default" borderRadius="large" overflow="hidden" backgroundColor="white">
+                    <Box paddingY={2} paddingX={3} backgroundColor="lightGray2">
+                        <Text fontWeight="strong">{preview.blocked.length} línea(s) bloqueada(s)</Text>
+                    </Box>
+                    <Box maxHeight="150px" overflowY="auto">
+                        {preview.blocked.map(({ record, reason: blockedBecause }) => (
+                            <Box key={record.id} display="flex" paddingY={1} paddingX={3} borderTop="default">
+                                <Text flex="1 1 30%" size="small" truncate>
+                                    {record.getCellValueAsString(lpoFields.modelo) || record.name} · {record.getCellValueAsString(lpoFields.linea)}
+                                </Text>
+                                <Text flex="1 1 20%" size="small" truncate>{record.getCellValueAsString(lpoFields.estatus)}</Text>
+                                <Text flex="2 1 50%" size="small" textColor="light">{blockedBecause}</Text>
+                            </Box>
+                        ))}
+                    </Box>
+                </Box>
+            )}
+            {progress && <BatchProgress progress={progress} label={action.progressLabel} />}
+            {failure && (
+                <Box marginTop={3} border="default" borderRadius="large" padding={2} backgroundColor="white">
+                    <Text textColor="red" fontWeight="strong">{failure.message}</Text>
+                    <Box maxHeight="150px" overflowY="auto" marginY={2}>
+                        {failure.records.map(record => (
+                            <Text key={record.id} size="small">
+                                {record.getCellValueAsString(lpoFields.modelo) || record.name} · {record.getCellValueAsString(lpoFields.linea)}
+                            </Text>
+                        ))}
+                    </Box>
+                    <Button onClick={() => applyActionAsync(failure.request, failure.records, failure.retried)} disabled={isUpdating}>
+                        Reintentar {failure.records.length} fallido(s)
+                    </Button>
+                </Box>
+            )}
+            <Button
+                marginTop={3}
+                variant={action.dangerous ? 'danger' : 'primary'}
+                onClick={() => setIsConfirming(true)}
+                disabled={isUpdating || preview.affected.length === 0 || missingInput}
             >
-                {isUpdating ? 'Confirming...' : 'Confirmar Pedido'}
+                {isUpdating ? `${action.progressLabel}...` : action.label}
             </Button>
         </Box>
     );
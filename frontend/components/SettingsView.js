@@ -0,0 +1,54 @@
+/**
+ * @file This file defines the SettingsView component, which is displayed when
+ * the user clicks the block's settings button. It groups every configurable
+ * section of the block, all of which are persisted in GlobalConfig.
+ */
+
+import React from 'react';
+import { Box, Button, Heading } from '@airtable/blocks/ui';
+import BrandPolicySettings from './settings/BrandPolicySettings';
+import BrandMarkupSettings from './settings/BrandMarkupSettings';
+import SchemaMappingSettings from './settings/SchemaMappingSettings';
+import HistoryMigrationSettings from './settings/HistoryMigrationSettings';
+import UndoSettings from './settings/UndoSettings';
+import PayerSettings from './settings/PayerSettings';
+import PaymentMethodSettings from './settings/PaymentMethodSettings';
+
+/**
+ * The settings screen of the block.
+ * @param {object} props The component props.
+ * @param {boolean} props.isSchemaHealthy Whether every table and field passed the health check.
+ * @param {Function} props.onDone The function to call when the user leaves the settings screen.
+ * @returns {React.ReactElement} The rendered settings screen.
+ */
+function SettingsView({ isSchemaHealthy, onDone }) {
+    return (
+        <Box flex="1" overflow="auto" border="thick" borderRadius="large" padding={3}>
+            <Box display="flex" justifyContent="space-between" alignItems="center" marginBottom={3}>
+                <Heading>Configuración</Heading>
+                <Button variant="primary" onClick={onDone}>Listo</Button>
+            </Box>
+            <BrandPolicySettings />
+            <Box marginTop={4}>
+                <BrandMarkupSettings />
+            </Box>
+            <Box marginTop={4}>
+                <PayerSettings />
+            </Box>
+            <Box marginTop={4}>
+                <PaymentMethodSettings />
+            </Box>
+            <Box marginTop={4}>
+                <UndoSettings />
+            </Box>
+            <Box marginTop={4}>
+                <SchemaMappingSettings />
+            </Box>
+            <Box marginTop={4}>
+                <HistoryMigrationSettings isSchemaHealthy={isSchemaHealthy} />
+            </Box>
+        </Box>
+    );
+}
+
+export default SettingsView;
@@ -1,13 +1,16 @@
 /**
  * @file This file contains all components related to the "Solicitados" tab.
  * This includes fetching orders that have been requested, displaying them in a list,
- * and providing a modal to register a payment against an order.
+ * and providing modals to register a payment against an order, to mark it as shipped
+ * and to cancel it. Each order expands into its payments, which can be corrected from there,
+ * and clicking an order opens its full detail.
  */
 
 import React, { useState, useMemo } from 'react';
 import {
-    useBase,
+    useGlobalConfig,
     useRecords,
+    useSession,
     Box,
     Button,
     Dialog,
@@ -18,7 +21,26 @@ import {
     FormField,
     Loader,
 } from '@airtable/blocks/ui';
-import { METODOS_PAGO_TABLE_NAME, PAGOS_TABLE_NAME, PEDIDOS_TABLE_NAME } from '../constants';
+import { useSchema } from '../schema';
+import { RELEASED_LINE_STATUSES, Status, checkTransition, planPaymentStatus, planTransition } from '../statusMachine';
+import { HistoryAction, historyEventKey, recordHistoryAsync } from '../history';
+import { updateRecordsInBatchesAsync } from '../batch';
+import { useBrandSettings } from '../brands';
+import { agingOf } from '../aging';
+import { buildCreditFields, buildCreditSteps, isCreditMethod, splitOverpayment, useBrandCredit } from '../credits';
+import { buildPagoFields, newPaymentId, totalFees } from '../payments';
+import { buildLandedCostStep } from '../landedCost';
+import { buildLineStatusSteps } from '../pedidoLines';
+import { UndoScope, rollbackUnitOfWork, runUnitOfWork, snapshotRecord, useUnfinishedOperation } from '../unitOfWork';
+import BatchProgress from './BatchProgress';
+import BrandCreditNotice from './BrandCreditNotice';
+import HistoryTimeline from './HistoryTimeline';
+import LandedCostPanel from './LandedCostPanel';
+import PaymentEntryForm from './PaymentEntryForm';
+import PedidoDetail from './PedidoDetail';
+import PedidoPayments from './PedidoPayments';
+import UndoLastOperation from './UndoLastOperation';
+import UnfinishedOperationBanner from './UnfinishedOperationBanner';
 
 /**
  * A modal dialog for registering a payment for a specific order.
@@ -30,20 +52,20 @@ import { METODOS_PAGO_TABLE_NAME, PAGOS_TABLE_NAME, PEDIDOS_TABLE_NAME } from '.
  * @returns {React.ReactElement} The rendered payment modal.
  */
 function PagarPedidoModal({ pedido, onClose }) {
-    const base = useBase();
-    const metodosPagoTable = base.getTableByName(METODOS_PAGO_TABLE_NAME);
-    const pagosTable = base.getTableByName(PAGOS_TABLE_NAME);
+    const schema = useSchema();
+    const session = useSession();
+    const { tables, fields } = schema;
+    const metodosPagoTable = tables.metodos;
+    const pagosTable = tables.pagos;
+    const pedidoFields = fields.pedidos;
 
     const metodosPagoRecords = useRecords(metodosPagoTable);
 
-    // State for the payment form
-    const [metodoPagoId, setMetodoPagoId] = useState(null);
-    const [abono, setAbono] = useState('');
-    const [quienPago, setQuienPago] = useState(null);
-    const [referencia, setReferencia] = useState('');
-    const [tarjeta, setTarjeta] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [payments, setPayments] = useState([]);
+    const globalConfig = useGlobalConfig();
+    const operationKey = `pagar:${pedido.id}`;
+    const unfinished = useUnfinishedOperation(operationKey);
 
     /**
      * @property {object[]} metodoPagoOptions - A memoized list of payment methods
@@ -51,91 +73,173 @@ function PagarPedidoModal({ pedido, onClose }) {
      */
     const metodoPagoOptions = useMemo(() => {
         if (!metodosPagoRecords) return [];
-        return metodosPagoRecords.map(r => ({ value: r.id, label: r.name }));
-    }, [metodosPagoRecords]);
+        return metodosPagoRecords
+            .filter(r => !isCreditMethod(r, fields.metodos.tipo))
+            .map(r => ({ value: r.id, label: r.name }));
+    }, [metodosPagoRecords, fields]);
 
-    // Find the full record for the selected payment method.
-    const selectedMetodo = useMemo(() => {
-        if (!metodoPagoId || !metodosPagoRecords) return null;
-        return metodosPagoRecords.find(r => r.id === metodoPagoId);
-    }, [metodoPagoId, metodosPagoRecords]);
+    const marca = pedido.getCellValueAsString(pedidoFields.marca);
+    const credit = useBrandCredit(marca, metodosPagoRecords);
+    const [isCreditApplied, setIsCreditApplied] = useState(true);
 
-    // Get the type (e.g., 'Efectivo') of the selected payment method to show conditional fields.
-    const metodoType = selectedMetodo ? selectedMetodo.getCellValueAsString('TIPO') : null;
-
-    const totalCosto = pedido.getCellValue('Total Costo Pedido') || 0;
-    const alreadyPaid = pedido.getCellValue('Monto Compilación (de Pagos)') || 0;
-    const addedPaymentsTotal = payments.reduce((sum, p) => sum + p.amount, 0);
+    const totalCosto = pedido.getCellValue(pedidoFields.totalCosto) || 0;
+    const alreadyPaid = pedido.getCellValue(pedidoFields.montoPagado) || 0;
+    // The brand's credit pays first; the payments added by hand cover the rest.
+    const creditApplied = isCreditApplied && credit.creditMethod
+        ? Math.min(credit.balance, Math.max(totalCosto - alreadyPaid, 0))
+        : 0;
+    const addedPaymentsTotal = payments.reduce((sum, p) => sum + p.amount, 0) + creditApplied;
     const remaining = Math.max(totalCosto - alreadyPaid - addedPaymentsTotal, 0);
+    // Method fees raise Gastos Adicionales, and the payments that incur them pay them too.
+    const fees = totalFees(payments);
 
-    const resetForm = () => {
-        setMetodoPagoId(null);
-        setAbono('');
-        setQuienPago(null);
-        setReferencia('');
-        setTarjeta('');
-    };
-
-    const handleAddPayment = () => {
-        const amount = parseFloat(abono);
-        if (!metodoPagoId || !amount || amount <= 0) {
-            alert('Please select a payment method and enter a valid amount.');
-            return;
+    /**
+     * Adds a payment from the entry form, splitting off whatever exceeds the
+     * remaining balance as credit with the brand.
+     * @param {object} payment The payment from `PaymentEntryForm`.
+     * @returns {boolean} Whether the payment was added.
+     */
+    const handleAddPayment = (payment) => {
+        const { applied, excess } = splitOverpayment(payment.amount, remaining);
+        if (excess > 0 && !confirm(
+            `El monto excede el restante por $${excess.toFixed(2)}. ¿Registrar el excedente como crédito a favor con ${marca}?`,
+        )) {
+            return false;
         }
-        const adjustedAmount = amount > remaining ? remaining : amount;
-        const newPayment = {
-            metodoId: metodoPagoId,
-            amount: adjustedAmount,
-            quienPago: metodoType === 'Efectivo' ? quienPago : null,
-            referencia: metodoType === 'Vales' ? referencia : null,
-            tarjeta: metodoType === 'Transferencia' ? tarjeta : null,
-        };
-        setPayments(prev => [...prev, newPayment]);
-        resetForm();
+        setPayments(prev => [...prev, { ...payment, amount: applied, excess }]);
+        return true;
     };
 
     const handleRemovePayment = (index) => {
         setPayments(prev => prev.filter((_, idx) => idx !== index));
     };
 
+    /**
+     * Builds the steps of a payment registration from its serializable input.
+     * @param {object} input The registration as captured by `handleSave`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildSaveSteps = (input) => [
+        ...input.payments.map((payment, idx) => ({
+            name: `pago-${idx}`,
+            label: `Registrar pago ${idx + 1}`,
+            run: async (tracker) => {
+                const pagoId = await pagosTable.createRecordAsync(buildPagoFields(schema, pedido.id, payment));
+                tracker.created('pagos', [pagoId]);
+                return pagoId;
+            },
+        })),
+        ...buildCreditSteps(schema, input.payments, input.marca, pedido.getCellValueAsString(pedidoFields.noPedido)),
+        {
+            name: 'estatus',
+            label: 'Actualizar estatus del pedido',
+            run: async (tracker) => {
+                const plan = planTransition(schema, 'pedidos', pedido, input.newStatus, {
+                    action: HistoryAction.PAGO,
+                    context: input.context,
+                    note: `Pago registrado por $${input.addedTotal.toFixed(2)}`,
+                });
+                tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [pedidoFields.estatus, pedidoFields.gastosAdicionales])]);
+                await tables.pedidos.updateRecordAsync(pedido.id, {
+                    ...plan.fields,
+                    [pedidoFields.gastosAdicionales]: input.gastosAdicionales,
+                });
+                return plan.event;
+            },
+        },
+        ...buildLineStatusSteps(schema, () => ({ pedidoId: pedido.id, pedidoStatus: input.newStatus }), {
+            action: HistoryAction.PAGO,
+            note: `Pedido ${pedido.getCellValueAsString(pedidoFields.noPedido)} ${input.newStatus}`,
+        }),
+        // Fees raise Gastos Adicionales, which the lines' landed cost includes.
+        buildLandedCostStep(schema, () => pedido.id),
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const pagoIds = input.payments.map((_, idx) => results[`pago-${idx}`]);
+                const events = [{ ...results.estatus, pagoIds }, ...results['plan-estatus-lineas']]
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a payment registration as a unit of work and closes the modal on success.
+     * @param {object} input The registration as captured by `handleSave`.
+     */
+    const runSave = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                {
+                    key: operationKey,
+                    label: `El registro de pagos del pedido ${pedido.getCellValueAsString(pedidoFields.noPedido)}`,
+                    input,
+                    undoScope: UndoScope.PAGAR,
+                },
+                buildSaveSteps(input),
+            );
+            onClose(); // Close the modal on success.
+        } catch (error) {
+            console.error(`Error saving payment:`, error);
+            alert(`Error saving payment: ${error.message}. Puedes reanudar o deshacer el registro.`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
     /**
      * Handles saving the payment record. It validates the form and creates a new
      * record in the "Pagos" table with the relevant details.
      */
     const handleSave = async () => {
-        if (payments.length === 0) {
+        const allPayments = creditApplied > 0
+            ? [{ metodoId: credit.creditMethod.id, amount: creditApplied, isCredit: true }, ...payments]
+            : payments;
+        if (allPayments.length === 0) {
             alert('Please add at least one payment.');
             return;
         }
+        const { newStatus, context, error } = planPaymentStatus(
+            pedido.getCellValueAsString(pedidoFields.estatus),
+            totalCosto + fees,
+            alreadyPaid + addedPaymentsTotal + fees,
+        );
+        if (error) {
+            alert(error);
+            return;
+        }
+        await runSave({
+            newStatus,
+            context,
+            addedTotal: addedPaymentsTotal + fees,
+            gastosAdicionales: (pedido.getCellValue(pedidoFields.gastosAdicionales) || 0) + fees,
+            marca,
+            payments: allPayments.map(payment => ({
+                ...payment,
+                idPago: payment.idPago || newPaymentId(),
+            })),
+        });
+    };
+
+    /**
+     * Deletes the payments of an unfinished registration and restores the status.
+     */
+    const handleRollback = async () => {
         setIsSubmitting(true);
         try {
-            for (const payment of payments) {
-                const pagoRecord = {
-                    'Pedido': [{ id: pedido.id }],
-                    'Método de Pago Admin': [{ id: payment.metodoId }],
-                    'Abono': payment.amount,
-                    'ID Pago': `PAY-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
-                };
-                if (payment.quienPago) pagoRecord['Quién Realizó Pago'] = { name: payment.quienPago };
-                if (payment.referencia) pagoRecord['Número de Referencia'] = payment.referencia;
-                if (payment.tarjeta) pagoRecord['Tarjeta de Débito'] = payment.tarjeta;
-                await pagosTable.createRecordAsync(pagoRecord);
-            }
-            const newPaidTotal = alreadyPaid + addedPaymentsTotal;
-            const newRemaining = Math.max(totalCosto - newPaidTotal, 0);
-            let newStatus;
-            if (newRemaining <= 0) {
-                newStatus = 'Pagado';
-            } else if (newPaidTotal > 0) {
-                newStatus = 'Pago Incompleto';
-            } else {
-                newStatus = 'Pendiente de Pago';
-            }
-            await base.getTableByName(PEDIDOS_TABLE_NAME).updateRecordAsync(pedido.id, { 'Estatus': { name: newStatus } });
-            onClose(); // Close the modal on success.
+            await rollbackUnitOfWork(globalConfig, schema, unfinished);
         } catch (error) {
-            console.error(`Error saving payment:`, error);
-            alert(`Error saving payment: ${error.message}`);
+            console.error(`Error rolling back payment:`, error);
+            alert(`Error al deshacer: ${error.message}`);
         } finally {
             setIsSubmitting(false);
         }
@@ -148,38 +252,31 @@ function PagarPedidoModal({ pedido, onClose }) {
         <Dialog onClose={onClose} width="500px">
             <Box padding={3}>
                 <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
-                <Heading>Realizar Pago para Pedido {pedido.getCellValueAsString('No. de Pedido')}</Heading>
+                <Heading>Realizar Pago para Pedido {pedido.getCellValueAsString(pedidoFields.noPedido)}</Heading>
                 <Text marginBottom={2}>Restante: ${remaining.toFixed(2)} (Pagado: ${alreadyPaid.toFixed(2)} / Total: ${totalCosto.toFixed(2)})</Text>
-                
-                <FormField label="Método de Pago">
-                    <Select options={metodoPagoOptions} value={metodoPagoId} onChange={setMetodoPagoId} />
-                </FormField>
-                <FormField label="Abono">
-                    <Input type="number" value={abono} onChange={e => setAbono(e.target.value)} />
-                </FormField>
-
-                {/* Conditional fields based on payment type */}
-                {metodoType === 'Efectivo' && (
-                    <FormField label="Quién Realizó Pago">
-                        <Select options={[{value: 'CANA', label: 'CANA'}, {value: 'NASL', label: 'NASL'}]} value={quienPago} onChange={setQuienPago} />
-                    </FormField>
+                {unfinished && (
+                    <UnfinishedOperationBanner
+                        journal={unfinished}
+                        isBusy={isSubmitting}
+                        onResume={() => runSave(unfinished.input)}
+                        onRollback={handleRollback}
+                    />
                 )}
-                {metodoType === 'Vales' && (
-                    <FormField label="Número de Referencia">
-                        <Input value={referencia} onChange={e => setReferencia(e.target.value)} />
-                    </FormField>
-                )}
-                {metodoType === 'Transferencia' && (
-                    <FormField label="Tarjeta de Débito">
-                        <Input value={tarjeta} onChange={e => setTarjeta(e.target.value)} />
-                    </FormField>
-                )}
-
-                <Box display="flex" justifyContent="flex-end" marginTop={2}>
-                    <Button onClick={handleAddPayment} variant="secondary" disabled={remaining === 0 || isSubmitting}>
-                        Agregar pago
-                    </Button>
-                </Box>
+                <BrandCreditNotice
+                    marcas={[marca]}
+                    credit={credit}
+                    applied={creditApplied}
+                    isApplied={isCreditApplied}
+                    onChange={setIsCreditApplied}
+                />
+                
+                <PaymentEntryForm
+                    metodosPagoRecords={metodosPagoRecords}
+                    metodoOptions={metodoPagoOptions}
+                    marcas={[marca]}
+                    disabled={remaining === 0 || isSubmitting}
+                    onAdd={handleAddPayment}
+                />
 
                 {payments.length > 0 && (
                     <Box marginTop={3} border="default" borderRadius="large" padding={2}>
@@ -189,7 +286,10 @@ function PagarPedidoModal({ pedido, onClose }) {
                             return (
                                 <Box key={`${p.metodoId}-${idx}`} display="flex" alignItems="center" justifyContent="space-between" paddingY={1}>
                                     <Text>{metodo ? metodo.name : 'Método'}</Text>
-                                    <Text>${p.amount.toFixed(2)}</Text>
+                                    <Text>
+                                        ${p.amount.toFixed(2)}{p.excess > 0 ? ` (+$${p.excess.toFixed(2)} a crédito)` : ''}
+                                        {p.fee > 0 ? ` (+$${p.fee.toFixed(2)} de comisión)` : ''}
+                                    </Text>
                                     <Button icon="x" size="small" onClick={() => handleRemovePayment(idx)} />
                                 </Box>
                             );
@@ -199,7 +299,7 @@ function PagarPedidoModal({ pedido, onClose }) {
 
                 <Box display="flex" justifyContent="flex-end" marginTop={3}>
                     <Button onClick={onClose} marginRight={2}>Cancel</Button>
-                    <Button variant="primary" onClick={handleSave} disabled={isSubmitting || payments.length === 0}>
+                    <Button variant="primary" onClick={handleSave} disabled={isSubmitting || Boolean(unfinished) || (payments.length === 0 && creditApplied === 0)}>
                         {isSubmitting ? 'Saving...' : 'Guardar pagos'}
                     </Button>
                 </Box>
@@ -209,6 +309,583 @@ function PagarPedidoModal({ pedido, onClose }) {
 }
 
 
+/**
+ * A modal dialog that marks a requested Pedido as shipped. It records the
+ * carrier, tracking number and dates on the Pedido and moves the Pedido and its
+ * lines to "Enviado".
+ * @param {object} props The component props.
+ * @param {Airtable.Record} props.pedido The Pedido being shipped.
+ * @param {Function} props.onClose The function to call when the modal should be closed.
+ * @returns {React.ReactElement} The rendered shipment modal.
+ */
+function EnviarPedidoModal({ pedido, onClose }) {
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const lineas = useRecords(pedido.selectLinkedRecordsFromCell(pedidoFields.productos, { fields: [lpoFields.estatus] }));
+
+    const [paqueteria, setPaqueteria] = useState('');
+    const [guia, setGuia] = useState('');
+    const [fechaEnvio, setFechaEnvio] = useState(new Date().toISOString().slice(0, 10));
+    const [llegadaEstimada, setLlegadaEstimada] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const noPedido = pedido.getCellValueAsString(pedidoFields.noPedido);
+    const operationKey = `enviar:${pedido.id}`;
+    const unfinished = useUnfinishedOperation(operationKey);
+
+    /**
+     * Builds the steps of a shipment from its serializable input.
+     * @param {object} input The shipment as captured by `handleSave`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildShipSteps = (input) => [
+        {
+            name: 'pedido',
+            label: 'Marcar pedido como enviado',
+            run: async (tracker) => {
+                const plan = planTransition(schema, 'pedidos', pedido, Status.ENVIADO, {
+                    action: HistoryAction.ENVIAR,
+                    note: `${input.paqueteria}, guía ${input.guia}`,
+                });
+                tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [
+                    pedidoFields.estatus,
+                    pedidoFields.paqueteria,
+                    pedidoFields.guia,
+                    pedidoFields.fechaEnvio,
+                    pedidoFields.llegadaEstimada,
+                ])]);
+                await tables.pedidos.updateRecordAsync(pedido.id, {
+                    ...plan.fields,
+                    [pedidoFields.paqueteria]: input.paqueteria,
+                    [pedidoFields.guia]: input.guia,
+                    [pedidoFields.fechaEnvio]: input.fechaEnvio,
+                    [pedidoFields.llegadaEstimada]: input.llegadaEstimada || null,
+                });
+                return plan.event;
+            },
+        },
+        {
+            // Planned in a step of its own so the events keep the lines' original
+            // statuses when the update below is resumed halfway.
+            name: 'plan-lineas',
+            label: 'Validar líneas',
+            run: async () => input.recordIds
+                .map(id => lineas.find(record => record.id === id))
+                .filter(Boolean)
+                .map(record => ({
+                    ...planTransition(schema, 'lpo', record, Status.ENVIADO, {
+                        action: HistoryAction.ENVIAR,
+                        note: `Pedido ${noPedido} enviado por ${input.paqueteria}`,
+                    }).event,
+                    pedidoId: pedido.id,
+                })),
+        },
+        {
+            name: 'lineas',
+            label: 'Actualizar líneas',
+            run: async (tracker, results) => {
+                const records = results['plan-lineas']
+                    .filter(event => !tracker.isWritten(event.recordId))
+                    .map(event => lineas.find(record => record.id === event.recordId))
+                    .filter(Boolean);
+                const snapshots = records.map(record => snapshotRecord(tables.lpo, record, [lpoFields.estatus]));
+                await updateRecordsInBatchesAsync(tables.lpo, records.map(record => ({
+                    id: record.id,
+                    fields: { [lpoFields.estatus]: { name: Status.ENVIADO } },
+                })), {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.updated('lpo', snapshots.filter(snapshot => ids.includes(snapshot.id)));
+                        tracker.written(ids);
+                    },
+                });
+            },
+        },
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const events = [results.pedido, ...results['plan-lineas']]
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a shipment as a unit of work and closes the modal on success.
+     * @param {object} input The shipment as captured by `handleSave`.
+     */
+    const runShip = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                { key: operationKey, label: `El envío del pedido ${noPedido}`, input, undoScope: UndoScope.ENVIAR },
+                buildShipSteps(input),
+            );
+            onClose();
+        } catch (error) {
+            console.error('Error shipping order:', error);
+            alert(`Error al marcar como enviado: ${error.message}. Puedes reanudar o deshacer el envío.`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    /**
+     * Validates the form and the moves of the Pedido and its lines, then ships it.
+     * Lines already marked "Enviado" are left as they are.
+     */
+    const handleSave = async () => {
+        if (!paqueteria.trim() || !guia.trim() || !fechaEnvio) {
+            alert('La paquetería, el número de guía y la fecha de envío son requeridos.');
+            return;
+        }
+        if (llegadaEstimada && llegadaEstimada < fechaEnvio) {
+            alert('La llegada estimada no puede ser anterior a la fecha de envío.');
+            return;
+        }
+        const pending = lineas.filter(record => record.getCellValueAsString(lpoFields.estatus) !== Status.ENVIADO);
+        const errors = [
+            checkTransition('pedidos', pedido.getCellValueAsString(pedidoFields.estatus), Status.ENVIADO),
+            ...pending.map(record => checkTransition('lpo', record.getCellValueAsString(lpoFields.estatus), Status.ENVIADO)),
+        ].filter(Boolean);
+        if (errors.length > 0) {
+            alert(Array.from(new Set(errors)).join('\n'));
+            return;
+        }
+        await runShip({
+            paqueteria: paqueteria.trim(),
+            guia: guia.trim(),
+            fechaEnvio,
+            llegadaEstimada,
+            recordIds: pending.map(record => record.id),
+        });
+    };
+
+    /**
+     * Restores the Pedido and lines of an unfinished shipment.
+     */
+    const handleRollback = async () => {
+        setIsSubmitting(true);
+        try {
+            await rollbackUnitOfWork(globalConfig, schema, unfinished, setProgress);
+        } catch (error) {
+            console.error('Error rolling back shipment:', error);
+            alert(`Error al deshacer: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    if (!lineas) return <Dialog onClose={onClose}><Loader /></Dialog>;
+
+    return (
+        <Dialog onClose={onClose} width="500px">
+            <Box padding={3}>
+                <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
+                <Heading>Marcar como enviado el pedido {noPedido}</Heading>
+                <Text marginBottom={2}>{lineas.length} línea(s) pasarán a &quot;Enviado&quot; junto con el pedido.</Text>
+                {unfinished && (
+                    <UnfinishedOperationBanner
+                        journal={unfinished}
+                        isBusy={isSubmitting}
+                        onResume={() => runShip(unfinished.input)}
+                        onRollback={handleRollback}
+                    />
+                )}
+                <FormField label="Paquetería">
+                    <Input value={paqueteria} onChange={e => setPaqueteria(e.target.value)} />
+                </FormField>
+                <FormField label="Número de guía">
+                    <Input value={guia} onChange={e => setGuia(e.target.value)} />
+                </FormField>
+                <Box display="flex">
+                    <FormField label="Fecha de envío" marginRight={2}>
+                        <Input type="date" value={fechaEnvio} onChange={e => setFechaEnvio(e.target.value)} />
+                    </FormField>
+                    <FormField label="Llegada estimada">
+                        <Input type="date" value={llegadaEstimada} onChange={e => setLlegadaEstimada(e.target.value)} />
+                    </FormField>
+                </Box>
+                {progress && <BatchProgress progress={progress} />}
+                <Box display="flex" justifyContent="flex-end" marginTop={3}>
+                    <Button onClick={onClose} marginRight={2}>Cancelar</Button>
+                    <Button variant="primary" onClick={handleSave} disabled={isSubmitting || Boolean(unfinished)}>
+                        {isSubmitting ? 'Guardando...' : 'Marcar como enviado'}
+                    </Button>
+                </Box>
+            </Box>
+        </Dialog>
+    );
+}
+
+
+/**
+ * What happens to the amount already paid on a Pedido that is cancelled.
+ * @enum {string}
+ */
+const PaidAmountHandling = Object.freeze({
+    DEVOLUCION: 'devolucion',
+    CREDITO: 'credito',
+});
+
+/**
+ * The choices offered for each line of a cancelled Pedido.
+ * @type {{value: string, label: string}[]}
+ */
+const RELEASED_LINE_OPTIONS = RELEASED_LINE_STATUSES.map(status => ({ value: status, label: status }));
+
+/**
+ * A modal dialog that cancels a Pedido before it ships. Each linked line goes
+ * back to "Abierto" or "Confirmar y Monitorear", or is cancelled too, and is
+ * unlinked from the Pedido. What was paid is either refunded by the brand, as a
+ * negative payment, or kept as credit with the brand. Payments made with credit
+ * always go back to the brand's credit.
+ * @param {object} props The component props.
+ * @param {Airtable.Record} props.pedido The Pedido being cancelled.
+ * @param {Function} props.onClose The function to call when the modal should be closed.
+ * @returns {React.ReactElement} The rendered cancellation modal.
+ */
+function CancelarPedidoModal({ pedido, onClose }) {
+    const schema = useSchema();
+    const session = useSession();
+    const globalConfig = useGlobalConfig();
+    const { tables, fields } = schema;
+    const pedidoFields = fields.pedidos;
+    const lpoFields = fields.lpo;
+    const pagoFields = fields.pagos;
+    const lineas = useRecords(pedido.selectLinkedRecordsFromCell(pedidoFields.productos, {
+        fields: [lpoFields.estatus, lpoFields.modelo, lpoFields.linea, lpoFields.costo, lpoFields.noPedido, lpoFields.costoPuesto],
+    }));
+    const pagos = useRecords(tables.pagos, { fields: [pagoFields.pedido, pagoFields.metodo, pagoFields.abono, pagoFields.anulado] });
+    const metodos = useRecords(tables.metodos);
+
+    const [lineTargets, setLineTargets] = useState({});
+    const [handling, setHandling] = useState(PaidAmountHandling.DEVOLUCION);
+    const [refundMetodoId, setRefundMetodoId] = useState(null);
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const noPedido = pedido.getCellValueAsString(pedidoFields.noPedido);
+    const marca = pedido.getCellValueAsString(pedidoFields.marca);
+    const operationKey = `cancelar:${pedido.id}`;
+    const unfinished = useUnfinishedOperation(operationKey);
+
+    const metodoOptions = useMemo(() => {
+        if (!metodos) return [];
+        return metodos
+            .filter(metodo => !isCreditMethod(metodo, fields.metodos.tipo))
+            .map(metodo => ({ value: metodo.id, label: metodo.name }));
+    }, [metodos, fields]);
+
+    /**
+     * @property {{total: number, withCredit: number}} paid What the Pedido's
+     * payments add up to, and how much of it was paid with the brand's credit.
+     */
+    const paid = useMemo(() => {
+        if (!pagos || !metodos) return { total: 0, withCredit: 0 };
+        const creditMethodIds = metodos.filter(metodo => isCreditMethod(metodo, fields.metodos.tipo)).map(metodo => metodo.id);
+        return pagos
+            .filter(pago => !pago.getCellValue(pagoFields.anulado))
+            .filter(pago => (pago.getCellValue(pagoFields.pedido) || []).some(link => link.id === pedido.id))
+            .reduce((sum, pago) => {
+                const amount = pago.getCellValue(pagoFields.abono) || 0;
+                const isCredit = (pago.getCellValue(pagoFields.metodo) || []).some(link => creditMethodIds.includes(link.id));
+                return { total: sum.total + amount, withCredit: sum.withCredit + (isCredit ? amount : 0) };
+            }, { total: 0, withCredit: 0 });
+    }, [pagos, metodos, fields, pagoFields, pedido]);
+
+    const round = amount => Math.round(Math.max(amount, 0) * 100) / 100;
+    const refundAmount = handling === PaidAmountHandling.DEVOLUCION ? round(paid.total - paid.withCredit) : 0;
+    const creditAmount = handling === PaidAmountHandling.DEVOLUCION ? round(paid.withCredit) : round(paid.total);
+    const targetOf = record => lineTargets[record.id] || Status.CONFIRMAR;
+
+    /**
+     * Builds the steps of a cancellation from its serializable input. The Pedido
+     * is unlinked from its lines last, so a resumed cancellation still finds them.
+     * @param {object} input The cancellation as captured by `handleSave`.
+     * @returns {object[]} The steps for `runUnitOfWork`.
+     */
+    const buildCancelSteps = (input) => [
+        {
+            // Planned in a step of its own so the events keep the lines' original
+            // statuses when the update below is resumed halfway.
+            name: 'plan-lineas',
+            label: 'Validar líneas',
+            run: async () => input.lines
+                .map(line => ({ line, record: lineas.find(record => record.id === line.id) }))
+                .filter(({ record }) => record)
+                .map(({ line, record }) => ({
+                    ...planTransition(schema, 'lpo', record, line.to, {
+                        action: HistoryAction.CANCELAR_PEDIDO,
+                        note: `Pedido ${noPedido} cancelado: ${input.reason}`,
+                    }).event,
+                    pedidoId: pedido.id,
+                })),
+        },
+        ...(input.refundAmount > 0 ? [{
+            name: 'devolucion',
+            label: 'Registrar devolución',
+            run: async (tracker) => {
+                const pagoId = await tables.pagos.createRecordAsync(buildPagoFields(schema, pedido.id, {
+                    metodoId: input.refundMetodoId,
+                    amount: -input.refundAmount,
+                    idPago: `REF-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+                    fechaPago: input.fecha,
+                    descripcion: 'Devolución',
+                    notas: `Cancelación del pedido ${noPedido}`,
+                }));
+                tracker.created('pagos', [pagoId]);
+                return pagoId;
+            },
+        }] : []),
+        ...(input.creditAmount > 0 ? [{
+            name: 'credito',
+            label: 'Registrar crédito a favor',
+            run: async (tracker) => {
+                const creditoId = await tables.creditos.createRecordAsync(buildCreditFields(schema, {
+                    marca: input.marca,
+                    amount: input.creditAmount,
+                    note: `Pagos del pedido cancelado ${noPedido}`,
+                }));
+                tracker.created('creditos', [creditoId]);
+            },
+        }] : []),
+        {
+            name: 'lineas',
+            label: 'Liberar líneas',
+            run: async (tracker, results) => {
+                const events = results['plan-lineas'].filter(event => !tracker.isWritten(event.recordId));
+                const records = events.map(event => lineas.find(record => record.id === event.recordId)).filter(Boolean);
+                const snapshots = records.map(record => snapshotRecord(tables.lpo, record, [
+                    lpoFields.estatus,
+                    lpoFields.noPedido,
+                    lpoFields.costoPuesto,
+                ]));
+                await updateRecordsInBatchesAsync(tables.lpo, events.map(event => ({
+                    id: event.recordId,
+                    fields: {
+                        [lpoFields.estatus]: { name: event.to },
+                        [lpoFields.noPedido]: null,
+                        [lpoFields.costoPuesto]: null,
+                    },
+                })), {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.updated('lpo', snapshots.filter(snapshot => ids.includes(snapshot.id)));
+                        tracker.written(ids);
+                    },
+                });
+            },
+        },
+        {
+            name: 'pedido',
+            label: 'Cancelar pedido',
+            run: async (tracker) => {
+                const plan = planTransition(schema, 'pedidos', pedido, Status.CANCELADO, {
+                    action: HistoryAction.CANCELAR_PEDIDO,
+                    note: input.reason,
+                });
+                tracker.updated('pedidos', [snapshotRecord(tables.pedidos, pedido, [pedidoFields.estatus, pedidoFields.productos])]);
+                await tables.pedidos.updateRecordAsync(pedido.id, {
+                    ...plan.fields,
+                    [pedidoFields.productos]: [],
+                });
+                return plan.event;
+            },
+        },
+        {
+            name: 'historial',
+            label: 'Registrar historial',
+            run: async (tracker, results) => {
+                const pedidoEvent = { ...results.pedido, pagoIds: results.devolucion ? [results.devolucion] : [] };
+                const events = [pedidoEvent, ...results['plan-lineas']]
+                    .filter(event => !tracker.isWritten(historyEventKey(event)));
+                await recordHistoryAsync(schema, session.currentUser, events, {
+                    onProgress: setProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.created('historial', ids);
+                        tracker.written(batch.map(historyEventKey));
+                    },
+                });
+            },
+        },
+    ];
+
+    /**
+     * Runs a cancellation as a unit of work and closes the modal on success.
+     * @param {object} input The cancellation as captured by `handleSave`.
+     */
+    const runCancel = async (input) => {
+        setIsSubmitting(true);
+        try {
+            await runUnitOfWork(
+                globalConfig,
+                { key: operationKey, label: `La cancelación del pedido ${noPedido}`, input, undoScope: UndoScope.CANCELAR_PEDIDO },
+                buildCancelSteps(input),
+            );
+            onClose();
+        } catch (error) {
+            console.error('Error cancelling order:', error);
+            alert(`Error al cancelar el pedido: ${error.message}. Puedes reanudar o deshacer la cancelación.`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    /**
+     * Validates the reason, the refund and every move, then cancels the Pedido.
+     */
+    const handleSave = async () => {
+        if (!reason.trim()) {
+            alert('Indica el motivo de la cancelación.');
+            return;
+        }
+        if (refundAmount > 0 && !refundMetodoId) {
+            alert('Selecciona el método de pago por el que la marca hace la devolución.');
+            return;
+        }
+        const errors = [
+            checkTransition('pedidos', pedido.getCellValueAsString(pedidoFields.estatus), Status.CANCELADO),
+            ...lineas.map(record => checkTransition('lpo', record.getCellValueAsString(lpoFields.estatus), targetOf(record))),
+        ].filter(Boolean);
+        if (errors.length > 0) {
+            alert(Array.from(new Set(errors)).join('\n'));
+            return;
+        }
+        await runCancel({
+            reason: reason.trim(),
+            marca,
+            fecha: new Date().toISOString().slice(0, 10),
+            refundAmount,
+            refundMetodoId,
+            creditAmount,
+            lines: lineas.map(record => ({ id: record.id, to: targetOf(record) })),
+        });
+    };
+
+    /**
+     * Restores the Pedido, lines and payments of an unfinished cancellation.
+     */
+    const handleRollback = async () => {
+        setIsSubmitting(true);
+        try {
+            await rollbackUnitOfWork(globalConfig, schema, unfinished, setProgress);
+        } catch (error) {
+            console.error('Error rolling back cancellation:', error);
+            alert(`Error al deshacer: ${error.message}`);
+        } finally {
+            setIsSubmitting(false);
+            setProgress(null);
+        }
+    };
+
+    if (!lineas || !pagos || !metodos) return <Dialog onClose={onClose}><Loader /></Dialog>;
+
+    return (
+        <Dialog onClose={onClose} width="600px">
+            <Box padding={3}>
+                <Button icon="x" onClick={onClose} aria-label="Close" style={{position: 'absolute', top: '10px', right: '10px'}} />
+                <Heading>Cancelar el pedido {noPedido}</Heading>
+                {unfinished && (
+                    <UnfinishedOperationBanner
+                        journal={unfinished}
+                        isBusy={isSubmitting}
+                        onResume={() => runCancel(unfinished.input)}
+                        onRollback={handleRollback}
+                    />
+                )}
+                <Box display="flex" alignItems="center" justifyContent="space-between" marginBottom={1}>
+                    <Text fontWeight="strong">{lineas.length} línea(s) se desvinculan del pedido</Text>
+                    <Select
+                        width="220px"
+                        size="small"
+                        options={[{ value: null, label: 'Todas las líneas a…' }, ...RELEASED_LINE_OPTIONS]}
+                        value={null}
+                        onChange={to => to && setLineTargets(Object.fromEntries(lineas.map(record => [record.id, to])))}
+                    />
+                </Box>
+                <Box border="default" borderRadius="large" maxHeight="220px" overflowY="auto">
+                    {lineas.map(record => (
+                        <Box key={record.id} display="flex" alignItems="center" paddingY={1} paddingX={2} borderBottom="default">
+                            <Text flex="2 1 0" truncate>
+                                {record.getCellValueAsString(lpoFields.modelo) || record.name} · {record.getCellValueAsString(lpoFields.linea)}
+                            </Text>
+                            <Text flex="1 1 0" truncate size="small" textColor="light">{record.getCellValueAsString(lpoFields.estatus)}</Text>
+                            <Text width="80px" textAlign="right" marginRight={2}>${(record.getCellValue(lpoFields.costo) || 0).toFixed(2)}</Text>
+                            <Select
+                                width="200px"
+                                size="small"
+                                options={RELEASED_LINE_OPTIONS}
+                                value={targetOf(record)}
+                                onChange={to => setLineTargets(prev => ({ ...prev, [record.id]: to }))}
+                            />
+                        </Box>
+                    ))}
+                </Box>
+                {paid.total > 0.005 && (
+                    <Box marginTop={3}>
+                        <Text fontWeight="strong">
+                            Pagado: ${paid.total.toFixed(2)}{paid.withCredit > 0.005 ? ` (de ello $${paid.withCredit.toFixed(2)} con crédito)` : ''}
+                        </Text>
+                        <Box display="flex" marginTop={1}>
+                            <FormField label="Lo pagado" flex="1 1 0" marginRight={2}>
+                                <Select
+                                    options={[
+                                        { value: PaidAmountHandling.DEVOLUCION, label: 'La marca lo devuelve' },
+                                        { value: PaidAmountHandling.CREDITO, label: `Queda como crédito con ${marca}` },
+                                    ]}
+                                    value={handling}
+                                    onChange={setHandling}
+                                />
+                            </FormField>
+                            {handling === PaidAmountHandling.DEVOLUCION && refundAmount > 0 && (
+                                <FormField label="Método de la devolución" flex="1 1 0">
+                                    <Select
+                                        options={[{ value: null, label: 'Selecciona un método' }, ...metodoOptions]}
+                                        value={refundMetodoId}
+                                        onChange={setRefundMetodoId}
+                                    />
+                                </FormField>
+                            )}
+                        </Box>
+                        <Text size="small" textColor="light">
+                            {refundAmount > 0 ? `Se registra una devolución por $${refundAmount.toFixed(2)}. ` : ''}
+                            {creditAmount > 0 ? `${marca} queda con $${creditAmount.toFixed(2)} de crédito a favor.` : ''}
+                        </Text>
+                    </Box>
+                )}
+                <FormField label="Motivo de la cancelación" marginTop={3}>
+                    <Input value={reason} onChange={e => setReason(e.target.value)} />
+                </FormField>
+                {progress && <BatchProgress progress={progress} />}
+                <Box display="flex" justifyContent="flex-end" marginTop={3}>
+                    <Button onClick={onClose} marginRight={2}>Volver</Button>
+                    <Button variant="danger" onClick={handleSave} disabled={isSubmitting || Boolean(unfinished) || !reason.trim()}>
+                        {isSubmitting ? 'Cancelando...' : 'Cancelar pedido'}
+                    </Button>
+                </Box>
+            </Box>
+        </Dialog>
+    );
+}
+
+
 /**
  * The main view for the "Solicitados" tab.
  * It displays a list of requested or sent orders, showing their payment status.
@@ -217,7 +894,15 @@ function PagarPedidoModal({ pedido, onClose }) {
  * @returns {React.ReactElement} The rendered tab content.
  */
 function SolicitadosTab({ pedidos }) {
+    const { fields } = useSchema();
+    const pedidoFields = fields.pedidos;
+    const { getCreditDays } = useBrandSettings();
     const [payingPedido, setPayingPedido] = useState(null);
+    const [shippingPedido, setShippingPedido] = useState(null);
+    const [cancellingPedido, setCancellingPedido] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const [timelinePedido, setTimelinePedido] = useState(null);
+    const [detailPedido, setDetailPedido] = useState(null);
     const [estatusFilter, setEstatusFilter] = useState('all');
     const [monthFilter, setMonthFilter] = useState('all');
     const [marcaFilter, setMarcaFilter] = useState('all');
@@ -225,52 +910,75 @@ function SolicitadosTab({ pedidos }) {
     const uniqueEstatus = useMemo(() => {
         const values = new Set();
         pedidos.forEach(p => {
-            const est = p.getCellValueAsString('Estatus');
+            const est = p.getCellValueAsString(pedidoFields.estatus);
             if (est) values.add(est);
         });
         return Array.from(values);
-    }, [pedidos]);
+    }, [pedidos, pedidoFields]);
 
     const uniqueMonths = useMemo(() => {
         const values = new Set();
         pedidos.forEach(p => {
-            const fechaStr = p.getCellValueAsString('Fecha Pedido');
+            const fechaStr = p.getCellValueAsString(pedidoFields.fechaPedido);
             const monthVal = fechaStr ? fechaStr.slice(0, 7) : null;
             if (monthVal) values.add(monthVal);
         });
         return Array.from(values);
-    }, [pedidos]);
+    }, [pedidos, pedidoFields]);
 
     const uniqueMarcas = useMemo(() => {
         const values = new Set();
         pedidos.forEach(p => {
-            const marca = p.getCellValueAsString('MARCA');
+            const marca = p.getCellValueAsString(pedidoFields.marca);
             if (marca) values.add(marca);
         });
         return Array.from(values);
-    }, [pedidos]);
+    }, [pedidos, pedidoFields]);
 
     const filteredPedidos = useMemo(() => {
         return pedidos.filter(p => {
-            const est = p.getCellValueAsString('Estatus');
-            const fechaStr = p.getCellValueAsString('Fecha Pedido');
+            const est = p.getCellValueAsString(pedidoFields.estatus);
+            const fechaStr = p.getCellValueAsString(pedidoFields.fechaPedido);
             const monthVal = fechaStr ? fechaStr.slice(0, 7) : null;
-            const marca = p.getCellValueAsString('MARCA');
+            const marca = p.getCellValueAsString(pedidoFields.marca);
             const matchesEstatus = estatusFilter === 'all' || est === estatusFilter;
             const matchesMonth = monthFilter === 'all' || monthVal === monthFilter;
             const matchesMarca = marcaFilter === 'all' || marca === marcaFilter;
             return matchesEstatus && matchesMonth && matchesMarca;
         });
-    }, [pedidos, estatusFilter, monthFilter, marcaFilter]);
+    }, [pedidos, pedidoFields, estatusFilter, monthFilter, marcaFilter]);
+
+    const agingById = useMemo(
+        () => new Map(pedidos.map(pedido => [pedido.id, agingOf(pedido, pedidoFields, getCreditDays)])),
+        [pedidos, pedidoFields, getCreditDays],
+    );
 
     if (pedidos.length === 0) {
-        return <Text>No orders found with status &quot;Solicitado&quot; or &quot;Enviado&quot;.</Text>;
+        return (
+            <Box>
+                <UndoLastOperation scope={UndoScope.PAGAR} />
+                <UndoLastOperation scope={UndoScope.COSTOS} />
+                <UndoLastOperation scope={UndoScope.ENVIAR} />
+                <UndoLastOperation scope={UndoScope.CANCELAR_PEDIDO} />
+                <Text>No orders found with status &quot;Solicitado&quot; or &quot;Enviado&quot;.</Text>
+            </Box>
+        );
     }
 
     return (
         <Box>
+            <UndoLastOperation scope={UndoScope.PAGAR} />
+            <UndoLastOperation scope={UndoScope.COSTOS} />
+            <UndoLastOperation scope={UndoScope.ENVIAR} />
+            <UndoLastOperation scope={UndoScope.CANCELAR_PEDIDO} />
             {/* The payment modal is rendered here but only visible when `payingPedido` is set. */}
             {payingPedido && <PagarPedidoModal pedido={payingPedido} onClose={() => setPayingPedido(null)} />}
+            {shippingPedido && <EnviarPedidoModal pedido={shippingPedido} onClose={() => setShippingPedido(null)} />}
+            {cancellingPedido && <CancelarPedidoModal pedido={cancellingPedido} onClose={() => setCancellingPedido(null)} />}
+            {detailPedido && <PedidoDetail pedido={detailPedido} onClose={() => setDetailPedido(null)} />}
+            {timelinePedido && (
+                <HistoryTimeline tableKey="pedidos" record={timelinePedido} onClose={() => setTimelinePedido(null)} />
+            )}
 
             <Box display="flex" marginBottom={2} alignItems="center">
                 <Select
@@ -294,29 +1002,64 @@ function SolicitadosTab({ pedidos }) {
 
             {/* Table Header */}
             <Box display="flex" borderBottom="thick" paddingY={2} fontWeight="strong">
-                <Text flex="1 1 25%">No. de Pedido</Text>
-                <Text flex="1 1 25%">MARCA</Text>
-                <Text flex="1 1 25%">Monto Pagado</Text>
-                <Text flex="1 1 25%">Costo Total</Text>
-                <Box width="100px" />
+                <Text flex="1 1 20%">No. de Pedido</Text>
+                <Text flex="1 1 20%">MARCA</Text>
+                <Text flex="1 1 20%">Monto Pagado</Text>
+                <Text flex="1 1 20%">Costo Total</Text>
+                <Text flex="1 1 20%">Vence</Text>
+                <Box width="460px" />
             </Box>
 
             {/* Table Body */}
             {filteredPedidos.map(pedido => {
-                const paid = pedido.getCellValue('Monto Compilación (de Pagos)') || 0;
-                const total = pedido.getCellValue('Total Costo Pedido') || 0;
-                const status = pedido.getCellValueAsString('Estatus');
-                const needsPayment = status !== 'Pagado' && total - paid > 0;
+                const paid = pedido.getCellValue(pedidoFields.montoPagado) || 0;
+                const total = pedido.getCellValue(pedidoFields.totalCosto) || 0;
+                const status = pedido.getCellValueAsString(pedidoFields.estatus);
+                const needsPayment = status !== Status.PAGADO && total - paid > 0;
+                const canCancel = !checkTransition('pedidos', status, Status.CANCELADO);
+                const aging = agingById.get(pedido.id);
+                const isOverdue = Boolean(aging) && aging.daysOverdue > 0;
+                const isExpanded = expandedId === pedido.id;
                 return (
-                    <Box key={pedido.id} display="flex" alignItems="center" paddingY={2} borderBottom="default">
-                        <Text flex="1 1 25%">{pedido.getCellValueAsString('No. de Pedido')}</Text>
-                        <Text flex="1 1 25%">{pedido.getCellValueAsString('MARCA')}</Text>
-                        <Text flex="1 1 25%">${paid.toFixed(2)}</Text>
-                        <Text flex="1 1 25%">${total.toFixed(2)}</Text>
-                        <Box width="100px" display="flex" justifyContent="center">
-                            {needsPayment && <Button variant="primary" onClick={() => setPayingPedido(pedido)}>Pagar</Button>}
+                    <React.Fragment key={pedido.id}>
+                        <Box
+                            display="flex"
+                            alignItems="center"
+                            paddingY={2}
+                            borderBottom="default"
+                            backgroundColor={isOverdue ? '#fde8e8' : undefined}
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => setDetailPedido(pedido)}
+                        >
+                            <Text flex="1 1 20%">{pedido.getCellValueAsString(pedidoFields.noPedido)}</Text>
+                            <Text flex="1 1 20%">{pedido.getCellValueAsString(pedidoFields.marca)}</Text>
+                            <Text flex="1 1 20%">${paid.toFixed(2)}</Text>
+                            <Text flex="1 1 20%">${total.toFixed(2)}</Text>
+                            <Text flex="1 1 20%" textColor={isOverdue ? 'red' : 'default'} fontWeight={isOverdue ? 'strong' : 'default'}>
+                                {!aging && '—'}
+                                {aging && (isOverdue ? `Vencido hace ${aging.daysOverdue} día(s)` : aging.dueDate)}
+                            </Text>
+                            {/* The row opens the detail, so clicks on its buttons stop here. */}
+                            <Box width="460px" display="flex" justifyContent="flex-end" onClick={e => e.stopPropagation()}>
+                                <Button
+                                    icon={isExpanded ? 'chevronUp' : 'chevronDown'}
+                                    aria-label="Ver pagos"
+                                    marginRight={2}
+                                    onClick={() => setExpandedId(isExpanded ? null : pedido.id)}
+                                />
+                                <Button icon="history" aria-label="Ver historial" marginRight={2} onClick={() => setTimelinePedido(pedido)} />
+                                {canCancel && (
+                                    <Button variant="danger" marginRight={2} onClick={() => setCancellingPedido(pedido)}>Cancelar</Button>
+                                )}
+                                {status === Status.SOLICITADO && (
+                                    <Button marginRight={needsPayment ? 2 : 0} onClick={() => setShippingPedido(pedido)}>Marcar como enviado</Button>
+                                )}
+                                {needsPayment && <Button variant="primary" onClick={() => setPayingPedido(pedido)}>Pagar</Button>}
+                            </Box>
                         </Box>
-                    </Box>
+                        {isExpanded && <PedidoPayments pedido={pedido} />}
+                        {isExpanded && <LandedCostPanel pedido={pedido} />}
+                    </React.Fragment>
                 );
             })}
         </Box>
@@ -329,10 +1072,10 @@ function SolicitadosTab({ pedidos }) {
  * @returns {React.ReactElement} The rendered SolicitadosTab or a Loader.
  */
 function SolicitadosWrapper() {
-    const base = useBase();
-    const pedidosTable = base.getTableByName(PEDIDOS_TABLE_NAME);
+    const { tables, fields } = useSchema();
+    const pedidoFields = fields.pedidos;
     // Explicitly define the fields to fetch for performance optimization.
-    const allRecords = useRecords(pedidosTable, {fields: ["No. de Pedido", "MARCA", "Monto Compilación (de Pagos)", "Total Costo Pedido", "Estatus", "Fecha Pedido"]});
+    const allRecords = useRecords(tables.pedidos, {fields: [pedidoFields.noPedido, pedidoFields.marca, pedidoFields.montoPagado, pedidoFields.totalCosto, pedidoFields.estatus, pedidoFields.fechaPedido, pedidoFields.historial, pedidoFields.productos, pedidoFields.costosAdicionales, pedidoFields.gastosAdicionales, pedidoFields.prorrateo, pedidoFields.paqueteria, pedidoFields.guia]});
 
     /**
      * @property {Airtable.Record[]} solicitados - A memoized list of records filtered
@@ -341,8 +1084,8 @@ function SolicitadosWrapper() {
     const solicitados = useMemo(() => {
         if (!allRecords) return [];
         const validStatuses = ["Solicitado", "Enviado", "Pendiente de Pago", "Pago Incompleto", "Pagado"];
-        return allRecords.filter(r => validStatuses.includes(r.getCellValueAsString('Estatus')));
-    }, [allRecords]);
+        return allRecords.filter(r => validStatuses.includes(r.getCellValueAsString(pedidoFields.estatus)));
+    }, [allRecords, pedidoFields]);
 
     if (!allRecords) return <Loader />;
     
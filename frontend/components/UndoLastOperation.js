@@ -0,0 +1,64 @@
+/**
+ * @file This file defines the UndoLastOperation component, which offers to undo
+ * the last operation finished in a view while its undo window is open.
+ */
+
+import React, { useState } from 'react';
+import { useGlobalConfig, Box, Button, Icon, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../schema';
+import { undoOperation, useUndoableOperation, useUndoWindow } from '../unitOfWork';
+import BatchProgress from './BatchProgress';
+
+/**
+ * A bar naming the last operation of a view, with a button that undoes it.
+ * Renders nothing when there is no operation to undo.
+ * @param {object} props The component props.
+ * @param {string} props.scope The view whose last operation is offered; see `UndoScope`.
+ * @returns {?React.ReactElement} The rendered bar.
+ */
+function UndoLastOperation({ scope }) {
+    const globalConfig = useGlobalConfig();
+    const schema = useSchema();
+    const journal = useUndoableOperation(scope);
+    const { minutes } = useUndoWindow();
+    const [progress, setProgress] = useState(null);
+
+    if (!journal) return null;
+
+    const created = journal.steps.reduce((sum, step) => sum + step.created.reduce((n, group) => n + group.ids.length, 0), 0);
+    const updated = journal.steps.reduce((sum, step) => sum + step.updated.reduce((n, group) => n + group.snapshots.length, 0), 0);
+    const expiresAt = new Date(Date.parse(journal.completedAt) + minutes * 60 * 1000);
+
+    const handleUndo = async () => {
+        const message = `¿Deshacer "${journal.label}"? Se restaurarán ${updated} registro(s) y se eliminarán ${created} registro(s) creados, `
+            + 'incluido su historial. Los cambios hechos después sobre esos registros se perderán.';
+        if (!confirm(message)) return;
+        setProgress({ done: 0, failed: 0, total: 0 });
+        try {
+            await undoOperation(globalConfig, schema, scope, journal, setProgress);
+        } catch (error) {
+            console.error('Error undoing operation:', error);
+            alert(`Error al deshacer: ${error.message}. Puedes intentarlo de nuevo.`);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    return (
+        <Box border="default" borderRadius="large" padding={2} marginBottom={2} backgroundColor="lightGray1">
+            <Box display="flex" alignItems="center">
+                <Icon name="undo" marginRight={2} />
+                <Box flex="1">
+                    <Text>Última operación: {journal.label}</Text>
+                    <Text size="small" textColor="light">Se puede deshacer hasta las {expiresAt.toLocaleTimeString()}.</Text>
+                </Box>
+                <Button onClick={handleUndo} disabled={Boolean(progress)}>
+                    {progress ? 'Deshaciendo...' : 'Deshacer'}
+                </Button>
+            </Box>
+            {progress && <BatchProgress progress={progress} label="Deshaciendo" />}
+        </Box>
+    );
+}
+
+export default UndoLastOperation;
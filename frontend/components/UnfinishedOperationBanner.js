@@ -0,0 +1,40 @@
+/**
+ * @file This file defines the UnfinishedOperationBanner component, shown inside
+ * a modal when an earlier run of the same operation stopped partway.
+ */
+
+import React from 'react';
+import { Box, Button, Icon, Text } from '@airtable/blocks/ui';
+
+/**
+ * A warning listing the completed steps of an unfinished operation, with
+ * buttons to resume it or roll it back.
+ * @param {object} props The component props.
+ * @param {object} props.journal The unfinished operation's journal.
+ * @param {boolean} props.isBusy Whether a resume or rollback is running.
+ * @param {Function} props.onResume The function to call to resume the operation.
+ * @param {Function} props.onRollback The function to call to roll the operation back.
+ * @returns {React.ReactElement} The rendered banner.
+ */
+function UnfinishedOperationBanner({ journal, isBusy, onResume, onRollback }) {
+    const completed = journal.steps.filter(step => step.done);
+    return (
+        <Box border="default" borderRadius="large" padding={2} marginY={2} backgroundColor="lightGray1">
+            <Box display="flex" alignItems="center">
+                <Icon name="warning" fillColor="orange" marginRight={2} />
+                <Text fontWeight="strong">{journal.label} quedó incompleto</Text>
+            </Box>
+            <Text size="small" textColor="light">Iniciado: {new Date(journal.startedAt).toLocaleString()}</Text>
+            {journal.error && <Text size="small" textColor="red">{journal.error}</Text>}
+            <Text size="small" marginTop={1}>
+                Pasos completados: {completed.length > 0 ? completed.map(step => step.label).join(', ') : 'ninguno'}
+            </Text>
+            <Box display="flex" justifyContent="flex-end" marginTop={2}>
+                <Button marginRight={2} onClick={onRollback} disabled={isBusy}>Deshacer lo creado</Button>
+                <Button variant="primary" onClick={onResume} disabled={isBusy}>Reanudar</Button>
+            </Box>
+        </Box>
+    );
+}
+
+export default UnfinishedOperationBanner;
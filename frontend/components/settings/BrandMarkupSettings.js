@@ -0,0 +1,116 @@
+/**
+ * @file This file defines the BrandMarkupSettings section of the settings screen.
+ * It sets the markup each brand's lines are resold with: a percentage over
+ * Costo, a fixed amount, and how the resulting price is rounded.
+ */
+
+import React from 'react';
+import { Box, Button, Heading, Input, Select, Text } from '@airtable/blocks/ui';
+import { MARKUP_ROUNDING_OPTIONS, salePrice, useBrandSettings } from '../../brands';
+
+/**
+ * The markup a brand gets when an admin first edits it.
+ * @type {{percent: number, fixed: number, rounding: number}}
+ */
+const EMPTY_MARKUP = { percent: 0, fixed: 0, rounding: 0 };
+
+/**
+ * The cost used for the example price of each brand.
+ * @type {number}
+ */
+const EXAMPLE_COST = 100;
+
+/**
+ * Settings section for the per-brand markup.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function BrandMarkupSettings() {
+    const { brands, canEdit, saveBrands } = useBrandSettings();
+
+    const updateMarkup = (name, changes) => {
+        saveBrands(brands.map(b => (b.name === name ? { ...b, markup: { ...EMPTY_MARKUP, ...b.markup, ...changes } } : b)));
+    };
+
+    const removeMarkup = (name) => {
+        saveBrands(brands.map(b => {
+            if (b.name !== name) return b;
+            const withoutMarkup = { ...b };
+            delete withoutMarkup.markup;
+            return withoutMarkup;
+        }));
+    };
+
+    return (
+        <Box>
+            <Heading size="small">Precio de venta por marca</Heading>
+            {!canEdit && (
+                <Text textColor="light" marginBottom={2}>No tienes permiso para cambiar esta configuración.</Text>
+            )}
+            <Text textColor="light" marginBottom={2}>
+                Precio = Costo + porcentaje + monto fijo, redondeado. Las marcas sin regla no tienen precio ni margen.
+            </Text>
+            <Box border="default" borderRadius="large" overflow="hidden">
+                <Box display="flex" paddingY={2} paddingX={3} backgroundColor="lightGray2" fontWeight="strong">
+                    <Text flex="1 1 25%">Línea</Text>
+                    <Text width="90px" marginLeft={2}>Incremento (%)</Text>
+                    <Text width="90px" marginLeft={2}>Fijo ($)</Text>
+                    <Text flex="1 1 25%" marginLeft={2}>Redondeo</Text>
+                    <Text width="110px" marginLeft={2} textAlign="right">Costo ${EXAMPLE_COST} →</Text>
+                    <Box width="40px" />
+                </Box>
+                {brands.map(brand => {
+                    const markup = brand.markup || EMPTY_MARKUP;
+                    return (
+                        <Box key={brand.name} display="flex" alignItems="center" paddingY={1} paddingX={3} borderTop="default">
+                            <Text flex="1 1 25%" truncate>{brand.name}</Text>
+                            <Box width="90px" marginLeft={2}>
+                                <Input
+                                    size="small"
+                                    type="number"
+                                    min={0}
+                                    value={String(markup.percent)}
+                                    onChange={e => updateMarkup(brand.name, { percent: Math.max(parseFloat(e.target.value) || 0, 0) })}
+                                    disabled={!canEdit}
+                                />
+                            </Box>
+                            <Box width="90px" marginLeft={2}>
+                                <Input
+                                    size="small"
+                                    type="number"
+                                    min={0}
+                                    value={String(markup.fixed)}
+                                    onChange={e => updateMarkup(brand.name, { fixed: Math.max(parseFloat(e.target.value) || 0, 0) })}
+                                    disabled={!canEdit}
+                                />
+                            </Box>
+                            <Box flex="1 1 25%" marginLeft={2}>
+                                <Select
+                                    size="small"
+                                    options={MARKUP_ROUNDING_OPTIONS}
+                                    value={markup.rounding}
+                                    onChange={rounding => updateMarkup(brand.name, { rounding })}
+                                    disabled={!canEdit}
+                                />
+                            </Box>
+                            <Text width="110px" marginLeft={2} textAlign="right" textColor={brand.markup ? 'default' : 'light'}>
+                                {brand.markup ? `$${salePrice(EXAMPLE_COST, markup).toFixed(2)}` : 'Sin regla'}
+                            </Text>
+                            <Box width="40px" display="flex" justifyContent="flex-end">
+                                <Button
+                                    icon="x"
+                                    size="small"
+                                    variant="secondary"
+                                    onClick={() => removeMarkup(brand.name)}
+                                    disabled={!canEdit || !brand.markup}
+                                    aria-label={`Quitar la regla de ${brand.name}`}
+                                />
+                            </Box>
+                        </Box>
+                    );
+                })}
+            </Box>
+        </Box>
+    );
+}
+
+export default BrandMarkupSettings;
@@ -0,0 +1,133 @@
+/**
+ * @file This file defines the BrandPolicySettings section of the settings screen.
+ * It lets an admin add and remove brands, set the payment policy and credit
+ * days of each one, and choose the policy used for brands that are not in the list.
+ */
+
+import React, { useState } from 'react';
+import {
+    Box,
+    Button,
+    FormField,
+    Heading,
+    Input,
+    Select,
+    Text,
+} from '@airtable/blocks/ui';
+import { BRAND_POLICY_OPTIONS, useBrandSettings } from '../../brands';
+
+/**
+ * Settings section for the per-brand payment policy.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function BrandPolicySettings() {
+    const { brands, defaultPolicy, canEdit, saveBrands, saveDefaultPolicy } = useBrandSettings();
+    const [newBrandName, setNewBrandName] = useState('');
+    const [newBrandPolicy, setNewBrandPolicy] = useState(defaultPolicy);
+
+    const trimmedName = newBrandName.trim();
+    const isDuplicate = brands.some(b => b.name.toLowerCase() === trimmedName.toLowerCase());
+
+    const handleAddBrand = () => {
+        if (!trimmedName || isDuplicate) return;
+        saveBrands([...brands, { name: trimmedName, policy: newBrandPolicy }]);
+        setNewBrandName('');
+    };
+
+    const handlePolicyChange = (name, policy) => {
+        saveBrands(brands.map(b => (b.name === name ? { ...b, policy } : b)));
+    };
+
+    const handleCreditDaysChange = (name, value) => {
+        const creditDays = Math.max(parseInt(value, 10) || 0, 0);
+        saveBrands(brands.map(b => (b.name === name ? { ...b, creditDays } : b)));
+    };
+
+    const handleRemoveBrand = (name) => {
+        saveBrands(brands.filter(b => b.name !== name));
+    };
+
+    return (
+        <Box>
+            <Heading size="small">Política de pago y crédito por marca</Heading>
+            {!canEdit && (
+                <Text textColor="light" marginBottom={2}>No tienes permiso para cambiar esta configuración.</Text>
+            )}
+            <FormField label="Política por defecto (marcas no configuradas)">
+                <Select
+                    options={BRAND_POLICY_OPTIONS}
+                    value={defaultPolicy}
+                    onChange={saveDefaultPolicy}
+                    disabled={!canEdit}
+                />
+            </FormField>
+
+            <Box border="default" borderRadius="large" overflow="hidden">
+                <Box display="flex" paddingY={2} paddingX={3} backgroundColor="lightGray2" fontWeight="strong">
+                    <Text flex="1 1 35%">Línea</Text>
+                    <Text flex="1 1 45%">Política</Text>
+                    <Text width="110px" marginLeft={2}>Días de crédito</Text>
+                    <Box width="40px" />
+                </Box>
+                {brands.map(brand => (
+                    <Box key={brand.name} display="flex" alignItems="center" paddingY={1} paddingX={3} borderTop="default">
+                        <Text flex="1 1 35%" truncate>{brand.name}</Text>
+                        <Box flex="1 1 45%">
+                            <Select
+                                size="small"
+                                options={BRAND_POLICY_OPTIONS}
+                                value={brand.policy}
+                                onChange={policy => handlePolicyChange(brand.name, policy)}
+                                disabled={!canEdit}
+                            />
+                        </Box>
+                        <Box width="110px" marginLeft={2}>
+                            <Input
+                                size="small"
+                                type="number"
+                                min={0}
+                                value={String(brand.creditDays || 0)}
+                                onChange={e => handleCreditDaysChange(brand.name, e.target.value)}
+                                disabled={!canEdit}
+                            />
+                        </Box>
+                        <Box width="40px" display="flex" justifyContent="flex-end">
+                            <Button
+                                icon="x"
+                                size="small"
+                                variant="secondary"
+                                onClick={() => handleRemoveBrand(brand.name)}
+                                disabled={!canEdit}
+                                aria-label={`Eliminar ${brand.name}`}
+                            />
+                        </Box>
+                    </Box>
+                ))}
+            </Box>
+
+            <Box display="flex" alignItems="center" marginTop={2}>
+                <Input
+                    width="40%"
+                    value={newBrandName}
+                    onChange={e => setNewBrandName(e.target.value)}
+                    placeholder="Nueva marca"
+                    disabled={!canEdit}
+                />
+                <Select
+                    width="40%"
+                    marginLeft={2}
+                    options={BRAND_POLICY_OPTIONS}
+                    value={newBrandPolicy}
+                    onChange={setNewBrandPolicy}
+                    disabled={!canEdit}
+                />
+                <Button marginLeft={2} onClick={handleAddBrand} disabled={!canEdit || !trimmedName || isDuplicate}>
+                    Agregar
+                </Button>
+            </Box>
+            {isDuplicate && <Text textColor="red" marginTop={1}>Esa marca ya está configurada.</Text>}
+        </Box>
+    );
+}
+
+export default BrandPolicySettings;
@@ -0,0 +1,61 @@
+/**
+ * @file This file defines the HistoryMigrationSettings section of the settings screen.
+ * It copies the free-text "Historial de Estatus" of every line and Pedido into
+ * the structured history table.
+ */
+
+import React, { useState } from 'react';
+import { useSession, Box, Button, Heading, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../../schema';
+import { migrateTextHistoryAsync } from '../../history';
+import BatchProgress from '../BatchProgress';
+
+/**
+ * Settings section that runs the history migration.
+ * @param {object} props The component props.
+ * @param {boolean} props.isSchemaHealthy Whether every table and field passed the health check.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function HistoryMigrationSettings({ isSchemaHealthy }) {
+    const schema = useSchema();
+    const session = useSession();
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+
+    const handleMigrate = async () => {
+        setResult(null);
+        setProgress({ done: 0, failed: 0, total: 0 });
+        try {
+            const summary = await migrateTextHistoryAsync(schema, session.currentUser, setProgress);
+            const failures = summary.failed > 0
+                ? ` ${summary.failed} registro(s) fallaron; vuelve a migrar para reintentarlos.`
+                : '';
+            setResult(`${summary.events} evento(s) migrados de ${summary.records} registro(s).${failures}`);
+        } catch (error) {
+            console.error('Error migrating history:', error);
+            setResult(`Error al migrar: ${error.message}`);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    return (
+        <Box>
+            <Heading size="small">Migrar historial de texto</Heading>
+            <Text textColor="light" marginBottom={2}>
+                Copia &quot;Historial de Estatus&quot; de cada línea y pedido a la tabla de historial.
+                Los registros ya migrados se omiten y el texto original no se modifica.
+            </Text>
+            {!isSchemaHealthy && (
+                <Text textColor="red" marginBottom={2}>Corrige las tablas y campos antes de migrar.</Text>
+            )}
+            <Button onClick={handleMigrate} disabled={!isSchemaHealthy || Boolean(progress)}>
+                {progress ? 'Migrando...' : 'Migrar historial'}
+            </Button>
+            {progress && <BatchProgress progress={progress} label="Registros migrados" />}
+            {result && <Text marginTop={2}>{result}</Text>}
+        </Box>
+    );
+}
+
+export default HistoryMigrationSettings;
@@ -0,0 +1,99 @@
+/**
+ * @file This file defines the PayerSettings section of the settings screen.
+ * It manages the people who can pay Pedidos in cash and keeps the options of
+ * the single-select fields they are written to in step with the list.
+ */
+
+import React, { useState } from 'react';
+import { Box, Button, Heading, Icon, Input, Text } from '@airtable/blocks/ui';
+import { useSchema } from '../../schema';
+import { addPayerChoicesAsync, missingPayerChoices, usePayers } from '../../payers';
+
+/**
+ * Settings section for the payer list.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function PayerSettings() {
+    const { tables, fields } = useSchema();
+    const { payers, canEdit, savePayers } = usePayers();
+    const [newPayer, setNewPayer] = useState('');
+
+    const trimmedName = newPayer.trim();
+    const isDuplicate = payers.some(payer => payer.toLowerCase() === trimmedName.toLowerCase());
+
+    // Payers are written to these fields; each one needs an option per payer.
+    const payerFields = [['pagos', 'quienPago'], ['reembolsos', 'pagador']]
+        .filter(([tableKey, fieldKey]) => tables[tableKey] && fields[tableKey][fieldKey])
+        .map(([tableKey, fieldKey]) => tables[tableKey].getFieldByIdIfExists(fields[tableKey][fieldKey]))
+        .filter(Boolean);
+    const fieldsMissingChoices = payerFields
+        .map(field => ({ field, missing: missingPayerChoices(field, payers) }))
+        .filter(({ missing }) => missing.length > 0);
+
+    const handleAddPayer = () => {
+        if (!trimmedName || isDuplicate) return;
+        savePayers([...payers, trimmedName]);
+        setNewPayer('');
+    };
+
+    const handleAddChoices = async (field, missing) => {
+        try {
+            await addPayerChoicesAsync(field, missing);
+        } catch (error) {
+            console.error('Error adding payer options:', error);
+            alert(`Error al agregar opciones a "${field.name}": ${error.message}`);
+        }
+    };
+
+    return (
+        <Box>
+            <Heading size="small">Quién realiza pagos en efectivo</Heading>
+            {!canEdit && (
+                <Text textColor="light" marginBottom={2}>No tienes permiso para cambiar esta configuración.</Text>
+            )}
+            <Box border="default" borderRadius="large" overflow="hidden">
+                {payers.map(payer => (
+                    <Box key={payer} display="flex" alignItems="center" paddingY={1} paddingX={3} borderTop="default">
+                        <Text flex="1" truncate>{payer}</Text>
+                        <Button
+                            icon="x"
+                            size="small"
+                            variant="secondary"
+                            aria-label={`Quitar ${payer}`}
+                            onClick={() => savePayers(payers.filter(p => p !== payer))}
+                            disabled={!canEdit}
+                        />
+                    </Box>
+                ))}
+            </Box>
+            <Box display="flex" marginTop={2}>
+                <Input
+                    value={newPayer}
+                    onChange={e => setNewPayer(e.target.value)}
+                    placeholder="Nuevo pagador"
+                    disabled={!canEdit}
+                />
+                <Button marginLeft={2} onClick={handleAddPayer} disabled={!canEdit || !trimmedName || isDuplicate}>
+                    Agregar
+                </Button>
+            </Box>
+            {fieldsMissingChoices.map(({ field, missing }) => (
+                <Box key={field.id} display="flex" alignItems="center" marginTop={2}>
+                    <Icon name="warning" fillColor="orange" marginRight={1} />
+                    <Text flex="1" textColor="orange">
+                        A &quot;{field.name}&quot; le faltan las opciones: {missing.join(', ')}.
+                    </Text>
+                    <Button
+                        size="small"
+                        onClick={() => handleAddChoices(field, missing)}
+                        disabled={!field.hasPermissionToUpdateOptions()}
+                    >
+                        Agregar opciones
+                    </Button>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+export default PayerSettings;
@@ -0,0 +1,119 @@
+/**
+ * @file This file defines the PaymentMethodSettings section of the settings screen.
+ * It sets, for each payment method, the most a single payment may be, the fee
+ * the method charges and the brands it may be used with.
+ */
+
+import React from 'react';
+import { Box, Button, Heading, Input, Loader, Select, Text, useRecords } from '@airtable/blocks/ui';
+import { useSchema } from '../../schema';
+import { useBrandSettings } from '../../brands';
+import { isCreditMethod } from '../../credits';
+import { usePaymentMethodRules } from '../../paymentMethods';
+
+/**
+ * Settings section for the payment method rules.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function PaymentMethodSettings() {
+    const { tables, fields } = useSchema();
+    const metodosPagoRecords = useRecords(tables.metodos);
+    const { brands } = useBrandSettings();
+    const { getRule, canEdit, saveRule } = usePaymentMethodRules();
+
+    if (!metodosPagoRecords) return <Loader />;
+
+    // Credit is applied by the block itself, never entered as a payment.
+    const metodos = metodosPagoRecords.filter(record => !isCreditMethod(record, fields.metodos.tipo));
+
+    const update = (metodoId, changes) => saveRule(metodoId, { ...getRule(metodoId), ...changes });
+
+    const handleMaxChange = (metodoId, value) => {
+        const maxAmount = parseFloat(value);
+        update(metodoId, { maxAmount: maxAmount > 0 ? maxAmount : null });
+    };
+
+    const handleFeeChange = (metodoId, value) => {
+        update(metodoId, { feePercent: Math.min(Math.max(parseFloat(value) || 0, 0), 100) });
+    };
+
+    return (
+        <Box>
+            <Heading size="small">Reglas por método de pago</Heading>
+            {!canEdit && (
+                <Text textColor="light" marginBottom={2}>No tienes permiso para cambiar esta configuración.</Text>
+            )}
+            <Text textColor="light" marginBottom={2}>
+                Deja el máximo vacío para no limitar el monto, y sin marcas para aceptar el método con cualquiera.
+            </Text>
+            <Box border="default" borderRadius="large" overflow="hidden">
+                <Box display="flex" paddingY={2} paddingX={3} backgroundColor="lightGray2" fontWeight="strong">
+                    <Text flex="1 1 25%">Método</Text>
+                    <Text width="120px" marginLeft={2}>Máximo ($)</Text>
+                    <Text width="90px" marginLeft={2}>Comisión (%)</Text>
+                    <Text flex="1 1 45%" marginLeft={2}>Marcas permitidas</Text>
+                </Box>
+                {metodos.map(metodo => {
+                    const rule = getRule(metodo.id);
+                    const brandOptions = [
+                        { value: null, label: 'Agregar marca…' },
+                        ...brands
+                            .filter(brand => !rule.brands.includes(brand.name))
+                            .map(brand => ({ value: brand.name, label: brand.name })),
+                    ];
+                    return (
+                        <Box key={metodo.id} display="flex" alignItems="center" paddingY={1} paddingX={3} borderTop="default">
+                            <Text flex="1 1 25%" truncate>{metodo.name}</Text>
+                            <Box width="120px" marginLeft={2}>
+                                <Input
+                                    size="small"
+                                    type="number"
+                                    min={0}
+                                    value={rule.maxAmount === null ? '' : String(rule.maxAmount)}
+                                    onChange={e => handleMaxChange(metodo.id, e.target.value)}
+                                    disabled={!canEdit}
+                                />
+                            </Box>
+                            <Box width="90px" marginLeft={2}>
+                                <Input
+                                    size="small"
+                                    type="number"
+                                    min={0}
+                                    max={100}
+                                    value={String(rule.feePercent)}
+                                    onChange={e => handleFeeChange(metodo.id, e.target.value)}
+                                    disabled={!canEdit}
+                                />
+                            </Box>
+                            <Box flex="1 1 45%" marginLeft={2} display="flex" alignItems="center" flexWrap="wrap">
+                                {rule.brands.map(name => (
+                                    <Box key={name} display="flex" alignItems="center" marginRight={1} marginY="2px" paddingLeft={2} borderRadius="large" backgroundColor="lightGray2">
+                                        <Text size="small">{name}</Text>
+                                        <Button
+                                            icon="x"
+                                            size="small"
+                                            variant="secondary"
+                                            onClick={() => update(metodo.id, { brands: rule.brands.filter(b => b !== name) })}
+                                            disabled={!canEdit}
+                                            aria-label={`Quitar ${name}`}
+                                        />
+                                    </Box>
+                                ))}
+                                <Select
+                                    size="small"
+                                    width="160px"
+                                    options={brandOptions}
+                                    value={null}
+                                    onChange={name => name && update(metodo.id, { brands: [...rule.brands, name] })}
+                                    disabled={!canEdit || brandOptions.length === 1}
+                                />
+                            </Box>
+                        </Box>
+                    );
+                })}
+            </Box>
+        </Box>
+    );
+}
+
+export default PaymentMethodSettings;
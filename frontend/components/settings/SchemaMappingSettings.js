@@ -0,0 +1,120 @@
+/**
+ * @file This file defines the SchemaMappingSettings section of the settings screen.
+ * It lets an admin bind each logical table and field the block uses to a real
+ * table and field of the base, and shows whether each binding passes validation.
+ */
+
+import React from 'react';
+import {
+    useBase,
+    useGlobalConfig,
+    Box,
+    FieldPicker,
+    Heading,
+    Icon,
+    TablePicker,
+    Text,
+} from '@airtable/blocks/ui';
+import { ConfigKeys } from '../../constants';
+import { SCHEMA, checkSchemaHealth, resolveSchema } from '../../schema';
+
+/**
+ * A check or warning icon for a checklist item.
+ * @param {object} props The component props.
+ * @param {string[]} props.problems The problems found for the item.
+ * @returns {React.ReactElement} The rendered icon.
+ */
+function StatusIcon({ problems }) {
+    return problems.length === 0
+        ? <Icon name="check" fillColor="green" marginRight={2} />
+        : <Icon name="warning" fillColor="red" marginRight={2} />;
+}
+
+/**
+ * Settings section for the table and field mapping.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function SchemaMappingSettings() {
+    const base = useBase();
+    const globalConfig = useGlobalConfig();
+    const resolved = resolveSchema(base, globalConfig);
+    const { items } = checkSchemaHealth(resolved);
+    const canEdit = globalConfig.hasPermissionToSet(ConfigKeys.SCHEMA_BINDINGS);
+
+    const problemsFor = (tableKey, fieldKey) => {
+        const item = items.find(i => i.tableKey === tableKey && i.fieldKey === fieldKey);
+        return item ? item.problems : [];
+    };
+
+    const bindTable = (tableKey, table) => {
+        globalConfig.setPathsAsync([
+            { path: [ConfigKeys.SCHEMA_BINDINGS, 'tables', tableKey], value: table ? table.id : undefined },
+            // Field bindings belong to the previous table, so they are dropped.
+            { path: [ConfigKeys.SCHEMA_BINDINGS, 'fields', tableKey], value: undefined },
+        ]);
+    };
+
+    const bindField = (tableKey, fieldKey, field) => {
+        globalConfig.setAsync(
+            [ConfigKeys.SCHEMA_BINDINGS, 'fields', tableKey, fieldKey],
+            field ? field.id : undefined,
+        );
+    };
+
+    return (
+        <Box>
+            <Heading size="small">Tablas y campos</Heading>
+            <Text textColor="light" marginBottom={2}>
+                Los campos sin asignar se buscan por su nombre por defecto.
+            </Text>
+            {!canEdit && (
+                <Text textColor="light" marginBottom={2}>No tienes permiso para cambiar esta configuración.</Text>
+            )}
+            {Object.entries(SCHEMA).map(([tableKey, tableSpec]) => {
+                const table = resolved.tables[tableKey];
+                const tableProblems = problemsFor(tableKey, null);
+                return (
+                    <Box key={tableKey} border="default" borderRadius="large" padding={2} marginBottom={3}>
+                        <Box display="flex" alignItems="center" marginBottom={2}>
+                            <StatusIcon problems={tableProblems} />
+                            <Text flex="1 1 40%" fontWeight="strong">{tableSpec.defaultName}</Text>
+                            <Box flex="1 1 60%">
+                                <TablePicker
+                                    table={table}
+                                    onChange={newTable => bindTable(tableKey, newTable)}
+                                    disabled={!canEdit}
+                                    size="small"
+                                />
+                            </Box>
+                        </Box>
+                        {table && Object.entries(tableSpec.fields).map(([fieldKey, fieldSpec]) => {
+                            const fieldProblems = problemsFor(tableKey, fieldKey);
+                            return (
+                                <Box key={fieldKey} paddingY={1} borderTop="default">
+                                    <Box display="flex" alignItems="center">
+                                        <StatusIcon problems={fieldProblems} />
+                                        <Text flex="1 1 40%" truncate>{fieldSpec.defaultName}</Text>
+                                        <Box flex="1 1 60%">
+                                            <FieldPicker
+                                                table={table}
+                                                field={resolved.fields[tableKey][fieldKey]}
+                                                onChange={newField => bindField(tableKey, fieldKey, newField)}
+                                                disabled={!canEdit}
+                                                size="small"
+                                            />
+                                        </Box>
+                                    </Box>
+                                    {fieldProblems.map(problem => (
+                                        <Text key={problem} size="small" textColor="red" marginLeft={4}>{problem}</Text>
+                                    ))}
+                                </Box>
+                            );
+                        })}
+                    </Box>
+                );
+            })}
+        </Box>
+    );
+}
+
+export default SchemaMappingSettings;
@@ -0,0 +1,48 @@
+/**
+ * @file This file defines the UndoSettings section of the settings screen.
+ * It sets how long the last bulk confirmation, order request or payment
+ * registration of each view can be undone.
+ */
+
+import React, { useState } from 'react';
+import { Box, Button, FormField, Heading, Input, Text } from '@airtable/blocks/ui';
+import { useUndoWindow } from '../../unitOfWork';
+
+/**
+ * Settings section for the undo window.
+ * @returns {React.ReactElement} The rendered settings section.
+ */
+function UndoSettings() {
+    const { minutes, canEdit, saveMinutes } = useUndoWindow();
+    const [draft, setDraft] = useState(String(minutes));
+
+    const parsed = parseInt(draft, 10);
+    const isValid = Number.isInteger(parsed) && parsed >= 0;
+
+    return (
+        <Box>
+            <Heading size="small">Deshacer</Heading>
+            <Text textColor="light" marginBottom={2}>
+                Minutos durante los que se puede deshacer la última confirmación, solicitud de pedido o registro de pagos.
+                Con 0 no se ofrece deshacer.
+            </Text>
+            {!canEdit && (
+                <Text textColor="light" marginBottom={2}>No tienes permiso para cambiar esta configuración.</Text>
+            )}
+            <Box display="flex" alignItems="flex-end">
+                <FormField label="Minutos" width="160px" marginBottom={0}>
+                    <Input type="number" min={0} value={draft} onChange={e => setDraft(e.target.value)} disabled={!canEdit} />
+                </FormField>
+                <Button
+                    marginLeft={2}
+                    onClick={() => saveMinutes(parsed)}
+                    disabled={!canEdit || !isValid || parsed === minutes}
+                >
+                    Guardar
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+export default UndoSettings;
@@ -1,29 +1,63 @@
 /**
  * @file Contains constant values used throughout the application.
- * This includes table names from the Airtable base. Centralizing these
+ * This includes table names from the Airtable base and GlobalConfig keys. Centralizing these
  * constants makes maintenance easier and reduces the risk of typos.
+ * The table names are only defaults; see `schema.js` for how they are bound.
  */
 
 /**
- * The name of the 'Líneas de Pedido' table.
+ * The default name of the 'Líneas de Pedido' table.
  * @type {string}
  */
 export const LPO_TABLE_NAME = 'Líneas de Pedido';
 
 /**
- * The name of the 'Pedidos' table.
+ * The default name of the 'Pedidos' table.
  * @type {string}
  */
 export const PEDIDOS_TABLE_NAME = 'Pedidos';
 
 /**
- * The name of the 'Pagos' table.
+ * The default name of the 'Pagos' table.
  * @type {string}
  */
 export const PAGOS_TABLE_NAME = 'Pagos';
 
 /**
- * The name of the 'Métodos de Pago Admin' table.
+ * The default name of the 'Métodos de Pago Admin' table.
  * @type {string}
  */
-export const METODOS_PAGO_TABLE_NAME = 'Métodos de Pago Admin';
\ No newline at end of file
+export const METODOS_PAGO_TABLE_NAME = 'Métodos de Pago Admin';
+
+/**
+ * The default name of the 'Historial' table, which stores status history events.
+ * @type {string}
+ */
+export const HISTORIAL_TABLE_NAME = 'Historial';
+
+/**
+ * The default name of the 'Reembolsos' table, which stores cash reimbursements to payers.
+ * @type {string}
+ */
+export const REEMBOLSOS_TABLE_NAME = 'Reembolsos';
+
+/**
+ * The default name of the 'Créditos' table, which stores the credit each brand owes us.
+ * @type {string}
+ */
+export const CREDITOS_TABLE_NAME = 'Créditos';
+
+/**
+ * Keys under which the block stores its settings in GlobalConfig.
+ * @enum {string}
+ */
+export const ConfigKeys = Object.freeze({
+    BRANDS: 'brands',
+    DEFAULT_BRAND_POLICY: 'defaultBrandPolicy',
+    SCHEMA_BINDINGS: 'schemaBindings',
+    PENDING_OPERATIONS: 'pendingOperations',
+    LAST_OPERATIONS: 'lastOperations',
+    UNDO_WINDOW_MINUTES: 'undoWindowMinutes',
+    PAYERS: 'payers',
+    PAYMENT_METHOD_RULES: 'paymentMethodRules',
+});
@@ -0,0 +1,166 @@
+/**
+ * @file Credit that brands owe us after an overpayment.
+ * Every change to a brand's credit is a record of the "Créditos" table: an
+ * overpayment adds a positive amount, and paying a Pedido with the credit adds
+ * a negative one. Both are linked to the Pago they came from, and a brand's
+ * balance is the sum of its records.
+ * A Pago's Abono only holds what it paid of its Pedido, since the Pedido's paid
+ * amount rolls up from it; views of the cash that came in add the excess back
+ * with `useExcessByPago`.
+ */
+
+import { useMemo } from 'react';
+import { useRecords } from '@airtable/blocks/ui';
+import { useSchema } from './schema';
+
+/**
+ * The "TIPO" of the payment method used to pay with credit. The base needs a
+ * record of this type in "Métodos de Pago Admin" for credit to be applied.
+ * @type {string}
+ */
+export const CREDIT_METHOD_TYPE = 'Crédito';
+
+/**
+ * Amounts below a cent are rounding noise, not overpayments.
+ * @type {number}
+ */
+const EPSILON = 0.005;
+
+/**
+ * Normalizes a brand name for comparison.
+ * @param {string} marca The brand name.
+ * @returns {string} The trimmed, lower-case name.
+ */
+function brandKey(marca) {
+    return (marca || '').trim().toLowerCase();
+}
+
+/**
+ * Splits a payment into the part that covers the balance and the excess.
+ * @param {number} amount The amount paid.
+ * @param {number} remaining The balance still due.
+ * @returns {{applied: number, excess: number}} The amount that pays the balance and
+ * the amount above it, which is zero when the payment does not exceed the balance.
+ */
+export function splitOverpayment(amount, remaining) {
+    if (amount - remaining <= EPSILON) {
+        return { applied: amount, excess: 0 };
+    }
+    return { applied: remaining, excess: amount - remaining };
+}
+
+/**
+ * Returns whether a payment method is the one used to pay with credit.
+ * @param {Record} metodo A record of "Métodos de Pago Admin".
+ * @param {string} tipoFieldId The ID of its "TIPO" field.
+ * @returns {boolean} Whether the method pays with credit.
+ */
+export function isCreditMethod(metodo, tipoFieldId) {
+    return metodo.getCellValueAsString(tipoFieldId) === CREDIT_METHOD_TYPE;
+}
+
+/**
+ * Loads a brand's credit balance and the payment method that applies it.
+ * @param {string} marca The brand (Línea) whose credit is needed.
+ * @param {?Record[]} metodosRecords The loaded records of "Métodos de Pago Admin".
+ * @returns {{isLoaded: boolean, balance: number, creditMethod: ?Record}} The credit
+ * available, and the method to pay with it (`null` when the base has none).
+ */
+export function useBrandCredit(marca, metodosRecords) {
+    const { tables, fields } = useSchema();
+    const creditoFields = fields.creditos;
+    const creditos = useRecords(tables.creditos, { fields: [creditoFields.marca, creditoFields.monto] });
+
+    const balance = useMemo(() => {
+        if (!creditos) return 0;
+        return creditos
+            .filter(credito => brandKey(credito.getCellValueAsString(creditoFields.marca)) === brandKey(marca))
+            .reduce((sum, credito) => sum + (credito.getCellValue(creditoFields.monto) || 0), 0);
+    }, [creditos, creditoFields, marca]);
+
+    const creditMethod = useMemo(() => {
+        if (!metodosRecords) return null;
+        return metodosRecords.find(metodo => isCreditMethod(metodo, fields.metodos.tipo)) || null;
+    }, [metodosRecords, fields]);
+
+    return { isLoaded: Boolean(creditos && metodosRecords), balance: Math.max(balance, 0), creditMethod };
+}
+
+/**
+ * Loads the excess of every overpaid Pago: what its credit records add up to
+ * when that is positive. An excess reversed by a correction adds up to zero,
+ * and payments made with credit only have negative records.
+ * @returns {?Map<string, number>} The excess by Pago ID, or `null` while loading.
+ */
+export function useExcessByPago() {
+    const { tables, fields } = useSchema();
+    const creditoFields = fields.creditos;
+    const creditos = useRecords(tables.creditos, { fields: [creditoFields.pago, creditoFields.monto] });
+
+    return useMemo(() => {
+        if (!creditos) return null;
+        const sums = new Map();
+        creditos.forEach(credito => {
+            const pagoLink = (credito.getCellValue(creditoFields.pago) || [])[0];
+            if (!pagoLink) return;
+            sums.set(pagoLink.id, (sums.get(pagoLink.id) || 0) + (credito.getCellValue(creditoFields.monto) || 0));
+        });
+        const excess = new Map();
+        sums.forEach((sum, pagoId) => {
+            if (sum > EPSILON) excess.set(pagoId, sum);
+        });
+        return excess;
+    }, [creditos, creditoFields]);
+}
+
+/**
+ * Builds the cell values of a credit record.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {object} entry
+ * @param {string} entry.marca The brand.
+ * @param {number} entry.amount Positive for credit gained, negative for credit used.
+ * @param {string} [entry.pagoId] The Pago the change comes from, if any.
+ * @param {string} entry.note A description of the change.
+ * @returns {object} Cell values keyed by field ID.
+ */
+export function buildCreditFields(schema, { marca, amount, pagoId, note }) {
+    const creditoFields = schema.fields.creditos;
+    return {
+        [creditoFields.marca]: marca,
+        [creditoFields.monto]: amount,
+        [creditoFields.fecha]: new Date().toISOString().slice(0, 10),
+        [creditoFields.pago]: pagoId ? [{ id: pagoId }] : [],
+        [creditoFields.nota]: note,
+    };
+}
+
+/**
+ * Builds the unit-of-work steps that record the credit gained or used by the
+ * payments of an operation. Each step runs after the step that created its Pago.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {object[]} payments The operation's payments; those with `excess` add
+ * credit and those with `isCredit` use it.
+ * @param {string} marca The brand of the Pedido.
+ * @param {string} pedidoNum The Pedido's number, for the notes.
+ * @returns {object[]} Steps for `runUnitOfWork`, named `credito-<payment index>`.
+ */
+export function buildCreditSteps(schema, payments, marca, pedidoNum) {
+    return payments
+        .map((payment, idx) => ({ payment, idx }))
+        .filter(({ payment }) => payment.isCredit || payment.excess > 0)
+        .map(({ payment, idx }) => ({
+            name: `credito-${idx}`,
+            label: payment.isCredit ? 'Aplicar crédito' : `Registrar excedente del pago ${idx + 1}`,
+            run: async (tracker, results) => {
+                const creditoId = await schema.tables.creditos.createRecordAsync(buildCreditFields(schema, {
+                    marca,
+                    amount: payment.isCredit ? -payment.amount : payment.excess,
+                    pagoId: results[`pago-${idx}`],
+                    note: payment.isCredit
+                        ? `Aplicado al pedido ${pedidoNum}`
+                        : `Excedente pagado en el pedido ${pedidoNum}`,
+                }));
+                tracker.created('creditos', [creditoId]);
+            },
+        }));
+}
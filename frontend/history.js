@@ -0,0 +1,239 @@
+/**
+ * @file Structured status history.
+ * Every status change is stored as its own record in the "Historial" table,
+ * linked to the line, Pedido and Pagos it concerns. This module builds those
+ * records and parses the free-text "Historial de Estatus" used before.
+ */
+
+import { Status } from './statusMachine';
+import { BatchWriteError, deleteRecordsInBatchesAsync, writeInBatchesAsync } from './batch';
+
+/**
+ * The actions recorded in the history table.
+ * @enum {string}
+ */
+export const HistoryAction = Object.freeze({
+    CONFIRMAR: 'Confirmar',
+    CANCELAR: 'Cancelar línea',
+    REABRIR: 'Reabrir línea',
+    CAMBIAR_LINEA: 'Cambiar línea',
+    SOLICITAR: 'Solicitar pedido',
+    PAGO: 'Registrar pago',
+    CORREGIR_PAGO: 'Corregir pago',
+    AJUSTAR_COSTOS: 'Ajustar costos adicionales',
+    ENVIAR: 'Marcar como enviado',
+    RECIBIR: 'Recibir pedido',
+    CANCELAR_PEDIDO: 'Cancelar pedido',
+    MIGRADO: 'Migrado',
+});
+
+/**
+ * The history field that links an event to the record it describes, per table.
+ * @type {Object<string, string>}
+ */
+const LINK_FIELD_BY_TABLE = {
+    lpo: 'linea',
+    pedidos: 'pedido',
+};
+
+/**
+ * Returns the ID of the history link field that points at records of a table.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {string} tableKey The logical table, "lpo" or "pedidos".
+ * @returns {string} A field ID in the history table.
+ */
+export function historyLinkField(schema, tableKey) {
+    return schema.fields.historial[LINK_FIELD_BY_TABLE[tableKey]];
+}
+
+/**
+ * Builds the cell values of one history record.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {?object} user The collaborator who made the change (`session.currentUser`).
+ * @param {object} event The event to store.
+ * @param {string} event.tableKey The logical table of the record that changed.
+ * @param {string} event.recordId The ID of the record that changed.
+ * @param {string} event.action A `HistoryAction` value.
+ * @param {string} [event.from] The status before the change.
+ * @param {string} [event.to] The status after the change.
+ * @param {string} [event.note] Free-text detail.
+ * @param {string} [event.timestamp] ISO timestamp; defaults to now.
+ * @param {string} [event.pedidoId] The related Pedido, when the record is a line.
+ * @param {string[]} [event.pagoIds] The related Pagos.
+ * @returns {object} Cell values keyed by field ID.
+ */
+export function buildHistoryFields(schema, user, event) {
+    const historyFields = schema.fields.historial;
+    const pedidoId = event.tableKey === 'pedidos' ? event.recordId : event.pedidoId;
+    const change = event.from ? `${event.from} → ${event.to}` : (event.to || '');
+    return {
+        [historyFields.evento]: change ? `${event.action}: ${change}` : event.action,
+        [historyFields.fecha]: event.timestamp || new Date().toISOString(),
+        [historyFields.usuario]: user ? (user.name || user.email) : '',
+        [historyFields.desde]: event.from || '',
+        [historyFields.hacia]: event.to || '',
+        [historyFields.accion]: event.action,
+        [historyFields.nota]: event.note || '',
+        [historyFields.linea]: event.tableKey === 'lpo' ? [{ id: event.recordId }] : [],
+        [historyFields.pedido]: pedidoId ? [{ id: pedidoId }] : [],
+        [historyFields.pagos]: (event.pagoIds || []).map(id => ({ id })),
+    };
+}
+
+/**
+ * Returns a key that identifies an event within one operation, which never
+ * records two events for the same record.
+ * @param {object} event An event; see `buildHistoryFields`.
+ * @returns {string} The event's key.
+ */
+export function historyEventKey(event) {
+    return `${event.tableKey}:${event.recordId}`;
+}
+
+/**
+ * Stores history events in batches.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {?object} user The collaborator who made the change (`session.currentUser`).
+ * @param {object[]} events The events to store; see `buildHistoryFields`.
+ * @param {object} [options] See `writeInBatchesAsync`; `onBatchWritten` receives the events.
+ * @returns {Promise<string[]>} The IDs of the created history records.
+ * @throws {BatchWriteError} When some events could not be stored; its `failedItems` are events.
+ */
+export function recordHistoryAsync(schema, user, events, options) {
+    return writeInBatchesAsync(
+        events,
+        batch => schema.tables.historial.createRecordsAsync(batch.map(event => ({ fields: buildHistoryFields(schema, user, event) }))),
+        options,
+    );
+}
+
+/**
+ * Patterns of the messages written to "Historial de Estatus" by earlier versions.
+ * Each returns `{to, note}` for a message it recognises.
+ * @type {Function[]}
+ */
+const LEGACY_MESSAGE_PARSERS = [
+    (message) => {
+        const match = message.match(/^Creado y establecido a (.+)$/);
+        return match && { to: match[1], note: 'Creado' };
+    },
+    (message) => {
+        const match = message.match(/^Asignado No\. de Pedido (.+) y cambiado a (.+)$/);
+        return match && { to: match[2], note: `Asignado No. de Pedido ${match[1]}` };
+    },
+    (message) => {
+        const match = message.match(/^(.+) → (.+?)(?: \((.*)\))?$/);
+        return match && { from: match[1], to: match[2], note: match[3] || '' };
+    },
+    (message) => (Object.values(Status).includes(message) ? { to: message, note: '' } : null),
+];
+
+/**
+ * Parses a free-text "Historial de Estatus" value into events. Lines that do
+ * not start with a timestamp are kept as notes on the previous entry; missing
+ * "from" statuses are taken from the entry before.
+ * @param {string} text The text history.
+ * @returns {{timestamp: string, from: string, to: string, note: string, message: string}[]}
+ * The parsed entries, oldest first.
+ */
+export function parseTextHistory(text) {
+    const entries = [];
+    (text || '').split('\n').forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        const match = trimmed.match(/^(\S+) - (.*)$/);
+        const timestamp = match && !isNaN(Date.parse(match[1])) ? match[1] : null;
+        if (!timestamp) {
+            if (entries.length > 0) {
+                const last = entries[entries.length - 1];
+                last.note = last.note ? `${last.note} ${trimmed}` : trimmed;
+            }
+            return;
+        }
+        const message = match[2];
+        const parsed = LEGACY_MESSAGE_PARSERS.reduce((found, parse) => found || parse(message), null)
+            || { to: '', note: message };
+        const previous = entries[entries.length - 1];
+        entries.push({
+            timestamp: new Date(timestamp).toISOString(),
+            from: parsed.from || (previous ? previous.to : ''),
+            to: parsed.to,
+            note: parsed.note,
+            message,
+        });
+    });
+    return entries;
+}
+
+/**
+ * Copies the free-text history of every line and Pedido into the history table.
+ * Records that already have migrated events are skipped, so it is safe to run
+ * more than once, and running it again retries the records that failed. A record
+ * whose events span several batches is migrated whole or not at all: when a batch
+ * fails, the events already stored for it are deleted. The text fields are left untouched.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {?object} user The collaborator running the migration (`session.currentUser`).
+ * @param {Function} [onProgress] Called with `{done, failed, total}` counts of records.
+ * @returns {Promise<{records: number, events: number, failed: number}>} How many records
+ * and events were migrated, and how many records failed.
+ */
+export async function migrateTextHistoryAsync(schema, user, onProgress = () => {}) {
+    const historyFields = schema.fields.historial;
+    const historyQuery = await schema.tables.historial.selectRecordsAsync({
+        fields: [historyFields.accion, historyFields.linea, historyFields.pedido],
+    });
+    const migratedIds = new Set();
+    historyQuery.records.forEach(event => {
+        if (event.getCellValueAsString(historyFields.accion) !== HistoryAction.MIGRADO) return;
+        [historyFields.linea, historyFields.pedido].forEach(fieldId => {
+            (event.getCellValue(fieldId) || []).forEach(link => migratedIds.add(link.id));
+        });
+    });
+    historyQuery.unloadData();
+
+    const pending = [];
+    for (const tableKey of Object.keys(LINK_FIELD_BY_TABLE)) {
+        const textField = schema.fields[tableKey].historial;
+        const query = await schema.tables[tableKey].selectRecordsAsync({ fields: [textField] });
+        query.records.forEach(record => {
+            if (migratedIds.has(record.id)) return;
+            const entries = parseTextHistory(record.getCellValueAsString(textField));
+            if (entries.length === 0) return;
+            pending.push(entries.map(entry => ({
+                tableKey,
+                recordId: record.id,
+                from: entry.from,
+                to: entry.to,
+                action: HistoryAction.MIGRADO,
+                note: entry.note || entry.message,
+                timestamp: entry.timestamp,
+            })));
+        });
+        query.unloadData();
+    }
+
+    let recordCount = 0;
+    let eventCount = 0;
+    let failedCount = 0;
+    onProgress({ done: 0, failed: 0, total: pending.length });
+    for (const events of pending) {
+        try {
+            await recordHistoryAsync(schema, user, events);
+            recordCount++;
+            eventCount += events.length;
+        } catch (error) {
+            console.error(`Error migrating history of ${events[0].recordId}:`, error);
+            failedCount++;
+            // Left in place, the stored events would mark the record as migrated.
+            if (error instanceof BatchWriteError && error.results.length > 0) {
+                try {
+                    await deleteRecordsInBatchesAsync(schema.tables.historial, error.results);
+                } catch (deleteError) {
+                    console.error(`Error removing the partial history of ${events[0].recordId}:`, deleteError);
+                }
+            }
+        }
+        onProgress({ done: recordCount, failed: failedCount, total: pending.length });
+    }
+    return { records: recordCount, events: eventCount, failed: failedCount };
+}
@@ -9,15 +9,38 @@ import {
     useLoadable,
     useWatchable,
     useCursor,
+    useSettingsButton,
+    useBase,
+    useGlobalConfig,
     Box,
 } from '@airtable/blocks/ui';
 import SelectionSummaryView from './components/SelectionSummaryView';
+import PedidoSelectionSummary from './components/PedidoSelectionSummary';
+import PagoSelectionSummary from './components/PagoSelectionSummary';
 import MainTabsView from './components/MainTabsView';
+import SettingsView from './components/SettingsView';
+import SchemaHealthCheck from './components/SchemaHealthCheck';
+import UndoLastOperation from './components/UndoLastOperation';
+import { SchemaContext, checkSchemaHealth, resolveSchema, toSchemaIds } from './schema';
+import { UndoScope } from './unitOfWork';
+
+/**
+ * The summary shown for a selection, by the logical table it was made in.
+ * Selections in other tables leave the tabs in place.
+ * @type {Object<string, Function>}
+ */
+const SUMMARY_BY_TABLE = {
+    lpo: SelectionSummaryView,
+    pedidos: PedidoSelectionSummary,
+    pagos: PagoSelectionSummary,
+};
 
 /**
  * The main application component.
- * This component acts as a router, displaying either the `SelectionSummaryView`
- * if records are selected in the grid, or the `MainTabsView` otherwise.
+ * This component acts as a router, displaying the `SettingsView` while the
+ * settings button is toggled on, the `SchemaHealthCheck` if the base does not
+ * match the fields the block needs, the summary of the active table if records
+ * are selected in the grid, or the `MainTabsView` otherwise.
  * @returns {React.ReactElement} The rendered top-level component.
  */
 function OrderManagementApp() {
@@ -25,24 +48,57 @@ function OrderManagementApp() {
     useLoadable(useCursor());
     const cursor = useCursor();
 
-    // State to hold the list of selected record IDs.
+    // State to hold the list of selected record IDs and the table they belong to.
     const [selectedRecordIds, setSelectedRecordIds] = useState(cursor.selectedRecordIds);
+    const [activeTableId, setActiveTableId] = useState(cursor.activeTableId);
 
     // This hook watches for changes in the grid selection and updates the state.
     // This makes the block reactive to user actions in the Airtable UI.
-    useWatchable(cursor, ['selectedRecordIds'], () => {
+    useWatchable(cursor, ['selectedRecordIds', 'activeTableId'], () => {
         setSelectedRecordIds(cursor.selectedRecordIds);
+        setActiveTableId(cursor.activeTableId);
     });
 
+    // The settings button outside the block's viewport toggles the settings screen.
+    const [isShowingSettings, setIsShowingSettings] = useState(false);
+    useSettingsButton(() => setIsShowingSettings(!isShowingSettings));
+
+    // `useBase` and `useGlobalConfig` re-render the app whenever the schema or the
+    // field bindings change, so the health check below always reflects the base.
+    const base = useBase();
+    const globalConfig = useGlobalConfig();
+    const resolvedSchema = resolveSchema(base, globalConfig);
+    const schemaHealth = checkSchemaHealth(resolvedSchema);
+
+    // Settings are reachable even when the health check fails, so the schema is
+    // provided as resolved; views that need every field only render when healthy.
+    let content;
+    if (isShowingSettings) {
+        content = <SettingsView isSchemaHealthy={schemaHealth.isHealthy} onDone={() => setIsShowingSettings(false)} />;
+    } else if (!schemaHealth.isHealthy) {
+        content = <SchemaHealthCheck items={schemaHealth.items} onOpenSettings={() => setIsShowingSettings(true)} />;
+    } else {
+        const summaryTableKey = Object.keys(SUMMARY_BY_TABLE)
+            .find(tableKey => resolvedSchema.tables[tableKey].id === activeTableId);
+        const SummaryView = summaryTableKey && selectedRecordIds.length > 0 ? SUMMARY_BY_TABLE[summaryTableKey] : null;
+        // Bulk actions change or clear the selection, so their undo stays visible outside the summary.
+        content = (
+            <>
+                <UndoLastOperation scope={UndoScope.CONFIRMAR_SELECCION} />
+                <UndoLastOperation scope={UndoScope.PAGO_SELECCION} />
+                {SummaryView
+                    ? <SummaryView selectedRecordIds={selectedRecordIds} cursor={cursor} />
+                    : <MainTabsView />}
+            </>
+        );
+    }
+
     return (
-        <Box padding={3} height="100vh" display="flex" flexDirection="column">
-            {/* Conditional rendering based on whether any records are selected */}
-            {selectedRecordIds.length > 0 ? (
-                <SelectionSummaryView selectedRecordIds={selectedRecordIds} cursor={cursor} />
-            ) : (
-                <MainTabsView />
-            )}
-        </Box>
+        <SchemaContext.Provider value={toSchemaIds(resolvedSchema)}>
+            <Box padding={3} height="100vh" display="flex" flexDirection="column">
+                {content}
+            </Box>
+        </SchemaContext.Provider>
     );
 }
 
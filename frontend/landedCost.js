@@ -0,0 +1,139 @@
+/**
+ * @file Landed cost of the lines of a Pedido.
+ * A Pedido's "Costos Adicionales" and "Gastos Adicionales" are spread across
+ * its lines, in proportion to each line's Costo or in equal parts as its
+ * "Prorrateo" says, and each line's "Costo Puesto" is its Costo plus its share.
+ * Every operation that changes a Pedido's extras or lines ends with the step
+ * built by `buildLandedCostStep`, which reads the Pedido as it is by then.
+ */
+
+import { updateRecordsInBatchesAsync } from './batch';
+import { snapshotRecord } from './unitOfWork';
+
+/**
+ * The ways the extras can be spread, as written to "Prorrateo".
+ * @enum {string}
+ */
+export const AllocationMethod = Object.freeze({
+    PROPORCIONAL: 'Proporcional al costo',
+    PARTES_IGUALES: 'Partes iguales',
+});
+
+/**
+ * Options for a Select listing every allocation method.
+ * @type {{value: string, label: string}[]}
+ */
+export const ALLOCATION_METHOD_OPTIONS = Object.values(AllocationMethod).map(method => ({ value: method, label: method }));
+
+/**
+ * Rounds an amount to cents.
+ * @param {number} amount The amount.
+ * @returns {number} The rounded amount.
+ */
+function toCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Returns the allocation method of a Pedido, proportional when none is set.
+ * @param {Record} pedido The Pedido.
+ * @param {object} pedidoFields The field IDs of the Pedidos table.
+ * @returns {string} An `AllocationMethod` value.
+ */
+export function allocationMethodOf(pedido, pedidoFields) {
+    const value = pedido.getCellValue(pedidoFields.prorrateo);
+    return value && value.name === AllocationMethod.PARTES_IGUALES ? AllocationMethod.PARTES_IGUALES : AllocationMethod.PROPORCIONAL;
+}
+
+/**
+ * Returns the extras of a Pedido that are spread across its lines.
+ * @param {Record} pedido The Pedido.
+ * @param {object} pedidoFields The field IDs of the Pedidos table.
+ * @returns {number} "Costos Adicionales" plus "Gastos Adicionales".
+ */
+export function pedidoExtras(pedido, pedidoFields) {
+    return (pedido.getCellValue(pedidoFields.costosAdicionales) || 0) + (pedido.getCellValue(pedidoFields.gastosAdicionales) || 0);
+}
+
+/**
+ * Spreads the extras across lines. Shares are rounded to cents, and the last
+ * line takes the rounding difference so the shares add up to the extras.
+ * When the lines cost nothing in total, the extras are split in equal parts.
+ * @param {{id: string, costo: number}[]} lines The lines of the Pedido.
+ * @param {number} extras The amount to spread.
+ * @param {string} method An `AllocationMethod` value.
+ * @returns {Map<string, number>} The landed cost of each line, by record ID.
+ */
+export function allocateExtras(lines, extras, method) {
+    const totalCosto = lines.reduce((sum, line) => sum + line.costo, 0);
+    const isEven = method === AllocationMethod.PARTES_IGUALES || totalCosto === 0;
+    const landed = new Map();
+    let allocated = 0;
+    lines.forEach((line, idx) => {
+        const share = idx === lines.length - 1
+            ? toCents(extras - allocated)
+            : toCents(isEven ? extras / lines.length : extras * line.costo / totalCosto);
+        allocated += share;
+        landed.set(line.id, toCents(line.costo + share));
+    });
+    return landed;
+}
+
+/**
+ * Builds the unit-of-work step that writes the landed cost of every line of
+ * a Pedido whose value changed.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {Function} getPedidoId Called with the results of the previous steps;
+ * returns the ID of the Pedido.
+ * @param {Function} [onProgress] Receives the progress of the batched update.
+ * @param {string} [name] The step's name, for operations that update several Pedidos.
+ * @returns {object} A step for `runUnitOfWork`.
+ */
+export function buildLandedCostStep(schema, getPedidoId, onProgress, name = 'costo-puesto') {
+    const { tables, fields } = schema;
+    return {
+        name,
+        label: 'Calcular costo puesto de las líneas',
+        run: async (tracker, results) => {
+            const pedidoId = getPedidoId(results);
+            const pedidoQuery = await tables.pedidos.selectRecordsAsync({
+                fields: [fields.pedidos.productos, fields.pedidos.costosAdicionales, fields.pedidos.gastosAdicionales, fields.pedidos.prorrateo],
+                recordIds: [pedidoId],
+            });
+            const pedido = pedidoQuery.getRecordByIdIfExists(pedidoId);
+            const lineIds = pedido ? (pedido.getCellValue(fields.pedidos.productos) || []).map(link => link.id) : [];
+            const extras = pedido ? pedidoExtras(pedido, fields.pedidos) : 0;
+            const method = pedido ? allocationMethodOf(pedido, fields.pedidos) : AllocationMethod.PROPORCIONAL;
+            pedidoQuery.unloadData();
+            if (lineIds.length === 0) return;
+
+            const lineQuery = await tables.lpo.selectRecordsAsync({
+                fields: [fields.lpo.costo, fields.lpo.costoPuesto],
+                recordIds: lineIds,
+            });
+            try {
+                // In the order of the Pedido's link cell, as the panel reads them, so the
+                // rounding difference lands on the same line on both sides.
+                const records = lineIds.map(id => lineQuery.getRecordByIdIfExists(id)).filter(Boolean);
+                const lines = records.map(record => ({ id: record.id, costo: record.getCellValue(fields.lpo.costo) || 0 }));
+                const landed = allocateExtras(lines, extras, method);
+                // Keys are prefixed so they cannot clash with other steps that write the same lines.
+                const changed = records.filter(record => !tracker.isWritten(`costo-puesto:${record.id}`)
+                    && record.getCellValue(fields.lpo.costoPuesto) !== landed.get(record.id));
+                const snapshots = changed.map(record => snapshotRecord(tables.lpo, record, [fields.lpo.costoPuesto]));
+                await updateRecordsInBatchesAsync(tables.lpo, changed.map(record => ({
+                    id: record.id,
+                    fields: { [fields.lpo.costoPuesto]: landed.get(record.id) },
+                })), {
+                    onProgress,
+                    onBatchWritten: (batch, ids) => {
+                        tracker.updated('lpo', snapshots.filter(snapshot => ids.includes(snapshot.id)));
+                        tracker.written(ids.map(id => `costo-puesto:${id}`));
+                    },
+                });
+            } finally {
+                lineQuery.unloadData();
+            }
+        },
+    };
+}
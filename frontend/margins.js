@@ -0,0 +1,61 @@
+/**
+ * @file Expected revenue and margin of Líneas de Pedido.
+ * A line is resold at the sale price its brand's markup gives its Costo. Its
+ * margin is measured against its landed cost ("Costo Puesto") once the line
+ * has one, and against its Costo until then. Lines whose brand has no markup
+ * have no price and are counted apart, so they do not pass for zero margin.
+ */
+
+import { salePrice } from './brands';
+
+/**
+ * Returns the cost, price and margin of a line.
+ * @param {Record} record The line.
+ * @param {object} lpoFields The field IDs of the Líneas de Pedido table.
+ * @param {Function} getMarkup `getMarkup` from `useBrandSettings`.
+ * @returns {{cost: number, price: ?number, margin: ?number}} The figures; `price`
+ * and `margin` are `null` when the line's brand has no markup.
+ */
+export function lineMargin(record, lpoFields, getMarkup) {
+    const costo = record.getCellValue(lpoFields.costo) || 0;
+    const landed = record.getCellValue(lpoFields.costoPuesto);
+    const cost = landed === null ? costo : landed;
+    const markup = getMarkup(record.getCellValueAsString(lpoFields.linea));
+    if (!markup) return { cost, price: null, margin: null };
+    const price = salePrice(costo, markup);
+    return { cost, price, margin: price - cost };
+}
+
+/**
+ * Adds up the figures of several lines.
+ * @param {Record[]} records The lines.
+ * @param {object} lpoFields The field IDs of the Líneas de Pedido table.
+ * @param {Function} getMarkup `getMarkup` from `useBrandSettings`.
+ * @returns {{cost: number, revenue: number, margin: number, marginPercent: ?number, unpriced: number}}
+ * The total cost, the revenue and margin of the priced lines, the margin as a
+ * percentage of that revenue, and how many lines have no price.
+ */
+export function summarizeMargin(records, lpoFields, getMarkup) {
+    const summary = { cost: 0, revenue: 0, margin: 0, marginPercent: null, unpriced: 0 };
+    records.forEach(record => {
+        const line = lineMargin(record, lpoFields, getMarkup);
+        summary.cost += line.cost;
+        if (line.price === null) {
+            summary.unpriced += 1;
+            return;
+        }
+        summary.revenue += line.price;
+        summary.margin += line.margin;
+    });
+    summary.marginPercent = summary.revenue > 0 ? summary.margin / summary.revenue * 100 : null;
+    return summary;
+}
+
+/**
+ * Formats a margin percentage for display.
+ * @param {?number} percent The percentage.
+ * @returns {string} The percentage with one decimal, or a dash when there is none.
+ */
+export function formatMarginPercent(percent) {
+    return percent === null ? '—' : `${percent.toFixed(1)}%`;
+}
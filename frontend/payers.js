@@ -0,0 +1,95 @@
+/**
+ * @file The people who pay Pedidos in cash, and the balance the business owes
+ * each of them. A payer fronts cash through Pagos whose "Quién Realizó Pago" is
+ * set, and is paid back through records of the "Reembolsos" table.
+ */
+
+import { useGlobalConfig } from '@airtable/blocks/ui';
+import { FieldType } from '@airtable/blocks/models';
+import { ConfigKeys } from './constants';
+
+/**
+ * The payers used before the list became configurable.
+ * @type {string[]}
+ */
+const DEFAULT_PAYERS = ['CANA', 'NASL'];
+
+/**
+ * Reads the payer list from GlobalConfig.
+ * @returns {{payers: string[], canEdit: boolean, savePayers: Function}} The payers,
+ * whether the user may change them, and a function that stores a new list.
+ */
+export function usePayers() {
+    const globalConfig = useGlobalConfig();
+    const stored = globalConfig.get(ConfigKeys.PAYERS);
+    return {
+        payers: Array.isArray(stored) ? stored : DEFAULT_PAYERS,
+        canEdit: globalConfig.hasPermissionToSet(ConfigKeys.PAYERS),
+        savePayers: (payers) => globalConfig.setAsync(ConfigKeys.PAYERS, payers),
+    };
+}
+
+/**
+ * Returns the payers a single-select field has no option for. Payments and
+ * reimbursements cannot be saved for those payers until the option exists.
+ * @param {?Field} field The single-select field payers are written to.
+ * @param {string[]} payers The configured payers.
+ * @returns {string[]} The missing payers.
+ */
+export function missingPayerChoices(field, payers) {
+    if (!field || field.type !== FieldType.SINGLE_SELECT) return [];
+    const existing = field.options.choices.map(choice => choice.name);
+    return payers.filter(payer => !existing.includes(payer));
+}
+
+/**
+ * Adds options to a single-select field so every payer can be written to it.
+ * @param {Field} field The single-select field.
+ * @param {string[]} names The options to add.
+ * @returns {Promise<void>}
+ */
+export function addPayerChoicesAsync(field, names) {
+    return field.updateOptionsAsync({
+        choices: [...field.options.choices, ...names.map(name => ({ name }))],
+    });
+}
+
+/**
+ * Builds each payer's ledger: cash fronted minus reimbursements, in date order,
+ * with the balance after every entry.
+ * @param {string[]} payers The configured payers; payers found only in the
+ * entries are listed too.
+ * @param {{payer: string, date: string, amount: number}[]} fronted Cash payments.
+ * @param {{payer: string, date: string, amount: number}[]} reimbursed Reimbursements.
+ * @returns {{payer: string, fronted: number, reimbursed: number, balance: number, entries: object[]}[]}
+ * One ledger per payer. Entries carry `kind` ("pago" or "reembolso"), `signed`
+ * (the effect on the balance) and `balance`, plus the properties they came with.
+ */
+export function buildSettlementLedgers(payers, fronted, reimbursed) {
+    const ledgers = {};
+    const ledgerFor = (payer) => {
+        ledgers[payer] = ledgers[payer] || { payer, fronted: 0, reimbursed: 0, balance: 0, entries: [] };
+        return ledgers[payer];
+    };
+    payers.forEach(ledgerFor);
+    fronted.forEach(entry => {
+        const ledger = ledgerFor(entry.payer);
+        ledger.fronted += entry.amount;
+        ledger.entries.push({ ...entry, kind: 'pago', signed: entry.amount });
+    });
+    reimbursed.forEach(entry => {
+        const ledger = ledgerFor(entry.payer);
+        ledger.reimbursed += entry.amount;
+        ledger.entries.push({ ...entry, kind: 'reembolso', signed: -entry.amount });
+    });
+    return Object.values(ledgers).map(ledger => {
+        let balance = 0;
+        const entries = ledger.entries
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+            .map(entry => {
+                balance += entry.signed;
+                return { ...entry, balance };
+            });
+        return { ...ledger, balance, entries };
+    });
+}
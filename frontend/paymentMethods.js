@@ -0,0 +1,75 @@
+/**
+ * @file Rules for the payment methods of "Métodos de Pago Admin", stored in the
+ * block's GlobalConfig and keyed by method record ID so renaming a method keeps
+ * its rules. A method may cap the amount of a single payment, charge a fee that
+ * is booked into the Pedido's "Gastos Adicionales", and be limited to some brands.
+ */
+
+import { useGlobalConfig } from '@airtable/blocks/ui';
+import { ConfigKeys } from './constants';
+
+/**
+ * The rule of a method that has none configured: no limit, no fee, any brand.
+ * @type {{maxAmount: ?number, feePercent: number, brands: string[]}}
+ */
+const NO_RULE = Object.freeze({ maxAmount: null, feePercent: 0, brands: [] });
+
+/**
+ * Reads the payment method rules from GlobalConfig.
+ * @returns {object} The rules.
+ * @property {Function} getRule - Returns the rule of a method record ID.
+ * @property {boolean} canEdit - Whether the current user may change the rules.
+ * @property {Function} saveRule - Persists the rule of a method record ID.
+ */
+export function usePaymentMethodRules() {
+    const globalConfig = useGlobalConfig();
+    const stored = globalConfig.get(ConfigKeys.PAYMENT_METHOD_RULES);
+    const rules = stored && typeof stored === 'object' ? stored : {};
+
+    return {
+        getRule: (metodoId) => ({ ...NO_RULE, ...(rules[metodoId] || {}) }),
+        canEdit: globalConfig.hasPermissionToSet(ConfigKeys.PAYMENT_METHOD_RULES),
+        saveRule: (metodoId, rule) => globalConfig.setAsync([ConfigKeys.PAYMENT_METHOD_RULES, metodoId], rule),
+    };
+}
+
+/**
+ * Checks a payment against the rule of its method.
+ * @param {object} rule The method's rule, from `getRule`.
+ * @param {string} metodoName The method's name, for the message.
+ * @param {number} amount The amount of the payment.
+ * @param {string} marca The brand of the Pedido being paid.
+ * @returns {?string} Why the payment is rejected, or `null` when it is allowed.
+ */
+export function checkPaymentRule(rule, metodoName, amount, marca) {
+    if (rule.brands.length > 0 && !rule.brands.includes(marca)) {
+        return `${metodoName} solo se acepta para ${rule.brands.join(', ')}; este pedido es de ${marca || 'una marca sin asignar'}.`;
+    }
+    if (rule.maxAmount !== null && amount > rule.maxAmount) {
+        return `${metodoName} admite como máximo $${rule.maxAmount.toFixed(2)} por transacción.`;
+    }
+    return null;
+}
+
+/**
+ * Returns the fee a method charges on a payment, rounded to cents.
+ * @param {object} rule The method's rule, from `getRule`.
+ * @param {number} amount The amount of the payment.
+ * @returns {number} The fee.
+ */
+export function paymentFee(rule, amount) {
+    return Math.round(amount * rule.feePercent) / 100;
+}
+
+/**
+ * Describes a rule in one line, for the payment form and the settings screen.
+ * @param {object} rule The method's rule, from `getRule`.
+ * @returns {string} The description, empty when the method has no rule.
+ */
+export function describePaymentRule(rule) {
+    const parts = [];
+    if (rule.maxAmount !== null) parts.push(`máximo $${rule.maxAmount.toFixed(2)} por transacción`);
+    if (rule.feePercent > 0) parts.push(`comisión de ${rule.feePercent}% a Gastos Adicionales`);
+    if (rule.brands.length > 0) parts.push(`solo para ${rule.brands.join(', ')}`);
+    return parts.join('; ');
+}
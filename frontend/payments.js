@@ -0,0 +1,181 @@
+/**
+ * @file Payments entered from the block.
+ * Both payment modals collect the same fields, validate them with the same
+ * rules and write them with `buildPagoFields`, so a payment looks the same
+ * whichever tab recorded it. Which extra fields apply depends on the TIPO of
+ * the payment method.
+ */
+
+/**
+ * The TIPO values of "Métodos de Pago" that need extra fields.
+ * @enum {string}
+ */
+export const PaymentType = Object.freeze({
+    EFECTIVO: 'Efectivo',
+    VALES: 'Vales',
+    TRANSFERENCIA: 'Transferencia',
+});
+
+/**
+ * Reference numbers are letters, digits, dashes and slashes.
+ * @type {RegExp}
+ */
+const REFERENCE_PATTERN = /^[A-Za-z0-9/-]+$/;
+
+/**
+ * Returns a new "ID Pago" for a payment entered without one.
+ * @returns {string} The ID.
+ */
+export function newPaymentId() {
+    return `PAY-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+}
+
+/**
+ * Checks a payment entry before it is added to the list of payments to save.
+ * @param {object} entry The entry as typed in the form.
+ * @param {?string} tipo The TIPO of the selected payment method.
+ * @returns {?string} An error message, or `null` when the entry is valid.
+ */
+export function validatePaymentEntry(entry, tipo) {
+    const amount = parseFloat(entry.abono);
+    if (!entry.metodoId) return 'Selecciona un método de pago.';
+    if (!amount || amount <= 0) return 'Ingresa un monto válido.';
+    if (entry.fechaPago) {
+        const parsed = Date.parse(`${entry.fechaPago}T00:00:00`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.fechaPago) || Number.isNaN(parsed)) return 'La fecha de pago no es válida.';
+        if (parsed > Date.now()) return 'La fecha de pago no puede estar en el futuro.';
+    }
+    if (tipo === PaymentType.EFECTIVO && !entry.quienPago) return 'Indica quién realizó el pago en efectivo.';
+    if (tipo === PaymentType.VALES && !entry.referencia.trim()) return 'Los pagos con vales requieren el número de referencia.';
+    if (entry.referencia.trim() && !REFERENCE_PATTERN.test(entry.referencia.trim())) {
+        return 'El número de referencia solo puede tener letras, números, guiones y diagonales.';
+    }
+    return null;
+}
+
+/**
+ * Turns a valid entry into a payment, keeping only the fields its method type uses.
+ * @param {object} entry The entry as typed in the form.
+ * @param {?string} tipo The TIPO of the selected payment method.
+ * @returns {object} The payment (`metodoId`, `amount`, `idPago`, `fechaPago`,
+ * `descripcion`, `notas`, `quienPago`, `referencia`, `tarjeta`).
+ */
+export function paymentFromEntry(entry, tipo) {
+    return {
+        metodoId: entry.metodoId,
+        amount: parseFloat(entry.abono),
+        idPago: entry.idPago.trim(),
+        fechaPago: entry.fechaPago,
+        descripcion: entry.descripcion.trim(),
+        notas: entry.notas.trim(),
+        quienPago: tipo === PaymentType.EFECTIVO ? entry.quienPago : null,
+        referencia: tipo === PaymentType.VALES ? entry.referencia.trim() : null,
+        tarjeta: tipo === PaymentType.TRANSFERENCIA ? entry.tarjeta.trim() : null,
+    };
+}
+
+/**
+ * Matches the line `buildPagoFields` adds to a payment's notes for its fee.
+ * @type {RegExp}
+ */
+const FEE_NOTE_PATTERN = /^Incluye comisión de \$(\d+(?:\.\d+)?)$/;
+
+/**
+ * Adds the line describing a fee to a payment's notes.
+ * @param {string} notas The notes as typed.
+ * @param {number} fee The payment's fee.
+ * @returns {string} The notes to write.
+ */
+export function notesWithFee(notas, fee) {
+    return [notas, fee > 0 ? `Incluye comisión de $${fee.toFixed(2)}` : '']
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Removes the fee line from a payment's notes, so they can be edited as typed.
+ * @param {string} notas The notes as written.
+ * @returns {string} The notes without the fee line.
+ */
+export function notesWithoutFee(notas) {
+    return notas.split('\n').filter(line => !FEE_NOTE_PATTERN.test(line)).join('\n');
+}
+
+/**
+ * Returns the fee included in a payment's abono. Payments recorded before
+ * "Comisión" existed only mention it in their notes.
+ * @param {Record} pago The "Pagos" record.
+ * @param {object} pagoFields The field IDs of the Pagos table.
+ * @returns {number} The fee, or 0 when it had none.
+ */
+export function feeOfPago(pago, pagoFields) {
+    const fee = pago.getCellValue(pagoFields.comision);
+    if (fee !== null) return fee;
+    const line = pago.getCellValueAsString(pagoFields.notas).split('\n').find(text => FEE_NOTE_PATTERN.test(text));
+    return line ? parseFloat(line.match(FEE_NOTE_PATTERN)[1]) : 0;
+}
+
+/**
+ * Returns the fees of a list of payments.
+ * @param {object[]} payments Payments that may carry a `fee`.
+ * @returns {number} The sum of their fees.
+ */
+export function totalFees(payments) {
+    return payments.reduce((sum, payment) => sum + (payment.fee || 0), 0);
+}
+
+/**
+ * Builds the cell values of a "Pagos" record. A method's fee is booked into
+ * the Pedido's "Gastos Adicionales" and paid along with the payment, so the
+ * record's abono includes it; "Comisión" keeps it apart so a correction can
+ * take it back out.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {string} pedidoId The Pedido the payment belongs to.
+ * @param {object} payment A payment from `paymentFromEntry`, or a credit payment.
+ * @returns {object} Cell values keyed by field ID.
+ */
+export function buildPagoFields(schema, pedidoId, payment) {
+    const pagoFields = schema.fields.pagos;
+    const fee = payment.fee || 0;
+    const notas = notesWithFee(payment.notas, fee);
+    return {
+        [pagoFields.pedido]: [{ id: pedidoId }],
+        [pagoFields.metodo]: [{ id: payment.metodoId }],
+        [pagoFields.abono]: payment.amount + fee,
+        [pagoFields.comision]: fee,
+        [pagoFields.idPago]: payment.idPago || null,
+        [pagoFields.fechaPago]: payment.fechaPago || null,
+        [pagoFields.descripcion]: payment.descripcion || null,
+        [pagoFields.notas]: notas || null,
+        [pagoFields.quienPago]: payment.quienPago ? { name: payment.quienPago } : null,
+        [pagoFields.referencia]: payment.referencia || null,
+        [pagoFields.tarjeta]: payment.tarjeta || null,
+    };
+}
+
+/**
+ * Splits one payment across several Pedidos, paying each balance in the given
+ * order until the amount runs out. The fee is split in proportion to the
+ * amount each Pedido gets, and the last part takes the rounding difference.
+ * @param {{id: string, balance: number}[]} pedidos The Pedidos, in payment order.
+ * @param {number} amount The amount paid.
+ * @param {number} fee The fee of the whole payment.
+ * @returns {{pedidoId: string, amount: number, fee: number}[]} The parts that get
+ * something, in payment order.
+ */
+export function splitPaymentAcrossPedidos(pedidos, amount, fee) {
+    let left = amount;
+    const parts = [];
+    pedidos.forEach(pedido => {
+        const applied = Math.round(Math.min(pedido.balance, left) * 100) / 100;
+        if (applied <= 0) return;
+        parts.push({ pedidoId: pedido.id, amount: applied, fee: 0 });
+        left -= applied;
+    });
+    let feeLeft = fee;
+    parts.forEach((part, idx) => {
+        part.fee = idx === parts.length - 1 ? Math.round(feeLeft * 100) / 100 : Math.round(fee * part.amount / amount * 100) / 100;
+        feeLeft -= part.fee;
+    });
+    return parts;
+}
@@ -0,0 +1,108 @@
+/**
+ * @file Payment status of the lines of a Pedido.
+ * Lines do not track partial payments: while their Pedido waits for payment
+ * they are "Pendiente de Pago", and they become "Pagado" with it (see
+ * `lineStatusForPedido`). Every operation that changes a Pedido's payment
+ * status, or adds lines to it, ends with the steps built by
+ * `buildLineStatusSteps` so its lines follow.
+ */
+
+import { updateRecordsInBatchesAsync } from './batch';
+import { Status, lineStatusForPedido, planTransition } from './statusMachine';
+import { snapshotRecord } from './unitOfWork';
+
+/**
+ * The statuses a line follows its Pedido's payment status in. Lines that were
+ * requested, shipped or released keep their status.
+ * @type {string[]}
+ */
+const PAYMENT_LINE_STATUSES = [Status.PENDIENTE_PAGO, Status.PAGADO];
+
+/**
+ * The Pedido statuses that still decide whether its lines are paid.
+ * @type {string[]}
+ */
+const PAYMENT_PEDIDO_STATUSES = [Status.PENDIENTE_PAGO, Status.PAGO_INCOMPLETO, Status.PAGADO];
+
+/**
+ * Builds the unit-of-work steps that move the lines of a Pedido to the status
+ * its payment status calls for. The first step plans the moves, so the history
+ * events keep the lines' original statuses when the second is resumed halfway;
+ * its result holds the events, with `pedidoId`, for the operation's history step.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {Function} getTarget Called with the results of the previous steps;
+ * returns `{pedidoId, pedidoStatus}`, the Pedido and the status it ends in.
+ * @param {object} options
+ * @param {string} options.action A `HistoryAction` value describing why the lines move.
+ * @param {string} [options.note] Extra detail for the history events.
+ * @param {Function} [onProgress] Receives the progress of the batched update.
+ * @param {string} [name] The update step's name; the planning step is named
+ * `plan-<name>`. Operations that update several Pedidos need one per Pedido.
+ * @returns {object[]} Two steps for `runUnitOfWork`.
+ */
+export function buildLineStatusSteps(schema, getTarget, { action, note }, onProgress, name = 'estatus-lineas') {
+    const { tables, fields } = schema;
+    const planName = `plan-${name}`;
+    return [
+        {
+            name: planName,
+            label: 'Validar estatus de las líneas',
+            run: async (tracker, results) => {
+                const { pedidoId, pedidoStatus } = getTarget(results);
+                if (!PAYMENT_PEDIDO_STATUSES.includes(pedidoStatus)) return [];
+                const pedidoQuery = await tables.pedidos.selectRecordsAsync({
+                    fields: [fields.pedidos.productos],
+                    recordIds: [pedidoId],
+                });
+                const pedido = pedidoQuery.getRecordByIdIfExists(pedidoId);
+                const lineIds = pedido ? (pedido.getCellValue(fields.pedidos.productos) || []).map(link => link.id) : [];
+                pedidoQuery.unloadData();
+                if (lineIds.length === 0) return [];
+
+                const lineQuery = await tables.lpo.selectRecordsAsync({ fields: [fields.lpo.estatus], recordIds: lineIds });
+                try {
+                    const target = lineStatusForPedido(pedidoStatus);
+                    return lineQuery.records
+                        .filter(record => {
+                            const status = record.getCellValueAsString(fields.lpo.estatus);
+                            return PAYMENT_LINE_STATUSES.includes(status) && status !== target;
+                        })
+                        .map(record => ({
+                            ...planTransition(schema, 'lpo', record, target, { action, note }).event,
+                            pedidoId,
+                        }));
+                } finally {
+                    lineQuery.unloadData();
+                }
+            },
+        },
+        {
+            name,
+            label: 'Actualizar estatus de las líneas',
+            run: async (tracker, results) => {
+                // Keys are prefixed so they cannot clash with other steps that write the same lines.
+                const events = results[planName].filter(event => !tracker.isWritten(`${name}:${event.recordId}`));
+                if (events.length === 0) return;
+                const lineQuery = await tables.lpo.selectRecordsAsync({
+                    fields: [fields.lpo.estatus],
+                    recordIds: events.map(event => event.recordId),
+                });
+                try {
+                    const snapshots = lineQuery.records.map(record => snapshotRecord(tables.lpo, record, [fields.lpo.estatus]));
+                    await updateRecordsInBatchesAsync(tables.lpo, events.map(event => ({
+                        id: event.recordId,
+                        fields: { [fields.lpo.estatus]: { name: event.to } },
+                    })), {
+                        onProgress,
+                        onBatchWritten: (batch, ids) => {
+                            tracker.updated('lpo', snapshots.filter(snapshot => ids.includes(snapshot.id)));
+                            tracker.written(ids.map(id => `${name}:${id}`));
+                        },
+                    });
+                } finally {
+                    lineQuery.unloadData();
+                }
+            },
+        },
+    ];
+}
@@ -0,0 +1,98 @@
+/**
+ * @file Checking in the lines of a Pedido when it arrives.
+ * Each line is received, substituted, or missing or damaged. A missing or
+ * damaged line is either kept on backorder, to be checked in again when the
+ * supplier sends it, or claimed as credit against the supplier.
+ */
+
+import { Status } from './statusMachine';
+
+/**
+ * What was found in the box for a line.
+ * @enum {string}
+ */
+export const ReceiptOutcome = Object.freeze({
+    RECIBIDO: 'recibido',
+    FALTANTE: 'faltante',
+    DANADO: 'danado',
+    SUSTITUIDO: 'sustituido',
+});
+
+/**
+ * How a missing or damaged line is settled.
+ * @enum {string}
+ */
+export const ClaimResolution = Object.freeze({
+    BACKORDER: 'backorder',
+    RECLAMO: 'reclamo',
+});
+
+/**
+ * The outcome options, in display order.
+ * @type {{value: string, label: string}[]}
+ */
+export const RECEIPT_OUTCOME_OPTIONS = [
+    { value: ReceiptOutcome.RECIBIDO, label: 'Recibido' },
+    { value: ReceiptOutcome.FALTANTE, label: 'Faltante' },
+    { value: ReceiptOutcome.DANADO, label: 'Dañado' },
+    { value: ReceiptOutcome.SUSTITUIDO, label: 'Sustituido' },
+];
+
+/**
+ * The resolution options for missing or damaged lines.
+ * @type {{value: string, label: string}[]}
+ */
+export const CLAIM_RESOLUTION_OPTIONS = [
+    { value: ClaimResolution.BACKORDER, label: 'Backorder' },
+    { value: ClaimResolution.RECLAMO, label: 'Reclamar crédito' },
+];
+
+/**
+ * The line statuses that need no further check-in.
+ * @type {string[]}
+ */
+const RESOLVED_LINE_STATUSES = [Status.RECIBIDO, Status.SUSTITUIDO, Status.RECLAMADO];
+
+/**
+ * Returns whether an outcome needs a resolution.
+ * @param {string} outcome A `ReceiptOutcome` value.
+ * @returns {boolean} `true` for missing and damaged lines.
+ */
+export function needsResolution(outcome) {
+    return outcome === ReceiptOutcome.FALTANTE || outcome === ReceiptOutcome.DANADO;
+}
+
+/**
+ * Returns the status a line takes after being checked in.
+ * @param {string} outcome A `ReceiptOutcome` value.
+ * @param {?string} resolution A `ClaimResolution` value, for missing and damaged lines.
+ * @returns {string} The line's new status.
+ */
+export function lineStatusForReceipt(outcome, resolution) {
+    if (outcome === ReceiptOutcome.SUSTITUIDO) return Status.SUSTITUIDO;
+    if (!needsResolution(outcome)) return Status.RECIBIDO;
+    return resolution === ClaimResolution.RECLAMO ? Status.RECLAMADO : Status.BACKORDER;
+}
+
+/**
+ * Returns whether a line status is final for receiving.
+ * @param {string} status The line's status.
+ * @returns {boolean} `true` when the line needs no further check-in.
+ */
+export function isLineResolved(status) {
+    return RESOLVED_LINE_STATUSES.includes(status);
+}
+
+/**
+ * Returns the credit a claimed line is worth: the part of its cost that was
+ * actually paid. A Pedido can ship before it is paid in full, and the brand
+ * owes nothing for what it was never paid.
+ * @param {number} costo The line's cost.
+ * @param {number} total The Pedido's total cost.
+ * @param {number} paid What has been paid on the Pedido.
+ * @returns {number} The amount to credit, rounded to cents.
+ */
+export function claimableAmount(costo, total, paid) {
+    const paidShare = total > 0 ? Math.min(Math.max(paid, 0) / total, 1) : 0;
+    return Math.round(costo * paidShare * 100) / 100;
+}
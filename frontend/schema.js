@@ -0,0 +1,334 @@
+/**
+ * @file The mapping between the logical tables and fields the block works with
+ * and the real tables and fields of the base.
+ * Every logical field has a default name; an admin can bind it to any other
+ * field from the settings screen, and the binding is stored by ID in GlobalConfig
+ * so that renaming a field in the base does not break the block.
+ */
+
+import { createContext, useContext } from 'react';
+import { FieldType } from '@airtable/blocks/models';
+import {
+    ConfigKeys,
+    CREDITOS_TABLE_NAME,
+    HISTORIAL_TABLE_NAME,
+    LPO_TABLE_NAME,
+    METODOS_PAGO_TABLE_NAME,
+    PAGOS_TABLE_NAME,
+    PEDIDOS_TABLE_NAME,
+    REEMBOLSOS_TABLE_NAME,
+} from './constants';
+
+/**
+ * The broad kinds of field the block expects. Each kind accepts several
+ * Airtable field types.
+ * @enum {string}
+ */
+export const FieldKind = Object.freeze({
+    ANY: 'any',
+    TEXT: 'text',
+    NUMBER: 'number',
+    DATE: 'date',
+    DATE_TIME: 'dateTime',
+    LINK: 'link',
+    SINGLE_SELECT: 'singleSelect',
+    CHECKBOX: 'checkbox',
+});
+
+/**
+ * The Airtable field types accepted for each `FieldKind`. Formula and rollup
+ * fields are checked against the type of their result.
+ * @type {Object<string, string[]>}
+ */
+const TYPES_BY_KIND = {
+    [FieldKind.TEXT]: [FieldType.SINGLE_LINE_TEXT, FieldType.MULTILINE_TEXT, FieldType.RICH_TEXT],
+    [FieldKind.NUMBER]: [FieldType.NUMBER, FieldType.CURRENCY, FieldType.PERCENT],
+    [FieldKind.DATE]: [FieldType.DATE, FieldType.DATE_TIME],
+    [FieldKind.DATE_TIME]: [FieldType.DATE_TIME],
+    [FieldKind.LINK]: [FieldType.MULTIPLE_RECORD_LINKS],
+    [FieldKind.SINGLE_SELECT]: [FieldType.SINGLE_SELECT],
+    [FieldKind.CHECKBOX]: [FieldType.CHECKBOX],
+};
+
+/**
+ * Every table and field the block reads or writes, keyed by logical name.
+ * `writable` fields cannot be computed, `linksTo` names the logical table a link
+ * field must point at, and `choices` lists the single-select options the block writes.
+ */
+export const SCHEMA = {
+    lpo: {
+        defaultName: LPO_TABLE_NAME,
+        fields: {
+            estatus: {
+                defaultName: 'Estatus',
+                kind: FieldKind.SINGLE_SELECT,
+                writable: true,
+                choices: [
+                    'Abierto',
+                    'Confirmar y Monitorear',
+                    'Pendiente de Pago',
+                    'Pagado',
+                    'Solicitado',
+                    'Enviado',
+                    'Recibido',
+                    'Sustituido',
+                    'Backorder',
+                    'Reclamado',
+                    'Cancelado',
+                ],
+            },
+            historial: { defaultName: 'Historial de Estatus', kind: FieldKind.TEXT },
+            noPedido: { defaultName: 'No. de Pedido', kind: FieldKind.TEXT, writable: true },
+            linea: { defaultName: 'Línea', kind: FieldKind.ANY, writable: true },
+            modelo: { defaultName: 'Modelo', kind: FieldKind.ANY },
+            descripcion: { defaultName: 'Descripción', kind: FieldKind.ANY },
+            costo: { defaultName: 'Costo', kind: FieldKind.NUMBER },
+            // Costo plus the line's share of the Pedido's extras; see `landedCost.js`.
+            costoPuesto: { defaultName: 'Costo Puesto', kind: FieldKind.NUMBER, writable: true },
+        },
+    },
+    pedidos: {
+        defaultName: PEDIDOS_TABLE_NAME,
+        fields: {
+            noPedido: { defaultName: 'No. de Pedido', kind: FieldKind.TEXT, writable: true },
+            estatus: {
+                defaultName: 'Estatus',
+                kind: FieldKind.SINGLE_SELECT,
+                writable: true,
+                choices: ['Pendiente de Pago', 'Pago Incompleto', 'Pagado', 'Solicitado', 'Enviado', 'Recibido', 'Cancelado'],
+            },
+            marca: { defaultName: 'MARCA', kind: FieldKind.ANY },
+            fechaPedido: { defaultName: 'Fecha Pedido', kind: FieldKind.DATE, writable: true },
+            costosAdicionales: { defaultName: 'Costos Adicionales', kind: FieldKind.NUMBER, writable: true },
+            gastosAdicionales: { defaultName: 'Gastos Adicionales', kind: FieldKind.NUMBER, writable: true },
+            historial: { defaultName: 'Historial de Estatus', kind: FieldKind.TEXT },
+            productos: { defaultName: 'Productos', kind: FieldKind.LINK, writable: true, linksTo: 'lpo' },
+            totalCosto: { defaultName: 'Total Costo Pedido', kind: FieldKind.NUMBER },
+            montoPagado: { defaultName: 'Monto Compilación (de Pagos)', kind: FieldKind.NUMBER },
+            paqueteria: { defaultName: 'Paquetería', kind: FieldKind.TEXT, writable: true },
+            guia: { defaultName: 'Número de Guía', kind: FieldKind.TEXT, writable: true },
+            fechaEnvio: { defaultName: 'Fecha Envío', kind: FieldKind.DATE, writable: true },
+            llegadaEstimada: { defaultName: 'Llegada Estimada', kind: FieldKind.DATE, writable: true },
+            prorrateo: {
+                defaultName: 'Prorrateo',
+                kind: FieldKind.SINGLE_SELECT,
+                writable: true,
+                choices: ['Proporcional al costo', 'Partes iguales'],
+            },
+        },
+    },
+    pagos: {
+        defaultName: PAGOS_TABLE_NAME,
+        fields: {
+            pedido: { defaultName: 'Pedido', kind: FieldKind.LINK, writable: true, linksTo: 'pedidos' },
+            metodo: { defaultName: 'Método de Pago Admin', kind: FieldKind.LINK, writable: true, linksTo: 'metodos' },
+            abono: { defaultName: 'Abono', kind: FieldKind.NUMBER, writable: true },
+            // The method's fee included in the abono; see `buildPagoFields`.
+            comision: { defaultName: 'Comisión', kind: FieldKind.NUMBER, writable: true },
+            idPago: { defaultName: 'ID Pago', kind: FieldKind.TEXT, writable: true },
+            fechaPago: { defaultName: 'Fecha Pago', kind: FieldKind.DATE, writable: true },
+            descripcion: { defaultName: 'Descripción', kind: FieldKind.TEXT, writable: true },
+            notas: { defaultName: 'Notas', kind: FieldKind.TEXT, writable: true },
+            // Its options follow the configurable payer list; see `payers.js`.
+            quienPago: { defaultName: 'Quién Realizó Pago', kind: FieldKind.SINGLE_SELECT, writable: true },
+            referencia: { defaultName: 'Número de Referencia', kind: FieldKind.TEXT, writable: true },
+            tarjeta: { defaultName: 'Tarjeta de Débito', kind: FieldKind.TEXT, writable: true },
+            conciliado: { defaultName: 'Conciliado', kind: FieldKind.CHECKBOX, writable: true },
+            anulado: { defaultName: 'Anulado', kind: FieldKind.CHECKBOX, writable: true },
+        },
+    },
+    metodos: {
+        defaultName: METODOS_PAGO_TABLE_NAME,
+        fields: {
+            tipo: { defaultName: 'TIPO', kind: FieldKind.ANY },
+        },
+    },
+    historial: {
+        defaultName: HISTORIAL_TABLE_NAME,
+        fields: {
+            evento: { defaultName: 'Evento', kind: FieldKind.TEXT, writable: true },
+            fecha: { defaultName: 'Fecha', kind: FieldKind.DATE_TIME, writable: true },
+            usuario: { defaultName: 'Usuario', kind: FieldKind.TEXT, writable: true },
+            desde: { defaultName: 'Estatus Anterior', kind: FieldKind.TEXT, writable: true },
+            hacia: { defaultName: 'Estatus Nuevo', kind: FieldKind.TEXT, writable: true },
+            accion: { defaultName: 'Acción', kind: FieldKind.TEXT, writable: true },
+            nota: { defaultName: 'Nota', kind: FieldKind.TEXT, writable: true },
+            linea: { defaultName: 'Línea de Pedido', kind: FieldKind.LINK, writable: true, linksTo: 'lpo' },
+            pedido: { defaultName: 'Pedido', kind: FieldKind.LINK, writable: true, linksTo: 'pedidos' },
+            pagos: { defaultName: 'Pagos', kind: FieldKind.LINK, writable: true, linksTo: 'pagos' },
+        },
+    },
+    reembolsos: {
+        defaultName: REEMBOLSOS_TABLE_NAME,
+        fields: {
+            pagador: { defaultName: 'Pagador', kind: FieldKind.SINGLE_SELECT, writable: true },
+            monto: { defaultName: 'Monto', kind: FieldKind.NUMBER, writable: true },
+            fecha: { defaultName: 'Fecha', kind: FieldKind.DATE, writable: true },
+            notas: { defaultName: 'Notas', kind: FieldKind.TEXT, writable: true },
+        },
+    },
+    creditos: {
+        defaultName: CREDITOS_TABLE_NAME,
+        fields: {
+            marca: { defaultName: 'Marca', kind: FieldKind.TEXT, writable: true },
+            monto: { defaultName: 'Monto', kind: FieldKind.NUMBER, writable: true },
+            fecha: { defaultName: 'Fecha', kind: FieldKind.DATE, writable: true },
+            pago: { defaultName: 'Pago', kind: FieldKind.LINK, writable: true, linksTo: 'pagos' },
+            nota: { defaultName: 'Nota', kind: FieldKind.TEXT, writable: true },
+        },
+    },
+};
+
+/**
+ * Returns the type a field's values actually have, looking through formula
+ * and rollup fields to their result type.
+ * @param {Field} field The field to inspect.
+ * @returns {string} A `FieldType` value.
+ */
+function valueTypeOf(field) {
+    const isComputedResult = field.type === FieldType.FORMULA || field.type === FieldType.ROLLUP;
+    if (isComputedResult && field.options && field.options.result) {
+        return field.options.result.type;
+    }
+    return field.type;
+}
+
+/**
+ * Reads the saved bindings from GlobalConfig.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @returns {{tables: Object<string, string>, fields: Object<string, Object<string, string>>}}
+ * The bound table IDs and field IDs, keyed by logical name.
+ */
+export function getSchemaBindings(globalConfig) {
+    const stored = globalConfig.get(ConfigKeys.SCHEMA_BINDINGS) || {};
+    return { tables: stored.tables || {}, fields: stored.fields || {} };
+}
+
+/**
+ * Finds the real table and fields for every logical name. A bound ID wins over
+ * the default name; anything that cannot be found resolves to `null`.
+ * @param {Base} base The current base.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @returns {{tables: Object<string, ?Table>, fields: Object<string, Object<string, ?Field>>}}
+ * The resolved table and field models, keyed by logical name.
+ */
+export function resolveSchema(base, globalConfig) {
+    const bindings = getSchemaBindings(globalConfig);
+    const tables = {};
+    const fields = {};
+    Object.entries(SCHEMA).forEach(([tableKey, tableSpec]) => {
+        const boundTableId = bindings.tables[tableKey];
+        const table = (boundTableId && base.getTableByIdIfExists(boundTableId))
+            || base.getTableByNameIfExists(tableSpec.defaultName);
+        tables[tableKey] = table;
+        fields[tableKey] = {};
+        Object.entries(tableSpec.fields).forEach(([fieldKey, fieldSpec]) => {
+            if (!table) {
+                fields[tableKey][fieldKey] = null;
+                return;
+            }
+            const boundFieldId = (bindings.fields[tableKey] || {})[fieldKey];
+            fields[tableKey][fieldKey] = (boundFieldId && table.getFieldByIdIfExists(boundFieldId))
+                || table.getFieldByNameIfExists(fieldSpec.defaultName);
+        });
+    });
+    return { tables, fields };
+}
+
+/**
+ * Checks a single resolved field against its spec.
+ * @param {?Field} field The resolved field, or `null` if it was not found.
+ * @param {object} spec The field's entry in `SCHEMA`.
+ * @param {Object<string, ?Table>} tables The resolved tables, used to check link targets.
+ * @returns {string[]} Human readable problems; empty when the field is usable.
+ */
+function checkField(field, spec, tables) {
+    if (!field) {
+        return [`No se encontró el campo "${spec.defaultName}".`];
+    }
+    const problems = [];
+    const allowedTypes = TYPES_BY_KIND[spec.kind];
+    if (allowedTypes && !allowedTypes.includes(valueTypeOf(field))) {
+        problems.push(`"${field.name}" es de tipo ${field.type}; se esperaba ${allowedTypes.join(', ')}.`);
+    }
+    if (spec.writable && field.isComputed) {
+        problems.push(`"${field.name}" es calculado y el bloque necesita escribir en él.`);
+    }
+    if (spec.linksTo && field.type === FieldType.MULTIPLE_RECORD_LINKS) {
+        const target = tables[spec.linksTo];
+        if (target && field.options.linkedTableId !== target.id) {
+            problems.push(`"${field.name}" debe vincular a la tabla "${target.name}".`);
+        }
+    }
+    if (spec.choices && field.type === FieldType.SINGLE_SELECT) {
+        const existing = field.options.choices.map(choice => choice.name);
+        const missing = spec.choices.filter(choice => !existing.includes(choice));
+        if (missing.length > 0) {
+            problems.push(`A "${field.name}" le faltan las opciones: ${missing.join(', ')}.`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Validates the resolved schema and builds a checklist with one entry per
+ * logical table and field.
+ * @param {{tables: object, fields: object}} resolved The result of `resolveSchema`.
+ * @returns {{isHealthy: boolean, items: object[]}} Whether every check passed, and
+ * the checklist items (`tableKey`, `fieldKey`, `label`, `problems`).
+ */
+export function checkSchemaHealth(resolved) {
+    const items = [];
+    Object.entries(SCHEMA).forEach(([tableKey, tableSpec]) => {
+        const table = resolved.tables[tableKey];
+        items.push({
+            tableKey,
+            fieldKey: null,
+            label: tableSpec.defaultName,
+            problems: table ? [] : [`No se encontró la tabla "${tableSpec.defaultName}".`],
+        });
+        if (!table) return;
+        Object.entries(tableSpec.fields).forEach(([fieldKey, fieldSpec]) => {
+            items.push({
+                tableKey,
+                fieldKey,
+                label: `${tableSpec.defaultName} › ${fieldSpec.defaultName}`,
+                problems: checkField(resolved.fields[tableKey][fieldKey], fieldSpec, resolved.tables),
+            });
+        });
+    });
+    return { isHealthy: items.every(item => item.problems.length === 0), items };
+}
+
+/**
+ * Reduces the resolved schema to the shape components use: table models and
+ * field IDs. Field IDs work both for reading cell values and as keys when writing.
+ * @param {{tables: object, fields: object}} resolved The result of `resolveSchema`.
+ * @returns {{tables: Object<string, Table>, fields: Object<string, Object<string, string>>}}
+ * The tables and field IDs, keyed by logical name.
+ */
+export function toSchemaIds(resolved) {
+    const fields = {};
+    Object.entries(resolved.fields).forEach(([tableKey, tableFields]) => {
+        fields[tableKey] = {};
+        Object.entries(tableFields).forEach(([fieldKey, field]) => {
+            fields[tableKey][fieldKey] = field ? field.id : null;
+        });
+    });
+    return { tables: resolved.tables, fields };
+}
+
+/**
+ * Holds the validated schema for the rest of the block.
+ * @type {React.Context}
+ */
+export const SchemaContext = createContext(null);
+
+/**
+ * Returns the validated schema provided by `OrderManagementApp`.
+ * @returns {{tables: Object<string, Table>, fields: Object<string, Object<string, string>>}}
+ * The tables and field IDs, keyed by logical name.
+ */
+export function useSchema() {
+    return useContext(SchemaContext);
+}
@@ -0,0 +1,218 @@
+/**
+ * @file The status model shared by "Líneas de Pedido" and "Pedidos".
+ * It lists the legal moves between statuses for each table, the guards that
+ * must hold before a move, and builds the cell values and history event that
+ * apply a move. Every view changes statuses through this module.
+ */
+
+/**
+ * Every status a line or Pedido can have.
+ * @enum {string}
+ */
+export const Status = Object.freeze({
+    ABIERTO: 'Abierto',
+    CONFIRMAR: 'Confirmar y Monitorear',
+    PENDIENTE_PAGO: 'Pendiente de Pago',
+    PAGO_INCOMPLETO: 'Pago Incompleto',
+    PAGADO: 'Pagado',
+    SOLICITADO: 'Solicitado',
+    ENVIADO: 'Enviado',
+    RECIBIDO: 'Recibido',
+    SUSTITUIDO: 'Sustituido',
+    BACKORDER: 'Backorder',
+    RECLAMADO: 'Reclamado',
+    CANCELADO: 'Cancelado',
+});
+
+/**
+ * The statuses a line can take when its Pedido is cancelled.
+ * @type {string[]}
+ */
+export const RELEASED_LINE_STATUSES = [Status.ABIERTO, Status.CONFIRMAR, Status.CANCELADO];
+
+/**
+ * The legal moves for each table, keyed by the current status. The empty
+ * string stands for a record that is being created.
+ * @type {Object<string, Object<string, string[]>>}
+ */
+const TRANSITIONS = {
+    // Lines that were never marked "Solicitado" follow their Pedido straight to "Enviado".
+    lpo: {
+        // Lines that are not in a Pedido yet can still be withdrawn or sent back to "Abierto".
+        [Status.ABIERTO]: [Status.CONFIRMAR, Status.CANCELADO],
+        [Status.CONFIRMAR]: [Status.PENDIENTE_PAGO, Status.PAGADO, Status.ABIERTO, Status.CANCELADO],
+        // Cancelling a Pedido before it ships releases its lines or cancels them with it.
+        [Status.PENDIENTE_PAGO]: [Status.PAGADO, Status.SOLICITADO, Status.ENVIADO, ...RELEASED_LINE_STATUSES],
+        // Lines follow their Pedido back to owing when lines are added to it or its payments are corrected.
+        [Status.PAGADO]: [Status.PENDIENTE_PAGO, Status.SOLICITADO, Status.ENVIADO, ...RELEASED_LINE_STATUSES],
+        [Status.SOLICITADO]: [Status.ENVIADO, ...RELEASED_LINE_STATUSES],
+        [Status.ENVIADO]: [Status.RECIBIDO, Status.SUSTITUIDO, Status.BACKORDER, Status.RECLAMADO],
+        [Status.BACKORDER]: [Status.RECIBIDO, Status.SUSTITUIDO, Status.RECLAMADO],
+    },
+    pedidos: {
+        '': [Status.PENDIENTE_PAGO, Status.PAGO_INCOMPLETO, Status.PAGADO],
+        [Status.PENDIENTE_PAGO]: [Status.PAGO_INCOMPLETO, Status.PAGADO, Status.SOLICITADO, Status.CANCELADO],
+        // Corrected or voided payments can move a Pedido back to an earlier payment status,
+        // and a paid Pedido owes again when lines are added to it.
+        [Status.PAGO_INCOMPLETO]: [Status.PENDIENTE_PAGO, Status.PAGADO, Status.SOLICITADO, Status.CANCELADO],
+        [Status.PAGADO]: [Status.PENDIENTE_PAGO, Status.PAGO_INCOMPLETO, Status.SOLICITADO, Status.CANCELADO],
+        [Status.SOLICITADO]: [Status.ENVIADO, Status.CANCELADO],
+        [Status.ENVIADO]: [Status.RECIBIDO],
+    },
+};
+
+/**
+ * Returns the balance left once `paid` is subtracted from `total`.
+ * @param {{total: number, paid: number}} context The amounts of the move.
+ * @returns {number} The remaining balance, never negative.
+ */
+function remainingOf({ total = 0, paid = 0 }) {
+    return Math.max(total - paid, 0);
+}
+
+/**
+ * Conditions that must hold to enter a status, per table. Each guard receives
+ * the move's context and returns an error message, or `null` when it passes.
+ * @type {Object<string, Object<string, Function>>}
+ */
+const GUARDS = {
+    lpo: {
+        [Status.PAGADO]: (context) => (remainingOf(context) > 0
+            ? `No se puede marcar como Pagado con un saldo pendiente de $${remainingOf(context).toFixed(2)}.`
+            : null),
+    },
+    pedidos: {
+        [Status.PENDIENTE_PAGO]: (context) => {
+            if (context.paid > 0) return 'Un pedido con pagos registrados no puede quedar en Pendiente de Pago.';
+            if (context.canLeavePending === false) return 'Esta línea no permite dejar pendiente el pago.';
+            return null;
+        },
+        [Status.PAGO_INCOMPLETO]: (context) => {
+            if (!(context.paid > 0) || remainingOf(context) <= 0) return 'Pago Incompleto requiere un pago parcial.';
+            if (context.canLeavePending === false) return 'Esta línea no permite dejar pendiente el pago.';
+            return null;
+        },
+        [Status.PAGADO]: (context) => (remainingOf(context) > 0
+            ? `No se puede marcar como Pagado con un saldo pendiente de $${remainingOf(context).toFixed(2)}.`
+            : null),
+        [Status.RECIBIDO]: (context) => (context.unresolvedLines > 0
+            ? `El pedido tiene ${context.unresolvedLines} línea(s) sin resolver.`
+            : null),
+    },
+};
+
+/**
+ * Thrown when a status change is not allowed.
+ */
+export class TransitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransitionError';
+    }
+}
+
+/**
+ * Returns the payment status that matches a Pedido's amounts.
+ * @param {number} total The total due.
+ * @param {number} paid The amount paid so far.
+ * @returns {string} "Pagado", "Pago Incompleto" or "Pendiente de Pago".
+ */
+export function paymentStatusFor(total, paid) {
+    if (remainingOf({ total, paid }) <= 0) return Status.PAGADO;
+    return paid > 0 ? Status.PAGO_INCOMPLETO : Status.PENDIENTE_PAGO;
+}
+
+/**
+ * Returns the status a Pedido should move to after its payments change.
+ * Pedidos already past the payment stage keep their status.
+ * @param {string} currentStatus The Pedido's current status.
+ * @param {number} total The total due.
+ * @param {number} paid The amount paid, including the new payments.
+ * @returns {string} The status to move to.
+ */
+export function nextPaymentStatus(currentStatus, total, paid) {
+    if ([Status.SOLICITADO, Status.ENVIADO, Status.RECIBIDO].includes(currentStatus)) {
+        return currentStatus;
+    }
+    return paymentStatusFor(total, paid);
+}
+
+/**
+ * Works out the status a Pedido moves to when its paid amount changes, and
+ * whether that move is allowed.
+ * @param {string} currentStatus The Pedido's current status.
+ * @param {number} total The total due.
+ * @param {number} paid The amount paid once the change is applied.
+ * @returns {{newStatus: string, context: object, error: ?string}} The target status,
+ * the context for `planTransition`, and an error message when the move is not allowed.
+ */
+export function planPaymentStatus(currentStatus, total, paid) {
+    const newStatus = nextPaymentStatus(currentStatus, total, paid);
+    const context = { total, paid };
+    return { newStatus, context, error: checkTransition('pedidos', currentStatus, newStatus, context) };
+}
+
+/**
+ * Returns the status the lines of a Pedido take when it is requested. Lines do
+ * not track partial payments: they stay pending until the Pedido is fully paid.
+ * @param {string} pedidoStatus The status the Pedido is moving to.
+ * @returns {string} "Pagado" or "Pendiente de Pago".
+ */
+export function lineStatusForPedido(pedidoStatus) {
+    return pedidoStatus === Status.PAGADO ? Status.PAGADO : Status.PENDIENTE_PAGO;
+}
+
+/**
+ * Checks whether a move is legal and its guards pass. Staying in the same
+ * status is always a legal move, but its guards still apply.
+ * @param {string} tableKey The logical table, "lpo" or "pedidos".
+ * @param {string} from The current status; empty for a new record.
+ * @param {string} to The target status.
+ * @param {object} [context] Amounts and flags the guards need (`total`, `paid`, `canLeavePending`, `unresolvedLines`).
+ * @returns {?string} An error message, or `null` when the move is allowed.
+ */
+export function checkTransition(tableKey, from, to, context = {}) {
+    const allowed = TRANSITIONS[tableKey][from] || [];
+    if (from !== to && !allowed.includes(to)) {
+        return from
+            ? `No se puede pasar de "${from}" a "${to}".`
+            : `Un registro nuevo no puede empezar en "${to}".`;
+    }
+    const guard = GUARDS[tableKey][to];
+    return guard ? guard(context) : null;
+}
+
+/**
+ * Validates a move and builds what applies it: the new status cell value and
+ * the history event describing the change (see `recordHistoryAsync`).
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {string} tableKey The logical table, "lpo" or "pedidos".
+ * @param {?Record} record The record to move, or `null` when creating one.
+ * @param {string} to The target status.
+ * @param {object} options
+ * @param {string} options.action A `HistoryAction` value describing why the status changes.
+ * @param {object} [options.context] Passed to the guards; see `checkTransition`.
+ * @param {string} [options.note] Extra detail for the history event.
+ * @returns {{fields: object, event: object}} Cell values keyed by field ID, and the
+ * history event. The event's `recordId` is `null` when creating a record.
+ * @throws {TransitionError} When the move is not allowed.
+ */
+export function planTransition(schema, tableKey, record, to, { action, context, note }) {
+    const from = record ? record.getCellValueAsString(schema.fields[tableKey].estatus) : '';
+    const error = checkTransition(tableKey, from, to, context);
+    if (error) {
+        throw new TransitionError(error);
+    }
+    return {
+        fields: { [schema.fields[tableKey].estatus]: { name: to } },
+        event: {
+            tableKey,
+            recordId: record ? record.id : null,
+            from,
+            to,
+            action,
+            note,
+            timestamp: new Date().toISOString(),
+        },
+    };
+}
@@ -0,0 +1,344 @@
+/**
+ * @file Multi-step writes treated as a single unit of work.
+ * An operation is a list of named steps. After each step, a journal is saved in
+ * GlobalConfig with the records the step created and the previous values of
+ * the records it changed. If a step fails, the journal stays behind so the
+ * user can resume from the failed step or roll back every completed step.
+ * The journal of the last operation that finished in each view is kept for a
+ * while too, so it can be undone the same way.
+ */
+
+import { useEffect, useState } from 'react';
+import { useGlobalConfig } from '@airtable/blocks/ui';
+import { FieldType } from '@airtable/blocks/models';
+import { ConfigKeys } from './constants';
+import { deleteRecordsInBatchesAsync, updateRecordsInBatchesAsync } from './batch';
+
+/**
+ * The views whose last operation can be undone.
+ * @enum {string}
+ */
+export const UndoScope = Object.freeze({
+    CONFIRMAR_SELECCION: 'confirmarSeleccion',
+    SOLICITAR: 'solicitar',
+    PAGAR: 'pagar',
+    PAGO_SELECCION: 'pagoSeleccion',
+    COSTOS: 'costos',
+    ENVIAR: 'enviar',
+    RECIBIR: 'recibir',
+    CANCELAR_PEDIDO: 'cancelarPedido',
+});
+
+/**
+ * How long a finished operation can be undone when no window is configured.
+ * @type {number}
+ */
+const DEFAULT_UNDO_WINDOW_MINUTES = 15;
+
+/**
+ * Returns the journals of operations that have not finished.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @returns {object[]} The unfinished journals.
+ */
+function getJournals(globalConfig) {
+    return Object.values(globalConfig.get(ConfigKeys.PENDING_OPERATIONS) || {});
+}
+
+/**
+ * Returns the unfinished operation with a given key, if any.
+ * @param {string} key Identifies what the operation acts on, e.g. `pagar:<pedidoId>`.
+ * @returns {?object} The journal of the unfinished operation.
+ */
+export function useUnfinishedOperation(key) {
+    const globalConfig = useGlobalConfig();
+    return getJournals(globalConfig).find(journal => journal.key === key) || null;
+}
+
+/**
+ * Returns the unfinished operations whose key starts with a prefix, for views
+ * whose operations can outlive the rows they were started from.
+ * @param {string} keyPrefix The start of the keys, e.g. `confirmar:`.
+ * @returns {object[]} The journals of the unfinished operations.
+ */
+export function useUnfinishedOperations(keyPrefix) {
+    const globalConfig = useGlobalConfig();
+    return getJournals(globalConfig).filter(journal => journal.key.startsWith(keyPrefix));
+}
+
+/**
+ * Reads and saves how long finished operations can be undone.
+ * @returns {{minutes: number, canEdit: boolean, saveMinutes: Function}} The window
+ * in minutes, whether the user may change it, and a function that stores a new one.
+ */
+export function useUndoWindow() {
+    const globalConfig = useGlobalConfig();
+    const stored = globalConfig.get(ConfigKeys.UNDO_WINDOW_MINUTES);
+    return {
+        minutes: typeof stored === 'number' ? stored : DEFAULT_UNDO_WINDOW_MINUTES,
+        canEdit: globalConfig.hasPermissionToSet(ConfigKeys.UNDO_WINDOW_MINUTES),
+        saveMinutes: (minutes) => globalConfig.setAsync(ConfigKeys.UNDO_WINDOW_MINUTES, minutes),
+    };
+}
+
+/**
+ * Returns the last operation finished in a view while it can still be undone.
+ * The component re-renders when the undo window closes.
+ * @param {string} scope The view the operation belongs to; see `UndoScope`.
+ * @returns {?object} The operation's journal, with `completedAt`.
+ */
+export function useUndoableOperation(scope) {
+    const globalConfig = useGlobalConfig();
+    const { minutes } = useUndoWindow();
+    const [, setExpired] = useState(0);
+    const journal = globalConfig.get([ConfigKeys.LAST_OPERATIONS, scope]) || null;
+    const expiresAt = journal ? Date.parse(journal.completedAt) + minutes * 60 * 1000 : 0;
+    const remaining = expiresAt - Date.now();
+
+    useEffect(() => {
+        if (remaining <= 0) return undefined;
+        const timeout = setTimeout(() => setExpired(count => count + 1), remaining);
+        return () => clearTimeout(timeout);
+    }, [remaining]);
+
+    return remaining > 0 ? journal : null;
+}
+
+/**
+ * Keeps an operation's journal as the last one of its view, replacing the previous one.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @param {string} scope The view the operation belongs to.
+ * @param {object} journal The finished operation's journal.
+ * @returns {Promise<void>}
+ */
+function rememberJournal(globalConfig, scope, journal) {
+    // Only the effects are needed to undo; inputs and step results are dropped to save space.
+    return globalConfig.setAsync([ConfigKeys.LAST_OPERATIONS, scope], {
+        id: journal.id,
+        key: journal.key,
+        label: journal.label,
+        completedAt: new Date().toISOString(),
+        steps: journal.steps.map(step => ({
+            name: step.name,
+            label: step.label,
+            done: true,
+            created: step.created,
+            updated: step.updated,
+        })),
+    });
+}
+
+/**
+ * Keeps the effects of an operation that does not run through `runUnitOfWork`
+ * so that it can be undone. An operation that continues an earlier one, such as
+ * a retry of the records that failed, passes the earlier one's ID in `extendsId`;
+ * its effects are then added to that journal, so undoing reverts both.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @param {string} scope The view the operation belongs to.
+ * @param {object} operation
+ * @param {string} operation.label A description shown to the user.
+ * @param {{tableKey: string, ids: string[]}[]} [operation.created] The records it created.
+ * @param {{tableKey: string, snapshots: object[]}[]} [operation.updated] The previous
+ * values of the records it changed; see `snapshotRecord`.
+ * @param {string} [operation.extendsId] The ID of the operation this one continues.
+ * @returns {Promise<string>} The ID of the journal the effects were kept in.
+ */
+export async function rememberOperation(globalConfig, scope, { label, created = [], updated = [], extendsId }) {
+    const previous = globalConfig.get([ConfigKeys.LAST_OPERATIONS, scope]);
+    const step = { name: 'operacion', label, created, updated };
+    if (extendsId && previous && previous.id === extendsId) {
+        await rememberJournal(globalConfig, scope, {
+            ...previous,
+            label,
+            steps: [...previous.steps, { ...step, name: `operacion-${previous.steps.length}` }],
+        });
+        return previous.id;
+    }
+    const id = `op${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    await rememberJournal(globalConfig, scope, { id, key: scope, label, steps: [step] });
+    return id;
+}
+
+/**
+ * Captures the current values of some fields in the format the SDK accepts for
+ * writing them back.
+ * @param {Table} table The table the record belongs to.
+ * @param {Record} record The record to snapshot.
+ * @param {string[]} fieldIds The fields to capture.
+ * @returns {{id: string, fields: object}} A record update that restores the values.
+ */
+export function snapshotRecord(table, record, fieldIds) {
+    const fields = {};
+    fieldIds.forEach(fieldId => {
+        const value = record.getCellValue(fieldId);
+        const type = table.getFieldById(fieldId).type;
+        if (value && type === FieldType.SINGLE_SELECT) {
+            fields[fieldId] = { name: value.name };
+        } else if (value && type === FieldType.MULTIPLE_RECORD_LINKS) {
+            fields[fieldId] = value.map(link => ({ id: link.id }));
+        } else {
+            fields[fieldId] = value;
+        }
+    });
+    return { id: record.id, fields };
+}
+
+/**
+ * Runs an operation step by step, journaling each step's effects. When an
+ * unfinished journal with the same key exists, completed steps are skipped and
+ * their stored results are reused, so calling this again resumes the operation.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @param {object} operation
+ * @param {string} operation.key Identifies what the operation acts on.
+ * @param {string} operation.label A description shown to the user.
+ * @param {object} operation.input The serializable input the steps are built from.
+ * @param {string} [operation.undoScope] The view the operation belongs to. When
+ * given, the finished operation is kept so it can be undone with `undoOperation`.
+ * @param {{name: string, label: string, run: Function}[]} steps The steps to run, in order.
+ * Each `run(tracker, results)` receives a tracker with `created(tableKey, ids)` and
+ * `updated(tableKey, snapshots)` to report its effects, and the results of the
+ * previous steps keyed by step name. Its return value must be serializable.
+ * A step that writes in batches can also call `written(keys)` after each batch;
+ * when the step is resumed, `isWritten(key)` tells it which items to skip.
+ * @returns {Promise<object>} The results of every step, keyed by step name.
+ */
+export async function runUnitOfWork(globalConfig, { key, label, input, undoScope }, steps) {
+    const existing = getJournals(globalConfig).find(journal => journal.key === key);
+    // Values read from GlobalConfig must not be mutated in place, so a resumed journal is copied.
+    const journal = existing ? JSON.parse(JSON.stringify(existing)) : {
+        id: `op${Date.now()}${Math.floor(Math.random() * 1000)}`,
+        key,
+        label,
+        input,
+        startedAt: new Date().toISOString(),
+        steps: [],
+    };
+    const save = () => globalConfig.setAsync([ConfigKeys.PENDING_OPERATIONS, journal.id], journal);
+    // Saves run one after another, and calls made while one is queued share it, so
+    // a step reporting every batch stays in the journal without a write per call.
+    let queued = null;
+    let lastSave = Promise.resolve();
+    const persist = () => {
+        if (!queued) {
+            queued = lastSave.then(() => {
+                queued = null;
+                return save();
+            });
+            lastSave = queued.catch(error => console.error('Error saving operation journal:', error));
+        }
+        return queued;
+    };
+
+    // Saved before anything is written, so a block closed during the first step
+    // still leaves a journal to roll back or resume.
+    await persist();
+    const results = {};
+    for (const step of steps) {
+        let entry = journal.steps.find(candidate => candidate.name === step.name);
+        if (!entry) {
+            entry = { name: step.name, label: step.label, done: false, created: [], updated: [], written: [] };
+            journal.steps.push(entry);
+        }
+        entry.written = entry.written || [];
+        if (entry.done) {
+            results[step.name] = entry.result;
+            continue;
+        }
+        // Each report is saved as it comes, so records written by a step that is
+        // cut short are still rolled back, and skipped when it is resumed.
+        const tracker = {
+            created: (tableKey, ids) => {
+                entry.created.push({ tableKey, ids });
+                persist();
+            },
+            updated: (tableKey, snapshots) => {
+                entry.updated.push({ tableKey, snapshots });
+                persist();
+            },
+            written: (keys) => {
+                entry.written.push(...keys);
+                persist();
+            },
+            isWritten: (key) => entry.written.includes(key),
+        };
+        try {
+            const result = await step.run(tracker, results);
+            entry.done = true;
+            entry.result = result === undefined ? null : result;
+            results[step.name] = entry.result;
+            journal.error = null;
+            await persist();
+        } catch (error) {
+            journal.error = `${step.label}: ${error.message}`;
+            await persist();
+            throw error;
+        }
+    }
+    await lastSave;
+    if (undoScope) {
+        await rememberJournal(globalConfig, undoScope, journal);
+    }
+    await globalConfig.setAsync([ConfigKeys.PENDING_OPERATIONS, journal.id], undefined);
+    return results;
+}
+
+/**
+ * Undoes every effect recorded in a journal, last step first: created records
+ * are deleted and changed records get their previous values back. The journal
+ * is removed from `path` once this succeeds. If it fails, the journal is saved
+ * without the records already deleted, so it can be run again.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {object} journal The journal to roll back.
+ * @param {string[]} path Where the journal is stored in GlobalConfig.
+ * @param {Function} [onProgress] Passed to each bulk write; see `writeInBatchesAsync`.
+ * @returns {Promise<void>}
+ */
+async function rollbackJournal(globalConfig, schema, journal, path, onProgress) {
+    const remaining = JSON.parse(JSON.stringify(journal));
+    try {
+        for (const entry of [...remaining.steps].reverse()) {
+            for (const group of [...entry.updated].reverse()) {
+                // Restoring a snapshot twice is harmless, so updates are only dropped once all succeed.
+                await updateRecordsInBatchesAsync(schema.tables[group.tableKey], group.snapshots, { onProgress });
+                entry.updated = entry.updated.filter(candidate => candidate !== group);
+            }
+            for (const group of [...entry.created].reverse()) {
+                await deleteRecordsInBatchesAsync(schema.tables[group.tableKey], group.ids, {
+                    onProgress,
+                    onBatchWritten: (ids) => {
+                        group.ids = group.ids.filter(id => !ids.includes(id));
+                    },
+                });
+            }
+        }
+    } catch (error) {
+        await globalConfig.setAsync(path, remaining);
+        throw error;
+    }
+    await globalConfig.setAsync(path, undefined);
+}
+
+/**
+ * Rolls back an unfinished operation.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {object} journal The journal returned by `useUnfinishedOperation`.
+ * @param {Function} [onProgress] Passed to each bulk write; see `writeInBatchesAsync`.
+ * @returns {Promise<void>}
+ */
+export function rollbackUnitOfWork(globalConfig, schema, journal, onProgress) {
+    return rollbackJournal(globalConfig, schema, journal, [ConfigKeys.PENDING_OPERATIONS, journal.id], onProgress);
+}
+
+/**
+ * Undoes the last finished operation of a view.
+ * @param {GlobalConfig} globalConfig The block's GlobalConfig.
+ * @param {object} schema The schema returned by `useSchema`.
+ * @param {string} scope The view the operation belongs to.
+ * @param {object} journal The journal returned by `useUndoableOperation`.
+ * @param {Function} [onProgress] Passed to each bulk write; see `writeInBatchesAsync`.
+ * @returns {Promise<void>}
+ */
+export function undoOperation(globalConfig, schema, scope, journal, onProgress) {
+    return rollbackJournal(globalConfig, schema, journal, [ConfigKeys.LAST_OPERATIONS, scope], onProgress);
+}